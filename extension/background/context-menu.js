@@ -30,6 +30,11 @@ chrome.contextMenus.removeAll(() => {
     title: "Wait for time",
     contexts: ["all"]
   });
+  chrome.contextMenus.create({
+    id: "record-wait-network",
+    title: "Wait for network idle",
+    contexts: ["all"]
+  });
   chrome.contextMenus.create({
     id: "record-wait-refresh",
     title: "Wait for element (auto-refresh)",
@@ -78,6 +83,7 @@ chrome.contextMenus.onClicked.addListener(async (_info, tab) => {
       "record-variable",
       "record-paste-variable",
       "record-wait-time",
+      "record-wait-network",
       "record-wait-refresh",
       "record-assert-value"
     ].includes(_info.menuItemId)
@@ -90,6 +96,14 @@ chrome.contextMenus.onClicked.addListener(async (_info, tab) => {
     return;
   }
 
+  // Thresholds come from the network idle settings at replay time
+  if (_info.menuItemId === "record-wait-network") {
+    const step = { type: "waitForNetworkIdle", target: "main" };
+    recordingState.steps.push(step);
+    broadcast(MSG.RECORD_STEP, { step });
+    return;
+  }
+
   // Use the element info stored by the content script via STORE_CONTEXT_EL.
   // If the SW was killed between the right-click and this click, in-memory state
   // is gone — fall back to session storage which survives SW restarts.
@@ -1,7 +1,63 @@
-import { replayState, frameContextMap, networkState } from "./state.js";
+import {
+  replayState,
+  frameContextMap,
+  pageLogState
+} from "./state.js";
+import { onScreencastFrame, resumeScreencast } from "./screencast.js";
+import { onNetworkEvent } from "./network-log.js";
+import { onRequestPaused, resumeMocking } from "./mocking.js";
+import { resumeEmulation } from "./emulation.js";
+import { onNetworkIdleEvent, resetInFlight } from "./network-idle.js";
+
+// ── Page log ───────────────────────────────────────────────────────────────────
+// Errors and warnings from the replayed page (see shared/page-errors.js).
+const MAX_LOG_TEXT = 1000;
+
+function remoteObjectText(obj) {
+  if (obj.type === "string") return obj.value;
+  return String(obj.value ?? obj.unserializableValue ?? obj.description ?? obj.type);
+}
+
+function logEntry(source, level, text, url, line) {
+  pageLogState.entries.push({
+    source,
+    level,
+    text: String(text ?? "").slice(0, MAX_LOG_TEXT),
+    ...(url ? { url } : {}),
+    ...(line != null ? { line: line + 1 } : {}) // CDP lines are 0-based
+  });
+}
+
+function collectPageLog(method, params) {
+  if (method === "Runtime.consoleAPICalled") {
+    const level = params.type === "warning" ? "warning" : params.type;
+    if (level !== "error" && level !== "warning" && level !== "assert") return;
+    const frame = params.stackTrace?.callFrames?.[0];
+    logEntry(
+      "console",
+      level === "assert" ? "error" : level,
+      params.args.map(remoteObjectText).join(" "),
+      frame?.url,
+      frame?.lineNumber
+    );
+  } else if (method === "Runtime.exceptionThrown") {
+    const d = params.exceptionDetails;
+    logEntry(
+      "exception",
+      "error",
+      d.exception?.description ?? d.text,
+      d.url,
+      d.lineNumber
+    );
+  } else if (method === "Log.entryAdded") {
+    const e = params.entry;
+    if (e.level !== "error" && e.level !== "warning") return;
+    logEntry("log", e.level, e.text, e.url, e.lineNumber);
+  }
+}
 
 // ── Debugger event listener ────────────────────────────────────────────────────
-chrome.debugger.onEvent.addListener((_source, method, params) => {
+chrome.debugger.onEvent.addListener((source, method, params) => {
   if (method === "Runtime.executionContextCreated") {
     const ctx = params.context;
     // Only store main-world contexts (isDefault: true).
@@ -15,14 +71,21 @@ chrome.debugger.onEvent.addListener((_source, method, params) => {
 
   // Track in-flight network requests so replay can wait for AJAX-driven content
   // (e.g. wizard steps) to finish loading after a click before continuing.
-  if (method === "Network.requestWillBeSent") {
-    networkState.pendingCount++;
+  if (method.startsWith("Network.") && source.tabId === replayState.tabId) {
+    onNetworkIdleEvent(method, params);
+    onNetworkEvent(method, params);
   }
-  if (
-    method === "Network.loadingFinished" ||
-    method === "Network.loadingFailed"
-  ) {
-    networkState.pendingCount = Math.max(0, networkState.pendingCount - 1);
+
+  if (method === "Fetch.requestPaused" && source.tabId === replayState.tabId) {
+    onRequestPaused(source.tabId, params);
+  }
+
+  if (method === "Page.screencastFrame") {
+    onScreencastFrame(source.tabId, params);
+  }
+
+  if (replayState.active && source.tabId === replayState.tabId) {
+    collectPageLog(method, params);
   }
 });
 
@@ -88,7 +151,10 @@ chrome.debugger.onDetach.addListener((source, reason) => {
             await chrome.debugger.sendCommand({ tabId }, "Runtime.enable");
             await chrome.debugger.sendCommand({ tabId }, "Page.enable");
             await chrome.debugger.sendCommand({ tabId }, "Network.enable");
-            networkState.pendingCount = 0;
+            await resumeEmulation(tabId);
+            await chrome.debugger.sendCommand({ tabId }, "Log.enable");
+            resetInFlight();
+            await resumeMocking(tabId);
             await chrome.debugger.sendCommand(
               { tabId },
               "Page.addScriptToEvaluateOnNewDocument",
@@ -116,6 +182,7 @@ chrome.debugger.onDetach.addListener((source, reason) => {
               }
             );
             frameContextMap.clear();
+            await resumeScreencast(tabId);
             console.log("[Replay] Debugger re-attached successfully");
             cleanup();
             resolve();
@@ -0,0 +1,40 @@
+import { toEmulationParams } from "../shared/network-conditions.js";
+import { emulationState } from "./state.js";
+import { cdp } from "./utils.js";
+
+// ── Network emulation ──────────────────────────────────────────────────────────
+// Throttling and blocked URLs (shared/network-conditions.js) live on the
+// debugger session, so a cross-origin re-attach loses them: debugger-handler.js
+// calls resumeEmulation() right after Network.enable.
+
+async function applyEmulation(tabId) {
+  const { conditions, blockedUrls } = emulationState;
+  if (conditions) {
+    await cdp(tabId, "Network.emulateNetworkConditions", conditions);
+  }
+  if (blockedUrls.length > 0) {
+    await cdp(tabId, "Network.setBlockedURLs", { urls: blockedUrls });
+  }
+}
+
+/**
+ * Applies `conditions` (effective network conditions, or null) and blocks
+ * `blockedUrls` for the run. Network must already be enabled.
+ */
+export async function startEmulation(tabId, conditions, blockedUrls = []) {
+  Object.assign(emulationState, {
+    conditions: toEmulationParams(conditions),
+    blockedUrls
+  });
+  await applyEmulation(tabId);
+}
+
+export async function resumeEmulation(tabId) {
+  await applyEmulation(tabId).catch((err) =>
+    console.warn("[Replay] network emulation resume failed:", err.message)
+  );
+}
+
+export function stopEmulation() {
+  Object.assign(emulationState, { conditions: null, blockedUrls: [] });
+}
@@ -1,10 +1,26 @@
 import { MSG } from "../shared/constants.js";
 import {
   getRecordings,
+  getRecording,
   getRunHistory,
+  getArtifact,
   deleteRecording,
-  saveRecording
+  saveRecording,
+  getRevisions,
+  pruneRevisions,
+  getSettings,
+  saveSettings,
+  redactRevisions
 } from "../shared/storage.js";
+import {
+  SECRET_MASK,
+  getVaultStatus,
+  unlockVault,
+  lockVault,
+  storeSecret,
+  listSecrets,
+  deleteSecret
+} from "../shared/secrets.js";
 import {
   recordingState,
   replayState,
@@ -12,6 +28,7 @@ import {
   recordingVarSnapshots
 } from "./state.js";
 import { broadcast } from "./utils.js";
+import { migrateRecording } from "../shared/migrations.js";
 import {
   startRecording,
   continueRecording,
@@ -20,6 +37,7 @@ import {
   forceReset
 } from "./recording.js";
 import { runRecording, runAll } from "./replay.js";
+import { withRunTarget } from "./run-target.js";
 
 // ── Variable substitution helpers (recording time) ─────────────────────────────
 
@@ -44,6 +62,26 @@ function filterVarSelectorsOut(selectors, snapshots) {
     .filter((group) => group.length > 0); // drop groups that became empty
 }
 
+// Console log of a recorded step with any secret value masked
+function logRecordedStep(step) {
+  const shown = step.secretRef ? { ...step, value: SECRET_MASK } : step;
+  console.log(
+    `[Recorder] step ${recordingState.steps.length}:`,
+    JSON.stringify(shown, null, 2)
+  );
+}
+
+// Moves a change step's typed value out of the step until the recording is
+// saved, when stopRecording stores it in the vault under the same reference.
+function holdSecret(step, secretName) {
+  const secretRef = crypto.randomUUID();
+  recordingState.pendingSecrets.set(secretRef, {
+    name: secretName,
+    value: step.value ?? ""
+  });
+  return { ...step, value: "", secretRef, secretName };
+}
+
 // ── Message routing ────────────────────────────────────────────────────────────
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   const { type, payload } = msg;
@@ -73,20 +111,23 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
 
         // ── Replay ──
         case MSG.RUN_RECORDING: {
-          const recordings = await getRecordings();
-          const rec = recordings.find((r) => r.id === payload.recordingId);
+          const rec = await getRecording(payload.recordingId);
           if (!rec) {
             sendResponse({ ok: false, error: "Recording not found" });
             break;
           }
           sendResponse({ ok: true });
-          await runRecording(rec, payload.tabId, payload.stepDelay);
+          await withRunTarget(payload.tabId, (tabId) =>
+            runRecording(rec, tabId, payload.stepDelay)
+          );
           break;
         }
 
         case MSG.RUN_ALL: {
           sendResponse({ ok: true });
-          await runAll(payload.tabId, payload.stepDelay);
+          await withRunTarget(payload.tabId, (tabId) =>
+            runAll(tabId, payload.stepDelay, payload.filter)
+          );
           break;
         }
 
@@ -100,7 +141,8 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
           break;
 
         case MSG.SET_DYNAMIC_BREAKPOINT:
-          replayState.dynamicBreakpoints.add(payload.stepIndex);
+          // Keyed by step path ("3" or "3.1" for a sub-flow step)
+          replayState.dynamicBreakpoints.add(String(payload.stepKey));
           sendResponse({ ok: true });
           break;
 
@@ -150,6 +192,12 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
           break;
         }
 
+        case MSG.GET_ARTIFACT: {
+          const artifact = await getArtifact(payload.runId, payload.name);
+          sendResponse({ artifact });
+          break;
+        }
+
         case MSG.DELETE_RECORDING:
           await deleteRecording(payload.recordingId);
           sendResponse({ ok: true });
@@ -173,7 +221,7 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         case MSG.UPDATE_RECORDING_STEP: {
           const { index, value } = payload;
           const step = recordingState.active && recordingState.steps[index];
-          if (step && step.type === "change") {
+          if (step && step.type === "change" && !step.secretRef) {
             step.value = value;
             sendResponse({ ok: true });
           } else {
@@ -182,13 +230,140 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
           break;
         }
 
+        case MSG.MARK_STEP_SECRET: {
+          const { index, secretName } = payload;
+          const step = recordingState.active && recordingState.steps[index];
+          if (step && step.type === "change" && !step.secretRef) {
+            recordingState.steps[index] = holdSecret(step, secretName);
+            sendResponse({ ok: true, step: recordingState.steps[index] });
+          } else {
+            sendResponse({ ok: false });
+          }
+          break;
+        }
+
         case MSG.UPDATE_RECORDING: {
-          const { id, title, steps, createdAt } = payload;
-          const updated = await saveRecording({ id, title, steps, createdAt });
+          const {
+            id,
+            title,
+            steps,
+            createdAt,
+            suite,
+            tags,
+            dataset,
+            failOnPageErrors,
+            mockRules,
+            networkConditions,
+            blockedUrls,
+            retry,
+            batchRetries
+          } = payload;
+          const updated = await saveRecording(
+            {
+              id,
+              title,
+              steps,
+              createdAt,
+              suite,
+              tags,
+              dataset,
+              failOnPageErrors,
+              mockRules,
+              networkConditions,
+              blockedUrls,
+              retry,
+              batchRetries
+            },
+            { reason: "edited" }
+          );
+          // Values moved into the vault while editing: remove them from older revisions
+          for (const { value, secretRef, secretName } of payload.redactions ?? []) {
+            if (value) await redactRevisions(id, value, { secretRef, secretName });
+          }
           sendResponse({ ok: true, recording: updated });
           break;
         }
 
+        case MSG.IMPORT_RECORDINGS: {
+          // Collisions were already resolved by the sidepanel (overwrite / rename / skip),
+          // so every entry here is either new or an intentional overwrite.
+          const saved = [];
+          for (const rec of payload.recordings ?? []) {
+            saved.push(await saveRecording(rec, { reason: "imported" }));
+          }
+          sendResponse({ ok: true, recordings: saved });
+          break;
+        }
+
+        case MSG.GET_REVISIONS: {
+          const revisions = await getRevisions(payload.recordingId);
+          sendResponse({ revisions });
+          break;
+        }
+
+        case MSG.RESTORE_REVISION: {
+          const revisions = await getRevisions(payload.recordingId);
+          const revision = revisions.find((r) => r.rev === payload.rev);
+          if (!revision) {
+            sendResponse({ ok: false, error: "Revision not found" });
+            break;
+          }
+          // Revisions keep the schema they were saved with — upgrade before restoring
+          const { title, suite, tags, steps } = migrateRecording(revision);
+          const restored = await saveRecording(
+            { id: payload.recordingId, title, suite, tags, steps },
+            { reason: "restored", restoredFrom: revision.rev }
+          );
+          sendResponse({ ok: true, recording: restored });
+          break;
+        }
+
+        case MSG.GET_SETTINGS:
+          sendResponse({ settings: await getSettings() });
+          break;
+
+        case MSG.SAVE_SETTINGS: {
+          const settings = await saveSettings(payload);
+          if (payload.revisionLimit) await pruneRevisions(settings.revisionLimit);
+          sendResponse({ ok: true, settings });
+          break;
+        }
+
+        // ── Secrets vault ──
+        case MSG.VAULT_STATUS:
+          sendResponse(await getVaultStatus());
+          break;
+
+        case MSG.VAULT_UNLOCK:
+          await unlockVault(payload.passphrase);
+          sendResponse({ ok: true, ...(await getVaultStatus()) });
+          break;
+
+        case MSG.VAULT_LOCK:
+          await lockVault();
+          sendResponse({ ok: true });
+          break;
+
+        case MSG.LIST_SECRETS:
+          sendResponse({ secrets: await listSecrets() });
+          break;
+
+        case MSG.DELETE_SECRET:
+          await deleteSecret(payload.id);
+          sendResponse({ ok: true });
+          break;
+
+        case MSG.STORE_SECRET: {
+          // Edit overlay: a saved step's plain value becomes a vault reference
+          if (!(await getVaultStatus()).unlocked) {
+            sendResponse({ ok: false, vaultLocked: true });
+            break;
+          }
+          const secretRef = await storeSecret(payload.name, payload.value);
+          sendResponse({ ok: true, secretRef });
+          break;
+        }
+
         case MSG.ADD_RECORDING_STEP: {
           if (recordingState.active && payload.step) {
             const step = payload.step;
@@ -311,16 +486,25 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
             }
 
             recordingState.steps.push(step);
-            console.log(
-              `[Recorder] step ${recordingState.steps.length}:`,
-              JSON.stringify(step, null, 2)
-            );
+            logRecordedStep(step);
             // No re-broadcast: sidepanel already receives this message directly from the content script.
             // (Hover steps created in the SW are broadcast separately via the context menu handler.)
           }
           sendResponse({ ok: true }); // close the port immediately (fire-and-forget)
           break;
 
+        case MSG.RECORD_SECRET_STEP:
+          // A password (or flagged) field. The side panel ignores this message
+          // type and shows the masked step broadcast here instead.
+          if (recordingState.active && payload.step) {
+            const step = holdSecret(payload.step, payload.step.secretName);
+            recordingState.steps.push(step);
+            logRecordedStep(step);
+            broadcast(MSG.RECORD_STEP, { step });
+          }
+          sendResponse({ ok: true });
+          break;
+
         default:
           sendResponse({ ok: false, error: `Unknown message type: ${type}` });
       }
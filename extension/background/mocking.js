@@ -0,0 +1,112 @@
+import { findMockRule, interceptPattern } from "../shared/mock-rules.js";
+import { mockState } from "./state.js";
+import { markMockedRequest } from "./network-log.js";
+import { cdp } from "./utils.js";
+
+// ── Request mocking ────────────────────────────────────────────────────────────
+// Applies the recording's mock rules (shared/mock-rules.js) on the replay
+// debugger session. Fetch.enable pauses every request matching a rule's
+// pattern; onRequestPaused answers it from the first matching rule or lets it
+// continue. Only the recording being run supplies rules — sub-flows use their
+// caller's. After a cross-origin re-attach, requests sent before
+// resumeMocking() re-enables interception reach the real server.
+
+function fetchPatterns(rules) {
+  const patterns = [...new Set(rules.map(interceptPattern))];
+  return (patterns.includes("*") ? ["*"] : patterns).map((urlPattern) => ({
+    urlPattern,
+    requestStage: "Request"
+  }));
+}
+
+export async function startMocking(tabId, rules = []) {
+  Object.assign(mockState, { rules, hits: 0 });
+  if (rules.length === 0) return;
+  await cdp(tabId, "Fetch.enable", { patterns: fetchPatterns(rules) });
+}
+
+// A re-attached debugger session starts without interception
+export async function resumeMocking(tabId) {
+  if (mockState.rules.length === 0) return;
+  await cdp(tabId, "Fetch.enable", {
+    patterns: fetchPatterns(mockState.rules)
+  }).catch((err) =>
+    console.warn("[Replay] mocking resume failed:", err.message)
+  );
+}
+
+/**
+ * Stops applying rules and returns how many requests they answered.
+ */
+export function stopMocking() {
+  const { hits } = mockState;
+  Object.assign(mockState, { rules: [], hits: 0 });
+  return hits;
+}
+
+function base64Utf8(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Large bodies are left out of requestPaused and have to be asked for
+async function requestWithBody(tabId, { request, networkId }) {
+  if (request.postData != null || !request.hasPostData || !networkId) {
+    return request;
+  }
+  const { postData } = await cdp(tabId, "Network.getRequestPostData", {
+    requestId: networkId
+  }).catch(() => ({}));
+  return { ...request, postData };
+}
+
+async function applyRule(tabId, requestId, rule) {
+  if (rule.delayMs) await new Promise((r) => setTimeout(r, rule.delayMs));
+  if (rule.action === "abort") {
+    await cdp(tabId, "Fetch.failRequest", {
+      requestId,
+      errorReason: rule.errorReason ?? "Failed"
+    });
+  } else if (rule.action === "respond") {
+    await cdp(tabId, "Fetch.fulfillRequest", {
+      requestId,
+      responseCode: rule.status,
+      responseHeaders: Object.entries(rule.headers ?? {}).map(
+        ([name, value]) => ({ name, value })
+      ),
+      body: base64Utf8(rule.body ?? "")
+    });
+  } else {
+    await cdp(tabId, "Fetch.continueRequest", { requestId });
+  }
+}
+
+/**
+ * Fetch.requestPaused handler (called from debugger-handler.js).
+ */
+export async function onRequestPaused(tabId, params) {
+  const { requestId } = params;
+  try {
+    const rule = mockState.rules.length
+      ? findMockRule(mockState.rules, await requestWithBody(tabId, params))
+      : null;
+    if (!rule) {
+      await cdp(tabId, "Fetch.continueRequest", { requestId });
+      return;
+    }
+    mockState.hits++;
+    if (params.networkId) markMockedRequest(params.networkId, rule);
+    await applyRule(tabId, requestId, rule);
+  } catch (err) {
+    // The request may be gone (tab navigated, session detached)
+    console.warn(
+      `[Replay] mock rule not applied to ${params.request.url}:`,
+      err.message
+    );
+    cdp(tabId, "Fetch.continueRequest", { requestId }).catch(() => {});
+  }
+}
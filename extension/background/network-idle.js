@@ -0,0 +1,87 @@
+import { urlMatcher } from "../shared/url-pattern.js";
+import { replayState, networkState } from "./state.js";
+
+// ── Network idle ───────────────────────────────────────────────────────────────
+// In-flight requests of the replayed tab are tracked by requestId, so a wait can
+// tell requests apart: the auto-wait after a click only waits for requests that
+// started after the click, not for Salesforce background polls already running.
+// URLs matching settings.networkIdleIgnore (long-poll and streaming endpoints)
+// are never waited for; neither are EventSource streams.
+//
+// The network is idle once no counted request has been in flight for `idleMs`.
+
+const POLL_MS = 50;
+const NEVER_IDLE_TYPES = new Set(["EventSource", "WebSocket"]);
+
+/**
+ * Network.* event handler (called from debugger-handler.js).
+ */
+export function onNetworkIdleEvent(method, params) {
+  if (method === "Network.requestWillBeSent") {
+    if (
+      params.request.url.startsWith("data:") ||
+      NEVER_IDLE_TYPES.has(params.type)
+    ) {
+      return;
+    }
+    // A redirect reuses the requestId — the request is still in flight
+    networkState.inFlight.set(params.requestId, {
+      method: params.request.method,
+      url: params.request.url
+    });
+  } else if (
+    method === "Network.loadingFinished" ||
+    method === "Network.loadingFailed"
+  ) {
+    networkState.inFlight.delete(params.requestId);
+  }
+}
+
+// A new debugger session never reports the end of the old one's requests
+export function resetInFlight() {
+  networkState.inFlight.clear();
+}
+
+/**
+ * Ids of the requests in flight now — pass as `ignoreIds` to wait only for
+ * requests that start later.
+ */
+export function inFlightIds() {
+  return new Set(networkState.inFlight.keys());
+}
+
+/**
+ * Waits until the network is idle. Resolves { idle: true }, or
+ * { idle: false, pending: [{ method, url }] } once `timeoutMs` has passed.
+ */
+export async function waitForNetworkIdle({
+  idleMs,
+  timeoutMs,
+  ignore = [],
+  ignoreIds = new Set()
+}) {
+  const ignored = urlMatcher(ignore);
+  const pendingRequests = () =>
+    [...networkState.inFlight]
+      .filter(([id, request]) => !ignoreIds.has(id) && !ignored(request.url))
+      .map(([, request]) => request);
+
+  const deadline = Date.now() + timeoutMs;
+  let idleSince = null;
+  while (!replayState.aborted) {
+    const now = Date.now();
+    if (pendingRequests().length > 0) {
+      idleSince = null;
+    } else {
+      idleSince ??= now;
+      if (now - idleSince >= idleMs) return { idle: true };
+    }
+    if (now >= deadline) {
+      // Quiet at the deadline, just not for the full idleMs — good enough
+      const pending = pendingRequests();
+      return pending.length ? { idle: false, pending } : { idle: true };
+    }
+    await new Promise((r) => setTimeout(r, POLL_MS));
+  }
+  return { idle: true };
+}
@@ -0,0 +1,156 @@
+import { describeMockRule } from "../shared/mock-rules.js";
+import { networkLogState } from "./state.js";
+
+// ── Network log ────────────────────────────────────────────────────────────────
+// While a replay runs, every request of the tab is recorded with its response
+// metadata and the path of the step that was running when it started. At the end
+// of the run the log is stored as the "network" run artifact, which the side
+// panel exports as HAR 1.2 (shared/formats/har.js). Bodies are not captured.
+//
+// Entry shape:
+//   { requestId, stepPath, stepIterations?, wallTime, startTime, method, url, requestHeaders,
+//     postData, resourceType, status, statusText, protocol, responseHeaders,
+//     mimeType, remoteIPAddress, timing, encodedDataLength, endTime,
+//     redirectURL, error, canceled, blocked, mocked }
+// `mocked` describes the mock rule that answered the request (see mocking.js).
+// startTime/endTime are CDP monotonic timestamps (seconds).
+
+const MAX_ENTRIES = 3000;
+const MAX_POST_DATA = 10_000;
+
+export function startNetworkLog() {
+  Object.assign(networkLogState, {
+    collecting: true,
+    entries: [],
+    byRequestId: new Map(),
+    mocked: new Map(),
+    stepPath: null,
+    stepIterations: null,
+    truncated: false
+  });
+}
+
+// Requests that start from now on are attributed to this step (and, inside
+// loops, to its iterations)
+export function setNetworkStep(path, iterations = null) {
+  networkLogState.stepPath = path;
+  networkLogState.stepIterations = iterations?.length ? iterations : null;
+}
+
+/**
+ * Stops collecting and returns { entries, truncated }.
+ */
+export function takeNetworkLog() {
+  const { entries, truncated } = networkLogState;
+  Object.assign(networkLogState, {
+    collecting: false,
+    entries: [],
+    byRequestId: new Map(),
+    mocked: new Map(),
+    stepPath: null,
+    stepIterations: null
+  });
+  return { entries, truncated };
+}
+
+// Fetch.requestPaused can arrive before or after Network.requestWillBeSent
+export function markMockedRequest(requestId, rule) {
+  const state = networkLogState;
+  if (!state.collecting) return;
+  const entry = state.byRequestId.get(requestId);
+  if (entry) entry.mocked = describeMockRule(rule);
+  else state.mocked.set(requestId, describeMockRule(rule));
+}
+
+/**
+ * A request that should be highlighted: HTTP 4xx/5xx, or failed to load.
+ * Cancelled requests (navigations away, aborted XHRs) and URLs blocked on
+ * purpose (the recording's blockedUrls) are not failures.
+ */
+export function isFailedRequest(entry) {
+  return (
+    entry.status >= 400 || (!!entry.error && !entry.canceled && !entry.blocked)
+  );
+}
+
+function addEntry(params) {
+  const state = networkLogState;
+  if (state.entries.length >= MAX_ENTRIES) {
+    state.truncated = true;
+    return;
+  }
+  const { request } = params;
+  const entry = {
+    requestId: params.requestId,
+    stepPath: state.stepPath,
+    ...(state.stepIterations ? { stepIterations: state.stepIterations } : {}),
+    wallTime: params.wallTime,
+    startTime: params.timestamp,
+    method: request.method,
+    url: request.url,
+    requestHeaders: request.headers ?? {},
+    ...(request.postData
+      ? { postData: request.postData.slice(0, MAX_POST_DATA) }
+      : {}),
+    resourceType: params.type ?? "Other",
+    ...(state.mocked.has(params.requestId)
+      ? { mocked: state.mocked.get(params.requestId) }
+      : {})
+  };
+  state.entries.push(entry);
+  state.byRequestId.set(params.requestId, entry);
+}
+
+function applyResponse(entry, response) {
+  Object.assign(entry, {
+    status: response.status,
+    statusText: response.statusText,
+    protocol: response.protocol,
+    responseHeaders: response.headers ?? {},
+    mimeType: response.mimeType,
+    remoteIPAddress: response.remoteIPAddress,
+    timing: response.timing
+  });
+}
+
+/**
+ * Network.* event handler (called from debugger-handler.js).
+ */
+export function onNetworkEvent(method, params) {
+  const state = networkLogState;
+  if (!state.collecting) return;
+  const entry = state.byRequestId.get(params.requestId);
+
+  switch (method) {
+    case "Network.requestWillBeSent":
+      if (params.request.url.startsWith("data:")) return;
+      // A redirect reuses the requestId: close the previous hop first
+      if (entry && params.redirectResponse) {
+        applyResponse(entry, params.redirectResponse);
+        entry.redirectURL = params.request.url;
+        entry.endTime = params.timestamp;
+      }
+      addEntry(params);
+      break;
+    case "Network.responseReceived":
+      if (entry) applyResponse(entry, params.response);
+      break;
+    case "Network.loadingFinished":
+      if (entry) {
+        entry.encodedDataLength = params.encodedDataLength;
+        entry.endTime = params.timestamp;
+      }
+      break;
+    case "Network.loadingFailed":
+      if (entry) {
+        entry.error = params.blockedReason
+          ? `${params.errorText} (${params.blockedReason})`
+          : params.errorText;
+        entry.canceled = !!params.canceled;
+        // "inspector" = matched Network.setBlockedURLs
+        entry.blocked = params.blockedReason === "inspector";
+        entry.endTime = params.timestamp;
+      }
+      break;
+  }
+}
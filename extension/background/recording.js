@@ -1,5 +1,6 @@
 import { MSG } from "../shared/constants.js";
 import { saveRecording } from "../shared/storage.js";
+import { getVaultStatus, storeSecret } from "../shared/secrets.js";
 import { recordingState, replayState, recordingVarSnapshots } from "./state.js";
 import { broadcast, disableConflictingExtensions, restoreConflictingExtensions } from "./utils.js";
 import { startKeepalive, stopKeepalive } from "./keepalive.js";
@@ -32,7 +33,13 @@ export async function startRecording(tabId) {
   };
 
   recordingVarSnapshots.clear();
-  Object.assign(recordingState, { active: true, tabId, steps: [firstStep], remainingSteps: [] });
+  Object.assign(recordingState, {
+    active: true,
+    tabId,
+    steps: [firstStep],
+    remainingSteps: [],
+    pendingSecrets: new Map()
+  });
   startKeepalive();
   broadcast(MSG.RECORD_STEP, { step: firstStep });
 
@@ -105,7 +112,13 @@ export async function continueRecording(tabId, steps, remainingSteps = []) {
   }
 
   recordingVarSnapshots.clear();
-  Object.assign(recordingState, { active: true, tabId, steps: [...steps], remainingSteps: [...remainingSteps] });
+  Object.assign(recordingState, {
+    active: true,
+    tabId,
+    steps: [...steps],
+    remainingSteps: [...remainingSteps],
+    pendingSecrets: new Map()
+  });
   startKeepalive();
 
   await chrome.scripting.executeScript({
@@ -122,6 +135,29 @@ export async function stopRecording(name, sendResponse) {
     return;
   }
 
+  // Secret values typed during recording go into the vault before anything is
+  // saved. While it is locked, keep recording so the side panel can ask for the
+  // passphrase and retry.
+  const secretRefs = new Set(
+    recordingState.steps.map((s) => s.secretRef).filter(Boolean)
+  );
+  const hasPending = [...recordingState.pendingSecrets.keys()].some((ref) =>
+    secretRefs.has(ref)
+  );
+  if (hasPending && !(await getVaultStatus()).unlocked) {
+    sendResponse({
+      ok: false,
+      vaultLocked: true,
+      error: "Unlock the secrets vault to save this recording"
+    });
+    return;
+  }
+  for (const [ref, { name: secretName, value }] of recordingState.pendingSecrets) {
+    // Secrets whose step was deleted from the feed are dropped
+    if (secretRefs.has(ref)) await storeSecret(secretName, value, ref);
+  }
+  recordingState.pendingSecrets.clear();
+
   recordingState.active = false;
   stopKeepalive();
   chrome.webNavigation.onDOMContentLoaded.removeListener(onNavCommitted);
@@ -140,11 +176,10 @@ export async function stopRecording(name, sendResponse) {
 
   const id = crypto.randomUUID();
   const allSteps = [...recordingState.steps, ...recordingState.remainingSteps];
-  const saved = await saveRecording({
-    id,
-    title: name,
-    steps: allSteps
-  });
+  const saved = await saveRecording(
+    { id, title: name, steps: allSteps },
+    { reason: "recorded" }
+  );
   broadcast(MSG.RECORDING_STATE, { recording: false });
   sendResponse({ ok: true, recording: saved });
   await restoreConflictingExtensions();
@@ -185,7 +220,13 @@ export async function forceReset() {
     }
   }
   recordingVarSnapshots.clear();
-  Object.assign(recordingState, { active: false, tabId: null, steps: [], remainingSteps: [] });
+  Object.assign(recordingState, {
+    active: false,
+    tabId: null,
+    steps: [],
+    remainingSteps: [],
+    pendingSecrets: new Map()
+  });
 
   // 2. Tear down any active replay
   if (replayState.active && replayState.tabId) {
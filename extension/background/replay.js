@@ -1,15 +1,67 @@
-import { MSG } from "../shared/constants.js";
-import { getRecordings, appendRunResult } from "../shared/storage.js";
+import { MSG, OPTIONAL_STEP_TIMEOUT_MS } from "../shared/constants.js";
+import {
+  getRecordings,
+  getRecording,
+  appendRunResult,
+  getSettings,
+  saveArtifact
+} from "../shared/storage.js";
 import { executeStep } from "../shared/step-executor/index.js";
+import {
+  getVariable,
+  setVariable,
+  createScope,
+  interpolateVariables,
+  interpolateStep,
+  interpolateSelectors
+} from "../shared/step-executor/variables.js";
+import { matchesFilter, groupBySuite } from "../shared/suites.js";
+import { readSecret, maskSecretValues } from "../shared/secrets.js";
+import { findMatchingPattern } from "../shared/page-errors.js";
+import { classifyError, shouldRetry, retryDelay } from "../shared/retry.js";
+import { failureModeOf } from "../shared/failure-mode.js";
+import { findBlock } from "../shared/blocks.js";
+import {
+  DEFAULT_INDEX_VARIABLE,
+  DEFAULT_TEXT_VARIABLE,
+  DEFAULT_MAX_ITERATIONS
+} from "../shared/loops.js";
+import {
+  effectiveNetworkConditions,
+  describeNetworkConditions
+} from "../shared/network-conditions.js";
+import {
+  getActiveEnvironment,
+  applyEnvironment
+} from "../shared/environments.js";
 import {
   replayState,
   clipboardVars,
   variables,
   frameContextMap,
-  networkState
+  pageLogState
 } from "./state.js";
 import { cdp, broadcast, getStepDetail, disableConflictingExtensions, restoreConflictingExtensions } from "./utils.js";
 import { startKeepalive, stopKeepalive } from "./keepalive.js";
+import {
+  startScreencast,
+  stopScreencast,
+  cancelScreencast,
+  markScreencastStep
+} from "./screencast.js";
+import {
+  startNetworkLog,
+  setNetworkStep,
+  takeNetworkLog,
+  isFailedRequest
+} from "./network-log.js";
+import { startMocking, stopMocking } from "./mocking.js";
+import { startEmulation, stopEmulation } from "./emulation.js";
+import {
+  waitForNetworkIdle,
+  inFlightIds,
+  resetInFlight
+} from "./network-idle.js";
 
 // Strip text/ selectors before using them in auto-prepended waitForElement steps.
 // text/ selectors embed the element's visible text at record time, which is often
@@ -22,8 +74,171 @@ function selectorsForWait(selectors) {
   return filtered.length > 0 ? filtered : selectors; // fall back to original if all were text/
 }
 
+// ── Step progress ──────────────────────────────────────────────────────────────
+// Steps are addressed by their path: [4] is the 5th top-level step, [4, 1] the
+// 2nd step of the sub-flow called by that step. stepIndex stays the top-level
+// index so the progress bar keeps moving through the caller's steps. Steps
+// inside loops also carry `iterations`, the 1-based iteration number of every
+// loop around them (outermost first), as a path alone repeats.
+
+function pathKey(path) {
+  return path.join(".");
+}
+
+function pathLabel(path) {
+  return path.map((i) => i + 1).join(".");
+}
+
+// Identifies one execution of a step: "4.2@3" is step 5.3 in a loop's 3rd pass
+function executionKey(path, iterations) {
+  return iterations?.length
+    ? `${pathKey(path)}@${iterations.join(".")}`
+    : pathKey(path);
+}
+
+function iterationFields(ctx) {
+  return ctx.iterations?.length ? { iterations: ctx.iterations } : {};
+}
+
+// ── Screenshots ────────────────────────────────────────────────────────────────
+// A failed step is always captured; settings.screenshotEveryStep captures passed
+// steps too. Images are stored as run artifacts named after the step path (and
+// loop iterations) and referenced from the step result as `screenshot`.
+
+async function captureScreenshot(ctx, path, status) {
+  const iterations = ctx.iterations ?? [];
+  const suffix = iterations.length ? `@${iterations.join(".")}` : "";
+  const name = `step-${pathLabel(path)}${suffix}`;
+  try {
+    const { data } = await cdp(ctx.tabId, "Page.captureScreenshot", {
+      format: "jpeg",
+      quality: 70
+    });
+    await saveArtifact({
+      runId: ctx.runId,
+      name,
+      kind: "screenshot",
+      mimeType: "image/jpeg",
+      data,
+      path,
+      ...iterationFields(ctx),
+      status
+    });
+    return name;
+  } catch (err) {
+    // Debugger detached or tab gone — the step result is still recorded
+    console.warn(
+      `[Replay] screenshot of step ${pathLabel(path)} failed:`,
+      err.message
+    );
+    return null;
+  }
+}
+
+// ── Page errors ────────────────────────────────────────────────────────────────
+// debugger-handler.js appends the page's errors and warnings to pageLogState;
+// each step result keeps the entries logged while it ran (shared/page-errors.js).
+
+const MAX_PAGE_LOG_PER_STEP = 50;
+
+// A runRecording step's entries belong to the sub-flow steps that logged them
+function pageLogSince(ctx, start, step) {
+  if (step.type === "runRecording") return [];
+  return pageLogState.entries
+    .slice(start, start + MAX_PAGE_LOG_PER_STEP)
+    .map((e) => ({ ...e, text: maskSecretValues(e.text, ctx.secretValues) }));
+}
+
+// Fails the step when an error it logged matches the recording's failOnPageErrors
+function assertNoPageErrors(ctx, entries) {
+  for (const entry of entries) {
+    if (entry.level !== "error") continue;
+    const pattern = findMatchingPattern(ctx.failOnPageErrors, entry.text);
+    if (pattern) {
+      throw new Error(`Page error matched "${pattern}": ${entry.text}`);
+    }
+  }
+}
+
+function reportStep(ctx, path, step, fields) {
+  if (fields.countdown === undefined) {
+    markScreencastStep(path, step.type, fields.status);
+  }
+  broadcast(MSG.STEP_PROGRESS, {
+    stepIndex: path[0],
+    total: ctx.total,
+    path,
+    stepType: step.type,
+    stepDetail: getStepDetail(step),
+    ...iterationFields(ctx),
+    ...fields
+  });
+}
+
 // ── Replay ─────────────────────────────────────────────────────────────────────
-export async function runRecording(recording, tabId, stepDelay) {
+
+/**
+ * Replays a recording. With a dataset attached (shared/datasets.js) the flow runs
+ * once per row: every row is a separate run with its own history entry, and
+ * DATASET_COMPLETE reports which rows failed. Resolves with the run result, or
+ * with the dataset summary ({ passed, rows, totalRows }) for data-driven runs.
+ * `attempt` ({ number, total, previous }) marks a batch re-run of a failed
+ * recording; it is ignored for data-driven runs.
+ */
+export async function runRecording(recording, tabId, stepDelay, attempt = null) {
+  const rows = recording.dataset?.rows ?? [];
+  if (rows.length === 0) {
+    return runIteration(recording, tabId, stepDelay, null, attempt);
+  }
+  if (replayState.active) return; // prevent concurrent runs
+
+  const results = [];
+  for (let i = 0; i < rows.length; i++) {
+    // `aborted` survives the previous run, so only check it between rows
+    if (i > 0 && replayState.aborted) break;
+    broadcast(MSG.ITERATION_PROGRESS, {
+      recordingId: recording.id,
+      recordingTitle: recording.title,
+      current: i + 1,
+      total: rows.length,
+      values: rows[i]
+    });
+    const iteration = { index: i, total: rows.length, values: rows[i] };
+    const result = await runIteration(recording, tabId, stepDelay, iteration);
+    if (!result) break;
+    results.push({
+      index: i,
+      values: rows[i],
+      runId: result.runId,
+      passed: result.passed,
+      failedStep: result.failedStep
+    });
+  }
+
+  const summary = {
+    recordingId: recording.id,
+    recordingTitle: recording.title,
+    passed:
+      results.length === rows.length && results.every((r) => r.passed),
+    rows: results,
+    totalRows: rows.length
+  };
+  broadcast(MSG.DATASET_COMPLETE, summary);
+  return summary;
+}
+
+// One replay of the recording in a fresh debugger session. `iteration` is
+// { index, total, values } when running a dataset row; its values become run
+// variables so steps can reference them as {{column}}. Recorded URLs are
+// rewritten for the active environment profile, whose variables are also set
+// (dataset values win over environment variables of the same name).
+async function runIteration(
+  recording,
+  tabId,
+  stepDelay,
+  iteration = null,
+  attempt = null
+) {
   if (replayState.active) return; // prevent concurrent runs
 
   Object.assign(replayState, {
@@ -45,6 +260,7 @@ export async function runRecording(recording, tabId, stepDelay) {
 
   // Start every run from a blank page so there's no leftover state from a
   // previous session. The first recorded step (navigate) will go to the real URL.
+  // The tab is the user's own unless settings.runIn opened one (run-target.js).
   await chrome.tabs.update(tabId, { url: "about:blank" });
   // Give the browser a moment to load blank before attaching the debugger.
   await new Promise((r) => setTimeout(r, 300));
@@ -56,6 +272,14 @@ export async function runRecording(recording, tabId, stepDelay) {
   const replaySuffix = runId.slice(0, 3);
   variables.set("__replaySuffix__", replaySuffix);
   await chrome.storage.session.set({ replaySuffix });
+  const settings = await getSettings();
+  const environment = getActiveEnvironment(settings);
+  for (const [name, value] of Object.entries({
+    ...environment?.variables,
+    ...iteration?.values
+  })) {
+    setVariable(variables, name, value);
+  }
 
   const startedAt = new Date().toISOString();
   const stepResults = [];
@@ -68,9 +292,22 @@ export async function runRecording(recording, tabId, stepDelay) {
     // Enable CDP domains
     await cdp(tabId, "Runtime.enable");
     await cdp(tabId, "Page.enable");
-    // Network domain: track in-flight requests so post-click idle waits work.
+    // Network domain: track in-flight requests so post-click idle waits work,
+    // and record every request for the run's network log.
+    startNetworkLog();
     await cdp(tabId, "Network.enable");
-    networkState.pendingCount = 0;
+    resetInFlight();
+    // Log domain: browser-reported errors (failed resources, CSP, …) for the page log
+    await cdp(tabId, "Log.enable");
+    pageLogState.entries = [];
+    // Fetch domain: answer requests from the recording's mock rules
+    await startMocking(tabId, recording.mockRules ?? []);
+    // Throttling and blocked URLs, from the run override or the recording
+    const networkConditions = effectiveNetworkConditions(
+      recording.networkConditions,
+      settings.networkOverride
+    );
+    await startEmulation(tabId, networkConditions, recording.blockedUrls ?? []);
 
     // CDP presence causes the browser to emit PerformanceObserver entry types
     // that Salesforce Lightning's O11Y system doesn't recognise (internal enum value 2),
@@ -100,369 +337,100 @@ export async function runRecording(recording, tabId, stepDelay) {
 })();`
     });
 
-    for (let i = 0; i < recording.steps.length; i++) {
-      // If the debugger was detached by a cross-origin navigation, wait for
-      // re-attachment to complete before running the next step.
-      if (replayState.reattachPromise) {
-        console.log(
-          `[Replay] step ${i + 1} waiting for debugger re-attachment...`
-        );
-        await replayState.reattachPromise;
-      }
-      if (replayState.aborted) break;
-
-      const step = recording.steps[i];
-      const stepStart = Date.now();
-      const stepDetail = getStepDetail(step);
-
-      broadcast(MSG.STEP_PROGRESS, {
-        stepIndex: i,
-        total: recording.steps.length,
-        status: "running",
-        stepType: step.type,
-        stepDetail
-      });
+    await startScreencast(tabId, runId).catch((err) =>
+      console.warn("[Replay] screencast failed to start:", err.message)
+    );
 
-      try {
-        // Auto: waitForElement before clicks, change, and selectOption steps
-        if (
-          (step.type === "click" ||
-            step.type === "doubleClick" ||
-            step.type === "change" ||
-            step.type === "selectOption" ||
-            step.type === "assertElement") &&
-          step.selectors?.length
-        ) {
-          // Ensure any in-progress re-attachment is done before issuing CDP calls.
-          if (replayState.reattachPromise) await replayState.reattachPromise;
-          if (!replayState.aborted) {
-            console.log(
-              `[Replay] step ${i + 1} auto → waitForElement`,
-              JSON.stringify(step.selectors)
-            );
-            await executeStep(
-              {
-                type: "waitForElement",
-                selectors: selectorsForWait(step.selectors),
-                target: step.target,
-                ...(step.frame ? { frame: step.frame } : {})
-              },
-              tabId,
-              frameContextMap,
-              clipboardVars,
-              cdp,
-              variables
-            ).catch((err) =>
-              console.warn(
-                `[Replay] step ${i + 1} waitForElement failed (proceeding):`,
-                err.message
-              )
-            );
-          }
-          // The debugger may have detached DURING the waitForElement (e.g. Salesforce SSO).
-          // waitForSelector now fails fast on CDP errors, so this re-attach wait is short.
-          // After re-attachment, re-run waitForElement so the element actually settles
-          // on the freshly-loaded page before the click fires.
-          if (replayState.reattachPromise) {
-            console.log(
-              `[Replay] step ${i + 1} waiting for re-attachment after waitForElement detach…`
-            );
-            await replayState.reattachPromise;
-            if (replayState.aborted) break;
-            console.log(
-              `[Replay] step ${i + 1} re-running waitForElement after re-attach`
-            );
-            await executeStep(
-              {
-                type: "waitForElement",
-                selectors: step.selectors,
-                target: step.target,
-                ...(step.frame ? { frame: step.frame } : {})
-              },
-              tabId,
-              frameContextMap,
-              clipboardVars,
-              cdp,
-              variables
-            ).catch((err) =>
-              console.warn(
-                `[Replay] step ${i + 1} waitForElement (post-reattach) failed (proceeding):`,
-                err.message
-              )
-            );
-          }
-        }
-
-        if (replayState.aborted) break;
-        console.log(`[Replay] step ${i + 1}:`, JSON.stringify(step, null, 2));
-
-        // Snapshot pending count before the click so we only wait for requests
-        // that the click itself triggered, not pre-existing Salesforce background polls.
-        // const preClickCount =
-        //   (step.type === "click" || step.type === "doubleClick")
-        //     ? networkState.pendingCount
-        //     : 0;
-
-        if (step.type === "wait") {
-          // Countdown display: broadcast a tick every second instead of a plain sleep
-          const totalMs = Math.max(0, step.duration ?? 0);
-          let elapsed = 0;
-          while (elapsed < totalMs && !replayState.aborted) {
-            const remaining = Math.ceil((totalMs - elapsed) / 1000);
-            broadcast(MSG.STEP_PROGRESS, {
-              stepIndex: i,
-              total: recording.steps.length,
-              status: "running",
-              stepType: step.type,
-              stepDetail,
-              countdown: remaining
-            });
-            const tick = Math.min(1000, totalMs - elapsed);
-            await new Promise((r) => setTimeout(r, tick));
-            elapsed += tick;
-          }
-        } else {
-          await executeStep(
-            step,
-            tabId,
-            frameContextMap,
-            clipboardVars,
-            cdp,
-            variables
-          );
-        }
-
-        // After a click/doubleClick followed by a navigate step, poll briefly so that
-        // slow async JS button handlers have time to start navigation before execNavigate
-        // runs. Once the tab transitions to "loading", execNavigate's samePathname checks
-        // will follow the browser's redirect instead of forcing the stale recorded URL.
-        if (
-          (step.type === "click" || step.type === "doubleClick") &&
-          i + 1 < recording.steps.length &&
-          recording.steps[i + 1].type === "navigate" &&
-          !replayState.aborted
-        ) {
-          const deadline = Date.now() + 1000;
-          while (Date.now() < deadline && !replayState.aborted) {
-            await new Promise((r) => setTimeout(r, 100));
-            const tc = await chrome.tabs.get(tabId).catch(() => null);
-            if (!tc || tc.status === "loading") break;
-          }
-        }
-
-        // After a click/doubleClick NOT followed by a full navigation, wait for any
-        // AJAX requests triggered by the click to finish (e.g. wizard steps that load
-        // new content without a page navigation). Strategy:
-        //   1. Wait 50ms for the click's requests to start.
-        //   2. Only wait if pendingCount EXCEEDS the pre-click baseline — this filters
-        //      out Salesforce background polls that were already in-flight before the click.
-        //   3. Wait until count drops back to baseline (max 5s).
-        // if (
-        //   (step.type === "click" || step.type === "doubleClick") &&
-        //   !(i + 1 < recording.steps.length && recording.steps[i + 1].type === "navigate") &&
-        //   !replayState.aborted
-        // ) {
-        //   await new Promise((r) => setTimeout(r, 50));
-        //   if (networkState.pendingCount > preClickCount) {
-        //     const netDeadline = Date.now() + 5_000;
-        //     while (
-        //       networkState.pendingCount > preClickCount &&
-        //       Date.now() < netDeadline &&
-        //       !replayState.aborted
-        //     ) {
-        //       await new Promise((r) => setTimeout(r, 100));
-        //     }
-        //   }
-        // }
-
-        // Auto: after any click, watch for wizard panels to finish mutating.
-        // For steps inside an iframe (React wizard pages), run the mutation wait in the
-        // iframe's own execution context so the split-view container selector can be found.
-        // On pages without wizard panels the observer exits instantly (no overhead).
-        if (
-          (step.type === "click" || step.type === "doubleClick") &&
-          !replayState.aborted
-        ) {
-          if (step.frame && step.frame.length > 0) {
-            // React wizard inside iframe: watch the split-view container for DOM settlement.
-            // noMutationTimeout 500ms gives the React re-render cycle time to start before
-            // we decide no mutations are coming.
-            await executeStep(
-              {
-                type: "waitForMutation",
-                selector: ".split-view-container, .allotment-module_splitViewContainer__rQnVa",
-                settle: 300,
-                timeout: 10_000,
-                noMutationTimeout: 500,
-                frame: step.frame
-              },
-              tabId,
-              frameContextMap,
-              clipboardVars,
-              cdp,
-              variables
-            ).catch((err) =>
-              console.warn("[Replay] waitForMutation (iframe wizard) failed (proceeding):", err.message)
-            );
-          } else {
-            // Main frame: existing split-view-view selector, fast exit on non-wizard pages.
-            await executeStep(
-              {
-                type: "waitForMutation",
-                selector: "[data-testid='split-view-view']",
-                settle: 100,
-                timeout: 8_000,
-                noMutationTimeout: 200
-              },
-              tabId,
-              frameContextMap,
-              clipboardVars,
-              cdp,
-              variables
-            ).catch((err) =>
-              console.warn("[Replay] waitForMutation failed (proceeding):", err.message)
-            );
-          }
-        }
-
-        // Auto: waitForPageLoad after navigate or selectOption (which may trigger navigation)
-        if (
-          (step.type === "navigate" || step.type === "selectOption") &&
-          !replayState.aborted
-        ) {
-          // Wait for any in-progress re-attachment (e.g. Salesforce SSO fires target_closed
-          // asynchronously during or just after the navigate step) before issuing CDP calls.
-          if (replayState.reattachPromise) await replayState.reattachPromise;
-          if (!replayState.aborted) {
-            console.log(`[Replay] step ${i + 1} auto → waitForPageLoad`);
-            await executeStep(
-              { type: "waitForPageLoad" },
-              tabId,
-              frameContextMap,
-              clipboardVars,
-              cdp,
-              variables
-            ).catch((err) =>
-              console.warn(
-                `[Replay] step ${i + 1} waitForPageLoad failed (proceeding):`,
-                err.message
-              )
-            );
-          }
-        }
-
-        await new Promise((r) => setTimeout(r, stepDelay ?? 50)); // gap between actions
-
-        // Debug breakpoint: pause after this step if flagged, dynamically set, or step-once
-        const shouldPause =
-          !replayState.debugFinished &&
-          !replayState.aborted &&
-          (step.debug ||
-            replayState.stepOnce ||
-            replayState.dynamicBreakpoints.has(i));
-        if (shouldPause) {
-          replayState.stepOnce = false;
-          replayState.dynamicBreakpoints.delete(i);
-          broadcast(MSG.DEBUG_PAUSE, {
-            stepIndex: i,
-            total: recording.steps.length,
-            stepType: step.type
-          });
-          await new Promise((resolve) => {
-            replayState.debugResolve = resolve;
-          });
-          replayState.debugResolve = null;
-        }
-
-        const durationMs = Date.now() - stepStart;
-        stepResults.push({
-          index: i,
-          type: step.type,
-          status: "passed",
-          durationMs
-        });
-
-        broadcast(MSG.STEP_PROGRESS, {
-          stepIndex: i,
-          total: recording.steps.length,
-          status: "passed",
-          stepType: step.type,
-          stepDetail,
-          durationMs
-        });
-      } catch (err) {
-        const durationMs = Date.now() - stepStart;
-        const errorMsg = err.message ?? String(err);
-        console.error(
-          `[Replay] step ${i + 1} (${step.type}) FAILED:`,
-          errorMsg,
-          step
-        );
-        stepResults.push({
-          index: i,
-          type: step.type,
-          status: "failed",
-          durationMs,
-          error: errorMsg
-        });
-
-        broadcast(MSG.STEP_PROGRESS, {
-          stepIndex: i,
-          total: recording.steps.length,
-          status: "failed",
-          stepType: step.type,
-          stepDetail,
-          durationMs,
-          error: errorMsg
-        });
-
-        // Assertion failures: continue so all consecutive assertions run.
-        // Any other step type is fatal — stop immediately.
-        const isAssertion = step.type === "assertNotPresent" || step.type === "assertElement";
-        if (isAssertion) continue;
-
-        // Save result and exit
-        const result = {
-          runId,
-          recordingId: recording.id,
-          recordingTitle: recording.title,
-          startedAt,
-          completedAt: new Date().toISOString(),
-          passed: false,
-          totalSteps: recording.steps.length,
-          completedSteps: i,
-          failedStep: { index: i, type: step.type, error: errorMsg },
-          stepResults
-        };
-        await appendRunResult(result);
-
-        broadcast(MSG.RUN_COMPLETE, {
-          recordingId: recording.id,
-          runId,
-          passed: false,
-          failedStep: result.failedStep
-        });
-
-        return result;
-      }
-    }
+    const ctx = {
+      tabId,
+      runId,
+      stepDelay,
+      screenshotEveryStep: settings.screenshotEveryStep,
+      failOnPageErrors: recording.failOnPageErrors ?? [],
+      retry: recording.retry ?? null, // default policy for steps without their own
+      networkIdle: {
+        autoWait: settings.autoWaitNetworkIdle,
+        idleMs: settings.networkIdleMs,
+        timeoutMs: settings.networkIdleTimeoutMs,
+        ignore: settings.networkIdleIgnore
+      },
+      total: recording.steps.length,
+      stepResults,
+      environment,
+      callStack: [recording.id], // recordings currently executing (sub-flow cycle guard)
+      secretValues: new Set() // values read from the vault, masked in errors
+    };
+    const { fatal } = await runSteps(
+      recording.steps,
+      ctx,
+      { variables, clipboardVars },
+      []
+    );
+    const screencast = await stopScreencast(tabId);
+    const mockedRequests = stopMocking();
+    const network = await saveNetworkLog(ctx);
 
-    // All steps done (or aborted). Check for any deferred assertion failures.
-    const assertionFailures = stepResults.filter((s) => s.status === "failed");
-    const passed = !replayState.aborted && assertionFailures.length === 0;
-    const firstFailure = assertionFailures[0] ?? null;
+    // All steps done, aborted, or stopped by a fatal failure. Soft failures
+    // are deferred, so report the first failure of any kind.
+    const failures = stepResults.filter((s) => s.status === "failed");
+    const skipped = stepResults.filter((s) => s.status === "skipped");
+    const passed = !replayState.aborted && failures.length === 0;
+    const firstFailure = fatal ?? failures[0] ?? null;
+    // Steps inside loops have a result per iteration; a step counts once
+    const failedIndexes = new Set(
+      failures.filter((s) => s.path.length === 1).map((s) => s.index)
+    );
+    const completedIndexes = new Set(
+      stepResults
+        .filter(
+          (s) =>
+            (s.status === "passed" || s.status === "skipped") &&
+            s.path.length === 1 &&
+            !failedIndexes.has(s.index)
+        )
+        .map((s) => s.index)
+    );
     const result = {
       runId,
       recordingId: recording.id,
       recordingTitle: recording.title,
+      ...(iteration ? { iteration } : {}),
+      ...(attempt
+        ? {
+            attempt: { number: attempt.number, total: attempt.total },
+            previousAttempts: attempt.previous
+          }
+        : {}),
+      ...(environment ? { environment: environment.name } : {}),
+      ...(networkConditions
+        ? { networkConditions: describeNetworkConditions(networkConditions) }
+        : {}),
       startedAt,
       completedAt: new Date().toISOString(),
       passed,
       totalSteps: recording.steps.length,
-      completedSteps: stepResults.filter((s) => s.status === "passed").length,
+      completedSteps: completedIndexes.size,
+      ...(skipped.length ? { skippedSteps: skipped.length } : {}),
+      softFailures: failures.filter((s) => s.failureMode === "soft").length,
       failedStep: firstFailure
-        ? { index: firstFailure.index, type: firstFailure.type, error: firstFailure.error }
+        ? {
+            index: firstFailure.path[0],
+            path: firstFailure.path,
+            ...(firstFailure.iterations
+              ? { iterations: firstFailure.iterations }
+              : {}),
+            type: firstFailure.type,
+            error: firstFailure.error,
+            ...(firstFailure.screenshot
+              ? { screenshot: firstFailure.screenshot }
+              : {})
+          }
         : null,
+      ...(screencast ? { screencast } : {}),
+      network: { ...network, mocked: mockedRequests },
+      pageErrors: stepResults
+        .flatMap((s) => s.console ?? [])
+        .filter((e) => e.level === "error").length,
       stepResults
     };
     await appendRunResult(result);
@@ -470,10 +438,17 @@ export async function runRecording(recording, tabId, stepDelay) {
       recordingId: recording.id,
       runId,
       passed,
-      failedStep: result.failedStep
+      failedStep: result.failedStep,
+      iteration,
+      attempt: result.attempt
     });
     return result;
   } finally {
+    // The run threw before its video was saved — stop the stream
+    await cancelScreencast(tabId);
+    takeNetworkLog();
+    stopMocking();
+    stopEmulation();
     if (attached) {
       try {
         await chrome.debugger.detach({ tabId });
@@ -491,9 +466,863 @@ export async function runRecording(recording, tabId, stepDelay) {
   }
 }
 
-export async function runAll(tabId, stepDelay) {
-  const recordings = await getRecordings();
-  if (recordings.length === 0) return;
+const MAX_FAILED_REQUESTS_PER_STEP = 10;
+
+// Stores the run's network log as the "network" artifact (secret values masked)
+// and adds the failed requests each step started to its step result, so run
+// history can list them next to the step. Returns the summary kept on the result.
+async function saveNetworkLog(ctx) {
+  const log = takeNetworkLog();
+  const entries = log.entries.map((entry) => ({
+    ...entry,
+    url: maskSecretValues(entry.url, ctx.secretValues),
+    ...(entry.postData != null
+      ? { postData: maskSecretValues(entry.postData, ctx.secretValues) }
+      : {})
+  }));
+  const failedByStep = new Map();
+  for (const entry of entries) {
+    if (!entry.stepPath || !isFailedRequest(entry)) continue;
+    const key = executionKey(entry.stepPath, entry.stepIterations);
+    if (!failedByStep.has(key)) failedByStep.set(key, []);
+    failedByStep.get(key).push({
+      method: entry.method,
+      url: entry.url,
+      ...(entry.status >= 400
+        ? { status: entry.status, statusText: entry.statusText }
+        : { error: entry.error })
+    });
+  }
+  for (const result of ctx.stepResults) {
+    const failed = failedByStep.get(
+      executionKey(result.path, result.iterations)
+    );
+    if (!failed) continue;
+    result.failedRequests = failed.slice(0, MAX_FAILED_REQUESTS_PER_STEP);
+    if (failed.length > MAX_FAILED_REQUESTS_PER_STEP)
+      result.failedRequestCount = failed.length;
+  }
+
+  await saveArtifact({
+    runId: ctx.runId,
+    name: "network",
+    kind: "network",
+    entries,
+    truncated: log.truncated
+  }).catch((err) =>
+    console.warn("[Replay] network log not saved:", err.message)
+  );
+  return {
+    requests: entries.length,
+    failed: [...failedByStep.values()].reduce((n, f) => n + f.length, 0),
+    truncated: log.truncated
+  };
+}
+
+// Runs a list of steps (a recording or a sub-flow's steps) in the current debugger
+// session. Every step result is pushed to ctx.stepResults with its path.
+// Returns { fatal } — the failure that stopped the list, or null.
+async function runSteps(steps, ctx, scope, parentPath) {
+  const blocks = []; // open if blocks, innermost last (see settleBlockStep)
+  const loops = []; // running loops, innermost last (see advanceLoop)
+  for (let i = 0; i < steps.length; i++) {
+    // If the debugger was detached by a cross-origin navigation, wait for
+    // re-attachment to complete before running the next step.
+    if (replayState.reattachPromise) {
+      console.log(
+        `[Replay] step ${pathLabel([...parentPath, i])} waiting for debugger re-attachment...`
+      );
+      await replayState.reattachPromise;
+    }
+    if (replayState.aborted) break;
+
+    const step = steps[i];
+    const path = [...parentPath, i];
+    const stepStart = Date.now();
+    // A loop step itself belongs to the iterations of the loops around it only
+    const iterations = loops
+      .filter((loop) => loop.start !== i)
+      .map((loop) => loop.iteration);
+    const stepCtx = iterations.length
+      ? { ...ctx, iterations: [...(ctx.iterations ?? []), ...iterations] }
+      : ctx;
+
+    if (
+      step.type === "else" ||
+      step.type === "endIf" ||
+      !inTakenBranch(blocks)
+    ) {
+      settleBlockStep(step, stepCtx, path, blocks);
+      continue;
+    }
+    if (step.type === "loop") {
+      const { next, fatal } = await advanceLoop(steps, i, loops, stepCtx, scope, path);
+      if (fatal) return { fatal };
+      i = next - 1;
+      continue;
+    }
+    if (step.type === "endLoop") {
+      // Back to the loop step, which decides whether another iteration runs
+      if (loops.at(-1)?.end === i) {
+        i = loops.at(-1).start - 1;
+      } else {
+        settleBlockStep(step, stepCtx, path, blocks);
+      }
+      continue;
+    }
+
+    reportStep(stepCtx, path, step, { status: "running" });
+    setNetworkStep(path, stepCtx.iterations);
+    const logStart = pageLogState.entries.length;
+    let pageLog = null;
+    const retries = []; // failed attempts that were retried
+    const mode = failureModeOf(step);
+
+    if (mode === "optional" && !(await optionalElementAppears(step, ctx, scope))) {
+      if (replayState.aborted) break;
+      const durationMs = Date.now() - stepStart;
+      const reason = `Element did not appear within ${OPTIONAL_STEP_TIMEOUT_MS / 1000}s`;
+      console.log(`[Replay] step ${pathLabel(path)} (${step.type}) skipped: ${reason}`);
+      ctx.stepResults.push({
+        index: path[0],
+        path,
+        ...iterationFields(stepCtx),
+        type: step.type,
+        status: "skipped",
+        durationMs,
+        reason
+      });
+      reportStep(stepCtx, path, step, { status: "skipped", durationMs, reason });
+      continue;
+    }
+
+    try {
+      const outcome = await runStepWithRetry(
+        step,
+        steps[i + 1],
+        stepCtx,
+        scope,
+        path,
+        retries
+      );
+      if (replayState.aborted) break;
+      pageLog = pageLogSince(ctx, logStart, step);
+      assertNoPageErrors(ctx, pageLog);
+
+      const durationMs = Date.now() - stepStart;
+      const screenshot = ctx.screenshotEveryStep
+        ? await captureScreenshot(stepCtx, path, "passed")
+        : null;
+      const conditionMet = step.type === "if" ? outcome === true : undefined;
+      if (step.type === "if") {
+        console.log(
+          `[Replay] step ${pathLabel(path)} condition ${conditionMet ? "met" : "not met"}`
+        );
+        blocks.push({ reached: true, met: conditionMet, active: conditionMet });
+      }
+      ctx.stepResults.push({
+        index: path[0],
+        path,
+        ...iterationFields(stepCtx),
+        type: step.type,
+        status: "passed",
+        durationMs,
+        ...(step.type === "if" ? { conditionMet } : {}),
+        ...(retries.length ? { retries } : {}),
+        ...(screenshot ? { screenshot } : {}),
+        ...(pageLog.length ? { console: pageLog } : {})
+      });
+      reportStep(stepCtx, path, step, {
+        status: "passed",
+        durationMs,
+        ...(step.type === "if" ? { conditionMet } : {}),
+        ...(retries.length ? { retries: retries.length } : {})
+      });
+    } catch (err) {
+      const durationMs = Date.now() - stepStart;
+      pageLog ??= pageLogSince(ctx, logStart, step);
+      const errorMsg = maskSecretValues(
+        err.message ?? String(err),
+        ctx.secretValues
+      );
+      console.error(
+        `[Replay] step ${pathLabel(path)} (${step.type}) FAILED:`,
+        errorMsg,
+        step
+      );
+      // A failed sub-flow step already captured the page where it stopped
+      const screenshot = err.subFlowFailure
+        ? null
+        : await captureScreenshot(stepCtx, path, "failed");
+      // An optional step whose element appeared but that failed anyway is soft
+      const failureMode = mode === "fatal" ? "fatal" : "soft";
+      const failure = {
+        index: path[0],
+        path,
+        ...iterationFields(stepCtx),
+        type: step.type,
+        status: "failed",
+        failureMode,
+        durationMs,
+        error: errorMsg,
+        ...(retries.length ? { retries } : {}),
+        ...(screenshot ? { screenshot } : {}),
+        ...(pageLog.length ? { console: pageLog } : {})
+      };
+      ctx.stepResults.push(failure);
+      reportStep(stepCtx, path, step, {
+        status: "failed",
+        failureMode,
+        durationMs,
+        error: errorMsg
+      });
+
+      // Soft failures (assertions by default, see shared/failure-mode.js) let
+      // the following steps run. Fatal ones stop immediately. A failed
+      // sub-flow reports the nested step that stopped it.
+      // A condition that couldn't be checked runs neither branch
+      if (step.type === "if") {
+        blocks.push({ reached: true, met: null, active: false });
+      }
+      if (failureMode === "soft") continue;
+      return { fatal: err.subFlowFailure ?? failure };
+    }
+  }
+  return { fatal: null };
+}
+
+// ── Conditional blocks ─────────────────────────────────────────────────────────
+// if/else/endIf markers (see shared/conditions.js) are tracked in a stack of
+// open blocks, innermost last: { reached, met, active }. `reached` — the if step
+// was evaluated (it wasn't inside a branch that isn't taken); `met` — the
+// condition result, null when it couldn't be checked; `active` — the block's
+// current branch runs.
+
+function inTakenBranch(blocks) {
+  return blocks.every((b) => b.active);
+}
+
+// Settles a step that isn't executed: an else/endIf marker (or the endLoop of a
+// finished loop), or any step inside a branch that isn't taken (reported as
+// skipped, with notTaken set).
+function settleBlockStep(step, ctx, path, blocks) {
+  let reached = inTakenBranch(blocks);
+  if (step.type === "if") {
+    blocks.push({ reached: false, met: null, active: false });
+  } else if (step.type === "else") {
+    const block = blocks.at(-1);
+    reached = block?.reached ?? false;
+    if (block) block.active = block.reached && block.met === false;
+  } else if (step.type === "endIf") {
+    reached = blocks.pop()?.reached ?? false;
+  }
+  const status = reached ? "passed" : "skipped";
+  ctx.stepResults.push({
+    index: path[0],
+    path,
+    ...iterationFields(ctx),
+    type: step.type,
+    status,
+    durationMs: 0,
+    ...(reached ? {} : { notTaken: true })
+  });
+  reportStep(ctx, path, step, {
+    status,
+    ...(reached ? {} : { notTaken: true })
+  });
+}
+
+// ── Loops ──────────────────────────────────────────────────────────────────────
+// loop/endLoop markers (see shared/loops.js) are tracked in a stack of running
+// loops, innermost last: { start, end, iteration, startedAt }. The loop step is
+// evaluated before every iteration and endLoop jumps back to it; once the loop
+// is done the run continues at endLoop, which settles as a passed marker. The
+// loop step's own result is pushed then, with the number of iterations run.
+
+// Runs the loop step at `i`. Returns { next, fatal }: the index to continue at
+// and the failure that stops the list, if any.
+async function advanceLoop(steps, i, loops, ctx, scope, path) {
+  const step = steps[i];
+  let loop = loops.at(-1);
+  if (loop?.start !== i) {
+    loop = {
+      start: i,
+      end: findBlock(steps, i)?.end ?? null,
+      iteration: 0,
+      startedAt: Date.now()
+    };
+    loops.push(loop);
+  }
+  try {
+    if (loop.end === null) throw new Error("loop without endLoop");
+    if (await nextIteration(step, loop, ctx, scope)) {
+      loop.iteration++;
+      setVariable(
+        scope.variables,
+        step.indexVariable ?? DEFAULT_INDEX_VARIABLE,
+        String(loop.iteration)
+      );
+      if (step.loop === "forEach") {
+        setVariable(
+          scope.variables,
+          step.textVariable ?? DEFAULT_TEXT_VARIABLE,
+          loop.text ?? ""
+        );
+      }
+      console.log(
+        `[Replay] step ${pathLabel(path)} loop iteration ${loop.iteration}`
+      );
+      reportStep(ctx, path, step, {
+        status: "running",
+        iteration: loop.iteration
+      });
+      return { next: i + 1, fatal: null };
+    }
+
+    loops.pop();
+    const durationMs = Date.now() - loop.startedAt;
+    ctx.stepResults.push({
+      index: path[0],
+      path,
+      ...iterationFields(ctx),
+      type: step.type,
+      status: "passed",
+      durationMs,
+      iterationCount: loop.iteration
+    });
+    reportStep(ctx, path, step, {
+      status: "passed",
+      durationMs,
+      iterationCount: loop.iteration
+    });
+    return { next: loop.end, fatal: null };
+  } catch (err) {
+    loops.pop();
+    if (replayState.aborted) return { next: steps.length, fatal: null };
+    const durationMs = Date.now() - loop.startedAt;
+    const errorMsg = maskSecretValues(
+      err.message ?? String(err),
+      ctx.secretValues
+    );
+    console.error(
+      `[Replay] step ${pathLabel(path)} (loop) FAILED:`,
+      errorMsg,
+      step
+    );
+    const screenshot = await captureScreenshot(ctx, path, "failed");
+    const failureMode = failureModeOf(step) === "fatal" ? "fatal" : "soft";
+    const failure = {
+      index: path[0],
+      path,
+      ...iterationFields(ctx),
+      type: step.type,
+      status: "failed",
+      failureMode,
+      durationMs,
+      error: errorMsg,
+      iterationCount: loop.iteration,
+      ...(screenshot ? { screenshot } : {})
+    };
+    ctx.stepResults.push(failure);
+    reportStep(ctx, path, step, {
+      status: "failed",
+      failureMode,
+      durationMs,
+      error: errorMsg,
+      iterationCount: loop.iteration
+    });
+    // A soft failure leaves the loop: the run continues after endLoop
+    if (failureMode === "soft") {
+      return { next: (loop.end ?? steps.length - 1) + 1, fatal: null };
+    }
+    return { next: steps.length, fatal: failure };
+  }
+}
+
+// Whether the loop runs another iteration. forEach reads the text of the next
+// element into loop.text; until fails when its condition still doesn't hold
+// after maxIterations.
+async function nextIteration(step, loop, ctx, scope) {
+  const exec = (s) =>
+    executeStep(
+      interpolateStep(interpolateSelectors(s, scope.variables), scope.variables),
+      ctx.tabId,
+      frameContextMap,
+      scope.clipboardVars,
+      cdp,
+      scope.variables
+    );
+  const max = step.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+  switch (step.loop) {
+    case "repeat":
+      return loop.iteration < step.count;
+    case "forEach": {
+      if (loop.iteration >= max) {
+        console.warn(
+          `[Replay] forEach stopped after ${max} iterations (maxIterations)`
+        );
+        return false;
+      }
+      const { count, text } = await exec({
+        ...step,
+        elementIndex: loop.iteration
+      });
+      loop.text = text;
+      return loop.iteration < count;
+    }
+    case "until": {
+      // The condition is evaluated like an if step's
+      if (await exec({ ...step, type: "if" })) return false;
+      if (loop.iteration >= max) {
+        throw new Error(`Condition still not met after ${max} iterations`);
+      }
+      return true;
+    }
+    default:
+      throw new Error(`loop: unknown kind "${step.loop}"`);
+  }
+}
+
+// Presence check of an optional step: waits OPTIONAL_STEP_TIMEOUT_MS for its
+// element. A check cut short by a debugger detach is repeated once re-attached.
+async function optionalElementAppears(step, ctx, scope) {
+  const selectors = interpolateSelectors(step, scope.variables).selectors;
+  const check = () =>
+    executeStep(
+      {
+        type: "waitForElement",
+        selectors: selectorsForWait(selectors),
+        timeout: OPTIONAL_STEP_TIMEOUT_MS,
+        ...(step.frame ? { frame: step.frame } : {})
+      },
+      ctx.tabId,
+      frameContextMap,
+      scope.clipboardVars,
+      cdp,
+      scope.variables
+    ).then(
+      () => true,
+      () => false
+    );
+  if (await check()) return true;
+  if (!replayState.reattachPromise) return false;
+  await replayState.reattachPromise;
+  return !replayState.aborted && check();
+}
+
+// Runs a step, retrying failures its retry policy covers (the step's own, else
+// the recording's; see shared/retry.js). Each failed attempt that was retried is
+// pushed to `retries` so the step result shows the flakiness.
+async function runStepWithRetry(step, next, ctx, scope, path, retries) {
+  const policy =
+    step.type === "runRecording" ? null : (step.retry ?? ctx.retry);
+  for (;;) {
+    const attemptStart = Date.now();
+    try {
+      return await runStep(step, next, ctx, scope, path);
+    } catch (err) {
+      if (replayState.aborted || !shouldRetry(policy, err, retries.length)) {
+        throw err;
+      }
+      const delay = retryDelay(policy, retries.length);
+      const error = maskSecretValues(
+        err.message ?? String(err),
+        ctx.secretValues
+      );
+      retries.push({
+        error,
+        errorClass: classifyError(err),
+        durationMs: Date.now() - attemptStart
+      });
+      console.warn(
+        `[Replay] step ${pathLabel(path)} attempt ${retries.length} failed, retrying in ${delay}ms:`,
+        error
+      );
+      reportStep(ctx, path, step, {
+        status: "running",
+        retry: retries.length,
+        error
+      });
+      await new Promise((r) => setTimeout(r, delay));
+      // A detach is retried once the debugger is back
+      if (replayState.reattachPromise) await replayState.reattachPromise;
+      if (replayState.aborted) throw err;
+    }
+  }
+}
+
+// A waitForNetworkIdle step: { type: "waitForNetworkIdle", idleMs?, timeout? }.
+// Thresholds left out come from settings; fails when the timeout passes first.
+async function execWaitForNetworkIdle(step, ctx) {
+  const timeoutMs = step.timeout ?? ctx.networkIdle.timeoutMs;
+  const { idle, pending } = await waitForNetworkIdle({
+    ...ctx.networkIdle,
+    idleMs: step.idleMs ?? ctx.networkIdle.idleMs,
+    timeoutMs
+  });
+  if (idle) return;
+  const shown = pending
+    .slice(0, 3)
+    .map((r) => `${r.method} ${r.url}`)
+    .join(", ");
+  const more = pending.length > 3 ? ` and ${pending.length - 3} more` : "";
+  throw new Error(
+    `Network not idle after ${timeoutMs / 1000}s — still loading ${shown}${more}. ` +
+      "Add long-poll or streaming URLs to the network idle ignore list."
+  );
+}
+
+// Fills in the value of a change step recorded from a secret field. The vault
+// must be unlocked; the value is remembered so error messages can be masked.
+async function resolveSecret(step, ctx) {
+  if (!step.secretRef) return step;
+  const value = await readSecret(step.secretRef);
+  ctx.secretValues.add(value);
+  return { ...step, value };
+}
+
+// Executes one step with the automatic waits around it and the debug pause after it.
+// `next` is the following step in the same list (used to detect click → navigate).
+// Resolves the condition result of an if step.
+async function runStep(step, next, ctx, scope, path) {
+  const { tabId } = ctx;
+  step = interpolateSelectors(step, scope.variables); // e.g. {{loopIndex}}
+  let outcome; // what the step evaluated: an if step's condition result
+  const label = pathLabel(path);
+  const exec = (s) =>
+    executeStep(
+      s,
+      tabId,
+      frameContextMap,
+      scope.clipboardVars,
+      cdp,
+      scope.variables
+    );
+
+  // Auto: waitForElement before clicks, change, and selectOption steps
+  if (
+    (step.type === "click" ||
+      step.type === "doubleClick" ||
+      step.type === "change" ||
+      step.type === "selectOption" ||
+      step.type === "assertElement") &&
+    step.selectors?.length
+  ) {
+    // Ensure any in-progress re-attachment is done before issuing CDP calls.
+    if (replayState.reattachPromise) await replayState.reattachPromise;
+    if (!replayState.aborted) {
+      console.log(
+        `[Replay] step ${label} auto → waitForElement`,
+        JSON.stringify(step.selectors)
+      );
+      await exec({
+        type: "waitForElement",
+        selectors: selectorsForWait(step.selectors),
+        target: step.target,
+        ...(step.frame ? { frame: step.frame } : {})
+      }).catch((err) =>
+        console.warn(
+          `[Replay] step ${label} waitForElement failed (proceeding):`,
+          err.message
+        )
+      );
+    }
+    // The debugger may have detached DURING the waitForElement (e.g. Salesforce SSO).
+    // waitForSelector now fails fast on CDP errors, so this re-attach wait is short.
+    // After re-attachment, re-run waitForElement so the element actually settles
+    // on the freshly-loaded page before the click fires.
+    if (replayState.reattachPromise) {
+      console.log(
+        `[Replay] step ${label} waiting for re-attachment after waitForElement detach…`
+      );
+      await replayState.reattachPromise;
+      if (replayState.aborted) return;
+      console.log(
+        `[Replay] step ${label} re-running waitForElement after re-attach`
+      );
+      await exec({
+        type: "waitForElement",
+        selectors: step.selectors,
+        target: step.target,
+        ...(step.frame ? { frame: step.frame } : {})
+      }).catch((err) =>
+        console.warn(
+          `[Replay] step ${label} waitForElement (post-reattach) failed (proceeding):`,
+          err.message
+        )
+      );
+    }
+  }
+
+  if (replayState.aborted) return;
+  console.log(`[Replay] step ${label}:`, JSON.stringify(step, null, 2));
+
+  // Snapshot the requests in flight before the click so the auto-wait only
+  // waits for requests the click itself triggered, not pre-existing Salesforce
+  // background polls.
+  const preClickRequests =
+    ctx.networkIdle.autoWait &&
+    (step.type === "click" || step.type === "doubleClick")
+      ? inFlightIds()
+      : null;
+
+  if (step.type === "wait") {
+    // Countdown display: broadcast a tick every second instead of a plain sleep
+    const totalMs = Math.max(0, step.duration ?? 0);
+    let elapsed = 0;
+    while (elapsed < totalMs && !replayState.aborted) {
+      const remaining = Math.ceil((totalMs - elapsed) / 1000);
+      reportStep(ctx, path, step, { status: "running", countdown: remaining });
+      const tick = Math.min(1000, totalMs - elapsed);
+      await new Promise((r) => setTimeout(r, tick));
+      elapsed += tick;
+    }
+  } else if (step.type === "runRecording") {
+    await runSubFlow(step, ctx, scope, path);
+  } else if (step.type === "waitForNetworkIdle") {
+    await execWaitForNetworkIdle(step, ctx);
+  } else {
+    const resolved = applyEnvironment(
+      interpolateStep(step, scope.variables),
+      ctx.environment
+    );
+    outcome = await exec(await resolveSecret(resolved, ctx));
+  }
+
+  // After a click/doubleClick followed by a navigate step, poll briefly so that
+  // slow async JS button handlers have time to start navigation before execNavigate
+  // runs. Once the tab transitions to "loading", execNavigate's samePathname checks
+  // will follow the browser's redirect instead of forcing the stale recorded URL.
+  if (
+    (step.type === "click" || step.type === "doubleClick") &&
+    next?.type === "navigate" &&
+    !replayState.aborted
+  ) {
+    const deadline = Date.now() + 1000;
+    while (Date.now() < deadline && !replayState.aborted) {
+      await new Promise((r) => setTimeout(r, 100));
+      const tc = await chrome.tabs.get(tabId).catch(() => null);
+      if (!tc || tc.status === "loading") break;
+    }
+  }
+
+  // Auto: after a click/doubleClick NOT followed by a full navigation, wait for
+  // the AJAX requests it triggered to finish (e.g. wizard steps that load new
+  // content without a page navigation). Opt-in via settings.autoWaitNetworkIdle;
+  // requests still running at the timeout are logged and the run proceeds.
+  if (preClickRequests && next?.type !== "navigate" && !replayState.aborted) {
+    const { idle, pending } = await waitForNetworkIdle({
+      ...ctx.networkIdle,
+      ignoreIds: preClickRequests
+    });
+    if (!idle) {
+      console.warn(
+        `[Replay] step ${label} network not idle after ${ctx.networkIdle.timeoutMs}ms (proceeding):`,
+        pending.map((r) => r.url)
+      );
+    }
+  }
+
+  // Auto: after any click, watch for wizard panels to finish mutating.
+  // For steps inside an iframe (React wizard pages), run the mutation wait in the
+  // iframe's own execution context so the split-view container selector can be found.
+  // On pages without wizard panels the observer exits instantly (no overhead).
+  if (
+    (step.type === "click" || step.type === "doubleClick") &&
+    !replayState.aborted
+  ) {
+    if (step.frame && step.frame.length > 0) {
+      // React wizard inside iframe: watch the split-view container for DOM settlement.
+      // noMutationTimeout 500ms gives the React re-render cycle time to start before
+      // we decide no mutations are coming.
+      await exec({
+        type: "waitForMutation",
+        selector: ".split-view-container, .allotment-module_splitViewContainer__rQnVa",
+        settle: 300,
+        timeout: 10_000,
+        noMutationTimeout: 500,
+        frame: step.frame
+      }).catch((err) =>
+        console.warn("[Replay] waitForMutation (iframe wizard) failed (proceeding):", err.message)
+      );
+    } else {
+      // Main frame: existing split-view-view selector, fast exit on non-wizard pages.
+      await exec({
+        type: "waitForMutation",
+        selector: "[data-testid='split-view-view']",
+        settle: 100,
+        timeout: 8_000,
+        noMutationTimeout: 200
+      }).catch((err) =>
+        console.warn("[Replay] waitForMutation failed (proceeding):", err.message)
+      );
+    }
+  }
+
+  // Auto: waitForPageLoad after navigate or selectOption (which may trigger navigation)
+  if (
+    (step.type === "navigate" || step.type === "selectOption") &&
+    !replayState.aborted
+  ) {
+    // Wait for any in-progress re-attachment (e.g. Salesforce SSO fires target_closed
+    // asynchronously during or just after the navigate step) before issuing CDP calls.
+    if (replayState.reattachPromise) await replayState.reattachPromise;
+    if (!replayState.aborted) {
+      console.log(`[Replay] step ${label} auto → waitForPageLoad`);
+      await exec({ type: "waitForPageLoad" }).catch((err) =>
+        console.warn(
+          `[Replay] step ${label} waitForPageLoad failed (proceeding):`,
+          err.message
+        )
+      );
+    }
+  }
+
+  await new Promise((r) => setTimeout(r, ctx.stepDelay ?? 50)); // gap between actions
+
+  // Debug breakpoint: pause after this step if flagged, dynamically set, or step-once
+  const key = pathKey(path);
+  const shouldPause =
+    !replayState.debugFinished &&
+    !replayState.aborted &&
+    (step.debug ||
+      replayState.stepOnce ||
+      replayState.dynamicBreakpoints.has(key));
+  if (shouldPause) {
+    replayState.stepOnce = false;
+    replayState.dynamicBreakpoints.delete(key);
+    broadcast(MSG.DEBUG_PAUSE, {
+      stepIndex: path[0],
+      path,
+      total: ctx.total,
+      stepType: step.type
+    });
+    await new Promise((resolve) => {
+      replayState.debugResolve = resolve;
+    });
+    replayState.debugResolve = null;
+  }
+  return outcome;
+}
+
+// ── Sub-flows ──────────────────────────────────────────────────────────────────
+// A runRecording step runs another saved recording inline, in the same tab and
+// debugger session:
+//   { type: "runRecording", recordingId, title,
+//     inputs:  { calleeVar: "literal or {{callerVar}}" },
+//     outputs: { callerVar: "calleeVar" } }
+// The callee starts with a fresh variable scope holding only its inputs (and the
+// environment's variables); outputs are copied back into the caller's scope when
+// it finishes. A callee's own dataset is not used — the caller passes what it
+// needs as inputs.
+
+const MAX_SUB_FLOW_DEPTH = 10;
+
+async function runSubFlow(step, ctx, scope, path) {
+  const callee = await getRecording(step.recordingId);
+  if (!callee) {
+    throw new Error(
+      `Sub-flow "${step.title ?? step.recordingId}" not found — was it deleted?`
+    );
+  }
+  if (ctx.callStack.includes(callee.id)) {
+    throw new Error(`Sub-flow "${callee.title}" calls itself (directly or indirectly)`);
+  }
+  if (ctx.callStack.length > MAX_SUB_FLOW_DEPTH) {
+    throw new Error(`Sub-flows nested deeper than ${MAX_SUB_FLOW_DEPTH} levels`);
+  }
+
+  const calleeScope = {
+    variables: createScope(scope.variables),
+    clipboardVars: new Map()
+  };
+  // Environment variables are visible everywhere; inputs may override them
+  for (const [name, value] of Object.entries(ctx.environment?.variables ?? {})) {
+    setVariable(calleeScope.variables, name, value);
+  }
+  for (const [name, template] of Object.entries(step.inputs ?? {})) {
+    setVariable(
+      calleeScope.variables,
+      name,
+      interpolateVariables(template, scope.variables)
+    );
+  }
+
+  console.log(`[Replay] step ${pathLabel(path)} → sub-flow "${callee.title}"`);
+  const { fatal } = await runSteps(
+    callee.steps,
+    {
+      ...ctx,
+      callStack: [...ctx.callStack, callee.id],
+      retry: callee.retry ?? ctx.retry
+    },
+    calleeScope,
+    path
+  );
+  if (fatal) {
+    const err = new Error(
+      `Sub-flow "${callee.title}" failed at step ${pathLabel(fatal.path)} (${fatal.type}): ${fatal.error}`
+    );
+    err.subFlowFailure = fatal;
+    throw err;
+  }
+
+  for (const [callerName, calleeName] of Object.entries(step.outputs ?? {})) {
+    const value = getVariable(calleeScope.variables, calleeName);
+    if (value === undefined) {
+      throw new Error(
+        `Sub-flow "${callee.title}" did not set output variable "${calleeName}"`
+      );
+    }
+    setVariable(scope.variables, callerName, value);
+  }
+}
+
+// Batch runs re-run a failed recording up to recording.batchRetries times. Every
+// attempt is its own run in history; each re-run's result lists the earlier
+// attempts. Data-driven recordings are not re-run.
+async function runWithBatchRetries(recording, tabId, stepDelay) {
+  const retries = recording.dataset?.rows?.length
+    ? 0
+    : (recording.batchRetries ?? 0);
+  let result = await runRecording(recording, tabId, stepDelay);
+  const previous = [];
+  while (
+    result &&
+    !result.passed &&
+    previous.length < retries &&
+    !replayState.aborted
+  ) {
+    previous.push({
+      runId: result.runId,
+      startedAt: result.startedAt,
+      failedStep: result.failedStep
+    });
+    console.warn(
+      `[Replay] "${recording.title}" failed — batch re-run ${previous.length} of ${retries}`
+    );
+    result = await runRecording(recording, tabId, stepDelay, {
+      number: previous.length + 1,
+      total: retries + 1,
+      previous: [...previous]
+    });
+  }
+  return result;
+}
+
+/**
+ * Runs a batch of recordings. `filter` ({ suite, tags }, see shared/suites.js)
+ * narrows the batch to one suite and/or tag selection; omit it to run everything.
+ * Recordings run grouped by suite and BATCH_COMPLETE reports the same grouping.
+ * Resolves with { passed, results, suites }.
+ */
+export async function runAll(tabId, stepDelay, filter = {}) {
+  const selected = (await getRecordings()).filter((r) =>
+    matchesFilter(r, filter)
+  );
+  if (selected.length === 0) return { passed: true, results: [], suites: [] };
+  const groups = groupBySuite(selected);
+  const recordings = groups.flatMap((g) => g.items);
 
   replayState.aborted = false;
   const results = [];
@@ -505,16 +1334,38 @@ export async function runAll(tabId, stepDelay) {
       current: i + 1,
       total: recordings.length,
       recordingId: recordings[i].id,
-      recordingTitle: recordings[i].title
+      recordingTitle: recordings[i].title,
+      suite: recordings[i].suite ?? ""
     });
 
-    const result = await runRecording(recordings[i], tabId, stepDelay);
+    const result = await runWithBatchRetries(recordings[i], tabId, stepDelay);
     results.push({
       recordingId: recordings[i].id,
       title: recordings[i].title,
-      passed: result?.passed ?? false
+      suite: recordings[i].suite ?? "",
+      passed: result?.passed ?? false,
+      // Re-runs of a failed recording: passing on a later attempt means flaky
+      ...(result?.attempt ? { attempts: result.attempt.number } : {}),
+      // Data-driven recordings: how many dataset rows passed
+      ...(result?.rows
+        ? {
+            rowsPassed: result.rows.filter((r) => r.passed).length,
+            rowsTotal: result.totalRows
+          }
+        : {})
     });
   }
 
-  broadcast(MSG.BATCH_COMPLETE, { results });
+  const suites = groupBySuite(results).map(({ suite, items }) => ({
+    suite,
+    passed: items.filter((r) => r.passed).length,
+    total: items.length,
+    results: items
+  }));
+  broadcast(MSG.BATCH_COMPLETE, { results, suites, filter });
+  return {
+    passed: results.every((r) => r.passed),
+    results,
+    suites
+  };
 }
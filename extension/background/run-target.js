@@ -0,0 +1,67 @@
+import { getSettings } from "../shared/storage.js";
+import { replayState } from "./state.js";
+
+// ── Run target ─────────────────────────────────────────────────────────────────
+// Where a replay or batch runs, from settings.runIn:
+//   "activeTab" — the tab the side panel belongs to (its page is replaced)
+//   "tab"       — a new background tab, closed when the run ends
+//   "window"    — a new minimized window, closed when the run ends
+// so the user can keep working while a suite runs. With
+// settings.keepRunTabOnFailure a failed run leaves its tab or window open (a
+// kept window is restored) to inspect the page; aborted runs are always closed.
+// Background tabs and minimized windows are hidden pages: Chrome throttles their
+// timers, so a flow that depends on visibility may need the active tab.
+
+async function openRunTarget(runIn, activeTabId) {
+  if (runIn === "tab") {
+    const tab = await chrome.tabs.create({ url: "about:blank", active: false });
+    return { tabId: tab.id, windowId: null, created: true };
+  }
+  if (runIn === "window") {
+    const win = await chrome.windows.create({
+      url: "about:blank",
+      state: "minimized",
+      focused: false
+    });
+    return { tabId: win.tabs[0].id, windowId: win.id, created: true };
+  }
+  if (!activeTabId) throw new Error("No active tab found.");
+  return { tabId: activeTabId, windowId: null, created: false };
+}
+
+async function closeRunTarget(target, keep) {
+  if (!target.created) return;
+  // The user may have closed it already
+  if (keep) {
+    if (target.windowId) {
+      await chrome.windows
+        .update(target.windowId, { state: "normal" })
+        .catch(() => {});
+    }
+    return;
+  }
+  await (
+    target.windowId
+      ? chrome.windows.remove(target.windowId)
+      : chrome.tabs.remove(target.tabId)
+  ).catch(() => {});
+}
+
+/**
+ * Runs `run(tabId)` in the tab settings.runIn asks for and closes a tab or
+ * window opened for it afterwards. `run` resolves with a result carrying
+ * `passed` (a run result, dataset summary or batch summary).
+ */
+export async function withRunTarget(activeTabId, run) {
+  if (replayState.active) return; // a run is in progress — don't open a tab for nothing
+  const { runIn, keepRunTabOnFailure } = await getSettings();
+  const target = await openRunTarget(runIn, activeTabId);
+  let result;
+  try {
+    result = await run(target.tabId);
+    return result;
+  } finally {
+    const failed = !result?.passed && !replayState.aborted;
+    await closeRunTarget(target, failed && keepRunTabOnFailure);
+  }
+}
@@ -0,0 +1,119 @@
+import {
+  saveArtifact,
+  deleteScreencast,
+  getSettings,
+  keepScreencastFor
+} from "../shared/storage.js";
+import { screencastState } from "./state.js";
+import { cdp } from "./utils.js";
+
+// ── Replay video ───────────────────────────────────────────────────────────────
+// With settings.recordVideo on, runRecording streams the tab through
+// Page.startScreencast. Each frame is stored as a run artifact ("frame-000042")
+// as it arrives, so the service worker never holds the whole video. Step events
+// are marked on the same clock (Date.now()) so the player can show which step
+// was running at any frame. The index is saved as the "screencast" artifact:
+//   { frames: [{ t, name }], marks: [{ t, path, stepType, status }], truncated }
+//
+// Storage stays bounded: frames closer than MIN_FRAME_INTERVAL_MS are dropped,
+// a run keeps at most MAX_FRAMES, and only the newest settings.videoRunLimit
+// runs keep their video.
+
+const MIN_FRAME_INTERVAL_MS = 200;
+const MAX_FRAMES = 1500; // ~5 minutes at the interval above
+
+const SCREENCAST_PARAMS = {
+  format: "jpeg",
+  quality: 50,
+  maxWidth: 960,
+  maxHeight: 960
+};
+
+/**
+ * Starts streaming frames for `runId`. Resolves false when video is off.
+ */
+export async function startScreencast(tabId, runId) {
+  if (!(await getSettings()).recordVideo) return false;
+  Object.assign(screencastState, {
+    runId,
+    frames: [],
+    marks: [],
+    lastFrameAt: 0,
+    truncated: false
+  });
+  await cdp(tabId, "Page.startScreencast", SCREENCAST_PARAMS);
+  return true;
+}
+
+// A re-attached debugger session starts without the screencast
+export async function resumeScreencast(tabId) {
+  if (!screencastState.runId) return;
+  await cdp(tabId, "Page.startScreencast", SCREENCAST_PARAMS).catch((err) =>
+    console.warn("[Replay] screencast resume failed:", err.message)
+  );
+}
+
+// Page.screencastFrame handler — every frame must be acked or Chrome stops sending
+export function onScreencastFrame(tabId, { data, sessionId }) {
+  cdp(tabId, "Page.screencastFrameAck", { sessionId }).catch(() => {});
+  const state = screencastState;
+  const t = Date.now();
+  if (!state.runId || t - state.lastFrameAt < MIN_FRAME_INTERVAL_MS) return;
+  if (state.frames.length >= MAX_FRAMES) {
+    state.truncated = true;
+    return;
+  }
+  state.lastFrameAt = t;
+  const name = `frame-${String(state.frames.length).padStart(6, "0")}`;
+  state.frames.push({ t, name });
+  saveArtifact({
+    runId: state.runId,
+    name,
+    kind: "frame",
+    mimeType: "image/jpeg",
+    data
+  }).catch(console.error);
+}
+
+export function markScreencastStep(path, stepType, status) {
+  if (!screencastState.runId) return;
+  screencastState.marks.push({ t: Date.now(), path, stepType, status });
+}
+
+// Stops streaming and deletes the frames stored so far (the run ended with an
+// error, so no run result will ever refer to them)
+export async function cancelScreencast(tabId) {
+  const { runId } = screencastState;
+  if (!runId) return;
+  screencastState.runId = null;
+  await cdp(tabId, "Page.stopScreencast").catch(() => {});
+  await deleteScreencast(runId).catch(console.error);
+}
+
+/**
+ * Stops streaming and saves the index. Returns a summary for the run result
+ * ({ frames, durationMs, truncated }), or null when nothing was captured.
+ */
+export async function stopScreencast(tabId) {
+  const { runId, frames, marks, truncated } = screencastState;
+  if (!runId) return null;
+  screencastState.runId = null;
+  await cdp(tabId, "Page.stopScreencast").catch(() => {});
+  if (frames.length === 0) return null;
+
+  await saveArtifact({
+    runId,
+    name: "screencast",
+    kind: "screencast",
+    frames,
+    marks,
+    truncated
+  });
+  const { videoRunLimit } = await getSettings();
+  await keepScreencastFor(runId, videoRunLimit);
+  return {
+    frames: frames.length,
+    durationMs: frames[frames.length - 1].t - frames[0].t,
+    truncated
+  };
+}
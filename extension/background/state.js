@@ -3,7 +3,8 @@ export const recordingState = {
   active: false,
   tabId: null,
   steps: [],
-  remainingSteps: [] // steps after the insertion point when continuing from edit
+  remainingSteps: [], // steps after the insertion point when continuing from edit
+  pendingSecrets: new Map() // secretRef → { name, value }, moved into the vault on save
 };
 
 export const replayState = {
@@ -13,7 +14,7 @@ export const replayState = {
   debugResolve: null, // set while paused at a debug step; call to resume
   debugFinished: false, // true after user clicks "Finish debugging"
   stepOnce: false, // pause after the very next step (set by DEBUG_NEXT)
-  dynamicBreakpoints: new Set() // step indices set via the hover pause button
+  dynamicBreakpoints: new Set() // step path keys ("3", "3.1") set via the hover pause button
 };
 
 // Clipboard variables that survive cross-site navigation during a run
@@ -29,11 +30,52 @@ export const recordingVarSnapshots = new Map();
 // Execution context map: frameId → executionContextId (populated via Runtime events)
 export const frameContextMap = new Map();
 
-// Network request tracking: counts in-flight requests during replay.
-// Used to wait for AJAX-driven content (e.g. wizard steps) to finish loading after a click.
-export const networkState = { pendingCount: 0 };
+// Network request tracking: in-flight requests of the replayed tab by requestId.
+// Used to wait for AJAX-driven content (e.g. wizard steps) to finish loading
+// (see network-idle.js).
+export const networkState = {
+  inFlight: new Map() // requestId → { method, url }
+};
+
+// Requests of the replayed tab with their responses (see network-log.js)
+export const networkLogState = {
+  collecting: false,
+  entries: [],
+  byRequestId: new Map(), // requestId → its latest entry (redirects add new ones)
+  mocked: new Map(), // requestId → mock rule, for requests not logged yet
+  stepPath: null, // step running when a request starts
+  stepIterations: null, // …and its loop iterations
+  truncated: false
+};
+
+// Console messages, uncaught exceptions and log entries of the replayed tab,
+// appended by debugger-handler.js. Replay slices them per step by index.
+export const pageLogState = { entries: [] };
 
 // Last right-clicked element sent from the content script via STORE_CONTEXT_EL.
 // Wrapped in an object so both message-router.js and context-menu.js can mutate
 // it through the same shared reference (ES modules cannot re-assign imported bindings).
 export const contextMenu = { lastEl: null };
+
+// Replay video (see screencast.js): frames stream in as CDP events while `runId` is set.
+export const screencastState = {
+  runId: null,
+  frames: [], // [{ t, name }] — frame images are stored as run artifacts
+  marks: [], // [{ t, path, stepType, status }] — STEP_PROGRESS events on the same clock
+  lastFrameAt: 0,
+  truncated: false
+};
+
+// Request mocking (see mocking.js): the running recording's rules and how many
+// requests they answered.
+export const mockState = {
+  rules: [],
+  hits: 0
+};
+
+// Network emulation (see emulation.js) of the running replay, re-applied after
+// every debugger re-attach.
+export const emulationState = {
+  conditions: null, // Network.emulateNetworkConditions params, null = unthrottled
+  blockedUrls: []
+};
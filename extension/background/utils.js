@@ -1,3 +1,6 @@
+import { describeCondition } from "../shared/conditions.js";
+import { describeLoop } from "../shared/loops.js";
+
 // ── Conflicting extension management ───────────────────────────────────────────
 // Extensions known to conflict with recording/replay (e.g. they also use chrome.debugger
 // or intercept tab navigation). Matched by a substring of the extension name.
@@ -56,9 +59,16 @@ export function getStepDetail(step) {
     case "selectOption":
       return `${sel} → "${step.label ?? step.value}"`;
     case "change":
+      if (step.secretRef) return `${sel} → 🔒 ${step.secretName ?? "secret"}`;
       return `${sel}${step.value ? ` → "${step.value}"` : ""}`;
     case "waitForElement":
       return sel;
+    case "runRecording":
+      return step.title ?? step.recordingId;
+    case "if":
+      return describeCondition(step);
+    case "loop":
+      return describeLoop(step);
     default:
       return sel;
   }
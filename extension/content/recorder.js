@@ -231,7 +231,7 @@
   let _lastStepKey = "";
   let _lastStepTime = 0;
 
-  function sendStep(step) {
+  function sendStep(step, messageType = "RECORD_STEP") {
     // Deduplicate: ignore identical step type + selector within 200ms.
     // Covers label→input synthetic clicks, allFrames double-injection edge cases, etc.
     const key =
@@ -248,7 +248,7 @@
     _lastStepTime = now;
 
     try {
-      chrome.runtime.sendMessage({ type: "RECORD_STEP", payload: { step } });
+      chrome.runtime.sendMessage({ type: messageType, payload: { step } });
     } catch (_) {
       // Extension context invalidated (e.g. extension reloaded while page is open) — ignore.
     }
@@ -614,13 +614,41 @@
       selectors,
       ...frameInfo
     });
-    sendStep({
-      type: "change",
-      target: "main",
-      selectors,
-      value,
-      ...frameInfo
-    });
+    sendChangeStep(el, selectors, value);
+  }
+
+  // Password fields and fields with a sensitive autocomplete hint are recorded
+  // as secrets: the service worker moves the value into the encrypted vault and
+  // the step only keeps a reference (see shared/secrets.js). The value is sent
+  // under a separate message type that the side panel ignores; it shows the
+  // masked step the service worker broadcasts back.
+  const SECRET_AUTOCOMPLETE = new Set([
+    "current-password",
+    "new-password",
+    "one-time-code",
+    "cc-number",
+    "cc-csc"
+  ]);
+
+  function isSecretField(el) {
+    return (
+      el.type === "password" ||
+      SECRET_AUTOCOMPLETE.has((el.autocomplete ?? "").toLowerCase()) ||
+      el.hasAttribute("data-recorder-secret")
+    );
+  }
+
+  function sendChangeStep(el, selectors, value) {
+    const step = { type: "change", target: "main", selectors, value, ...frameInfo };
+    if (!isSecretField(el)) {
+      sendStep(step);
+      return;
+    }
+    const field = el.name || el.id || el.autocomplete || el.type || "field";
+    sendStep(
+      { ...step, secretName: `${location.hostname} ${field}` },
+      "RECORD_SECRET_STEP"
+    );
   }
 
   // Blur fallback for autocomplete inputs: many autocomplete libraries set
@@ -648,13 +676,7 @@
         selectors,
         ...frameInfo
       });
-      sendStep({
-        type: "change",
-        target: "main",
-        selectors,
-        value,
-        ...frameInfo
-      });
+      sendChangeStep(capturedEl, selectors, value);
     }, 200);
   }
 
@@ -0,0 +1,95 @@
+// ── Blocks ─────────────────────────────────────────────────────────────────────
+// if/else/endIf (shared/conditions.js) and loop/endLoop (shared/loops.js) are
+// marker steps in the flat step list. Blocks nest; these helpers work out their
+// structure for replay, validation and the edit overlay.
+
+const CLOSERS = { if: "endIf", loop: "endLoop" };
+
+export const BLOCK_TYPES = new Set(["if", "else", "endIf", "loop", "endLoop"]);
+
+/**
+ * Nesting depth of every step (a marker sits at the depth of the block it
+ * opens, splits or closes). Unbalanced markers are clamped to 0.
+ */
+export function blockDepths(steps) {
+  let depth = 0;
+  return steps.map((step) => {
+    if (CLOSERS[step.type]) return depth++;
+    if (step.type === "endIf" || step.type === "endLoop") {
+      depth = Math.max(0, depth - 1);
+    } else if (step.type === "else") return Math.max(0, depth - 1);
+    return depth;
+  });
+}
+
+// Walks the steps keeping a stack of open blocks: { type, start, else }.
+// `visit(block, i)` is called when step i closes `block`; closing markers that
+// don't match the innermost block, and elses outside an if, are reported
+// through `problem(message, i)`.
+function walkBlocks(steps, visit, problem = () => {}) {
+  const open = [];
+  steps.forEach((step, i) => {
+    const type = step?.type;
+    if (CLOSERS[type]) open.push({ type, start: i, else: null });
+    else if (type === "else") {
+      const block = open.at(-1);
+      if (block?.type !== "if") problem("else without if", i);
+      else if (block.else != null) problem("second else in one if block", i);
+      else block.else = i;
+    } else if (type === "endIf" || type === "endLoop") {
+      const block = open.at(-1);
+      if (!block || CLOSERS[block.type] !== type) {
+        problem(`${type} without ${type === "endIf" ? "if" : "loop"}`, i);
+      } else visit(open.pop(), i);
+    }
+  });
+  return open;
+}
+
+/**
+ * Whether a run of steps holds only whole blocks, so it can be wrapped in a new
+ * block without changing which markers pair up.
+ */
+export function isBalanced(steps) {
+  let ok = true;
+  const open = walkBlocks(
+    steps,
+    () => {},
+    () => (ok = false)
+  );
+  return ok && open.length === 0;
+}
+
+/**
+ * Indexes of the markers of the block that marker step `index` belongs to:
+ * { start, else (null unless an if has one), end }. Null when the markers
+ * don't pair up.
+ */
+export function findBlock(steps, index) {
+  let found = null;
+  walkBlocks(steps, (block, end) => {
+    if ([block.start, block.else, end].includes(index)) {
+      found ??= { start: block.start, else: block.else, end };
+    }
+  });
+  return found;
+}
+
+/**
+ * Returns a list of problems with the block structure of a step list. An if
+ * left open runs to the end of the steps; a loop must be closed.
+ */
+export function validateBlocks(steps, where = "recording") {
+  const problems = [];
+  const open = walkBlocks(
+    steps,
+    () => {},
+    (message, i) => problems.push(`${where}, step ${i + 1}: ${message}`)
+  );
+  for (const block of open) {
+    if (block.type === "loop") {
+      problems.push(`${where}, step ${block.start + 1}: loop without endLoop`);
+    }
+  }
+  return problems;
+}
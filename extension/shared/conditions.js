@@ -0,0 +1,100 @@
+// ── Conditional blocks ─────────────────────────────────────────────────────────
+// A recording can run steps only when a condition holds. Blocks are marker steps
+// in the flat step list, so step indexes and editing work as for any other step:
+//   { type: "if", condition: "elementPresent", selectors, timeout? }
+//   …steps run when the condition holds…
+//   { type: "else" }              // optional
+//   …steps run when it doesn't…
+//   { type: "endIf" }         // a block left open runs to the end of the steps
+// Blocks nest, also with loops (see shared/blocks.js). The conditions:
+//   elementPresent — the element appears within `timeout` ms (default
+//                    CONDITION_TIMEOUT_MS)
+//   urlMatches     — the page URL matches the regular expression `pattern`
+//   variableEquals — run variable `variableName` equals `value`
+//   textContains   — the text of the element (`selectors`, optional; the whole
+//                    page without) contains `text`
+// `value` and `text` may use {{templates}}.
+
+export const CONDITIONS = {
+  elementPresent: "Element present",
+  urlMatches: "URL matches",
+  variableEquals: "Variable equals",
+  textContains: "Text contains"
+};
+
+function firstSelector(step) {
+  return step.selectors?.flat?.().find(Boolean) ?? "";
+}
+
+/**
+ * One-line description of an if step's condition, e.g. "Element present: #dup".
+ */
+export function describeCondition(step) {
+  switch (step.condition) {
+    case "elementPresent":
+      return `${CONDITIONS.elementPresent}: ${firstSelector(step)}`;
+    case "urlMatches":
+      return `URL matches /${step.pattern ?? ""}/`;
+    case "variableEquals":
+      return `${step.variableName} = "${step.value ?? ""}"`;
+    case "textContains": {
+      const where = firstSelector(step);
+      return `${where ? `${where} ` : "Page "}contains "${step.text ?? ""}"`;
+    }
+    default:
+      return String(step.condition ?? "");
+  }
+}
+
+function isRegex(pattern) {
+  if (typeof pattern !== "string") return false;
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Returns a list of problems with an if step's condition fields (empty = valid).
+ */
+export function validateCondition(step, where = "step") {
+  const problems = [];
+  const hasSelectors =
+    Array.isArray(step.selectors) && step.selectors.length > 0;
+  switch (step.condition) {
+    case "elementPresent":
+      if (!hasSelectors) problems.push(`${where}: needs "selectors"`);
+      break;
+    case "urlMatches":
+      if (!isRegex(step.pattern)) {
+        problems.push(`${where}: "pattern" must be a regular expression`);
+      }
+      break;
+    case "variableEquals":
+      if (typeof step.variableName !== "string" || !step.variableName) {
+        problems.push(`${where}: needs "variableName"`);
+      }
+      if (step.value !== undefined && typeof step.value !== "string") {
+        problems.push(`${where}: "value" must be a string`);
+      }
+      break;
+    case "textContains":
+      if (typeof step.text !== "string" || !step.text) {
+        problems.push(`${where}: needs "text"`);
+      }
+      break;
+    default:
+      return [
+        `${where}: "condition" must be one of ${Object.keys(CONDITIONS).join(", ")}`
+      ];
+  }
+  if (
+    step.timeout !== undefined &&
+    !(typeof step.timeout === "number" && step.timeout > 0)
+  ) {
+    problems.push(`${where}: "timeout" must be a positive number of ms`);
+  }
+  return problems;
+}
@@ -16,18 +16,36 @@ export const MSG = {
   DELETE_RECORDING: "DELETE_RECORDING",
   GET_RECORDINGS: "GET_RECORDINGS",
   GET_HISTORY: "GET_HISTORY",
+  GET_ARTIFACT: "GET_ARTIFACT", // sidepanel → SW: a screenshot (or other file) stored with a run
   DELETE_STEP: "DELETE_STEP", // sidepanel → SW: remove a step by index during recording
   UPDATE_RECORDING: "UPDATE_RECORDING", // sidepanel → SW: save edited title/steps of a saved recording
   ADD_RECORDING_STEP: "ADD_RECORDING_STEP", // sidepanel → SW: push a manually-created step
   UPDATE_RECORDING_STEP: "UPDATE_RECORDING_STEP", // sidepanel → SW: update value of a step by index
+  IMPORT_RECORDINGS: "IMPORT_RECORDINGS", // sidepanel → SW: save validated recordings from an imported file
+  GET_REVISIONS: "GET_REVISIONS", // sidepanel → SW: list saved revisions of a recording
+  RESTORE_REVISION: "RESTORE_REVISION", // sidepanel → SW: save an earlier revision as the current version
+  GET_SETTINGS: "GET_SETTINGS",
+  SAVE_SETTINGS: "SAVE_SETTINGS",
+
+  // Secrets vault (see shared/secrets.js)
+  VAULT_STATUS: "VAULT_STATUS", // sidepanel → SW: { exists, unlocked, count }
+  VAULT_UNLOCK: "VAULT_UNLOCK", // sidepanel → SW: unlock (or create) with a passphrase
+  VAULT_LOCK: "VAULT_LOCK",
+  LIST_SECRETS: "LIST_SECRETS", // sidepanel → SW: secret names, never values
+  DELETE_SECRET: "DELETE_SECRET",
+  STORE_SECRET: "STORE_SECRET", // sidepanel → SW: encrypt a value from the edit overlay, returns its secretRef
+  MARK_STEP_SECRET: "MARK_STEP_SECRET", // sidepanel → SW: turn a change step being recorded into a secret
 
   // service-worker → sidepanel (events)
   STORE_CONTEXT_EL: "STORE_CONTEXT_EL", // content script → SW: store right-clicked element
   RECORD_STEP: "RECORD_STEP", // a step was captured during recording
+  RECORD_SECRET_STEP: "RECORD_SECRET_STEP", // content script → SW: a change step with a secret value
   STEP_PROGRESS: "STEP_PROGRESS", // a step finished during replay
   RUN_COMPLETE: "RUN_COMPLETE", // a single recording run finished
   BATCH_PROGRESS: "BATCH_PROGRESS", // batch: moved to next recording
   BATCH_COMPLETE: "BATCH_COMPLETE", // batch: all recordings done
+  ITERATION_PROGRESS: "ITERATION_PROGRESS", // dataset run: moved to next row
+  DATASET_COMPLETE: "DATASET_COMPLETE", // dataset run: all rows done
   RECORDING_STATE: "RECORDING_STATE", // recording started/stopped confirmation
   SHOW_VARIABLE_DIALOG: "SHOW_VARIABLE_DIALOG", // SW → sidepanel: open the save-variable dialog
   SHOW_PASTE_VARIABLE_DIALOG: "SHOW_PASTE_VARIABLE_DIALOG", // SW → sidepanel: open the paste-variable dialog
@@ -45,7 +63,8 @@ export const StepStatus = {
   PENDING: "pending",
   RUNNING: "running",
   PASSED: "passed",
-  FAILED: "failed"
+  FAILED: "failed",
+  SKIPPED: "skipped" // optional step whose element never appeared
 };
 
 export const RecordingState = {
@@ -58,10 +77,50 @@ export const RecordingState = {
 export const STEP_TIMEOUT_MS = 60_000; // max time per step (waitForElement)
 export const NAV_TIMEOUT_MS = 20_000; // max time for navigation to complete
 export const POLL_INTERVAL_MS = 150; // waitForElement polling interval
+export const OPTIONAL_STEP_TIMEOUT_MS = 5_000; // optional steps are skipped when their element takes longer
+export const CONDITION_TIMEOUT_MS = 3_000; // if-step conditions wait this long for their element
 export const KEEPALIVE_MINS = 0.4; // alarm period to keep SW alive (~24s)
 
 export const MAX_HISTORY_ENTRIES = 100;
 
+// Environment profiles offered until the user edits their own (see
+// shared/environments.js). Recordings were made against UAT, so it maps nothing.
+export const DEFAULT_ENVIRONMENTS = [
+  {
+    id: "uat",
+    name: "UAT",
+    origins: [],
+    variables: {},
+    links: [
+      {
+        label: "A",
+        url: "https://appriserisksolutions--appriseuat.sandbox.lightning.force.com/lightning/n/Quality_Review"
+      },
+      {
+        label: "V",
+        url: "https://vxtest.valex.com.au/valfirm/job-order-new.php"
+      }
+    ]
+  }
+];
+
+// User-configurable settings (stored under "settings"), with their defaults.
+export const DEFAULT_SETTINGS = {
+  revisionLimit: 20, // revisions kept per recording
+  screenshotEveryStep: false, // failed steps are always captured
+  recordVideo: false, // screencast every replay (see background/screencast.js)
+  videoRunLimit: 5, // newest runs that keep their video
+  networkOverride: "", // throttling profile for every run, "" = each recording's own
+  autoWaitNetworkIdle: false, // wait for the requests a click starts (see background/network-idle.js)
+  networkIdleMs: 500, // quiet time that counts as idle
+  networkIdleTimeoutMs: 10_000, // auto-wait gives up, waitForNetworkIdle steps fail
+  networkIdleIgnore: ["*/cometd/*"], // long-poll / streaming URLs (Salesforce streaming API)
+  runIn: "activeTab", // "activeTab" | "tab" | "window" (see background/run-target.js)
+  keepRunTabOnFailure: true, // a failed run's own tab or window stays open
+  environments: DEFAULT_ENVIRONMENTS,
+  activeEnvironmentId: "uat"
+};
+
 // Hostnames (suffix match) that continuously poll the network and never reach
 // readyState='complete'. For these, waitForPageLoad skips polling and uses a
 // fixed sleep instead. Add new entries here as needed.
@@ -0,0 +1,166 @@
+// ── Datasets ───────────────────────────────────────────────────────────────────
+// A dataset attached to a recording repeats its replay once per row. Each row's
+// values are set as run variables, so steps reference columns as {{column}}
+// (see TEMPLATE_FIELDS in step-executor/variables.js).
+//
+// Stored on the recording as:
+//   dataset: { name: "users.csv", columns: ["email", "plan"],
+//              rows: [{ email: "a@example.com", plan: "pro" }, …] }
+// Every value is a string.
+
+const COLUMN_NAME = /^\w+$/;
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+ * into an array of rows. A header line without commas but with semicolons is
+ * read as semicolon-separated, the default export of some spreadsheet locales.
+ */
+export function parseCsv(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const sep = !firstLine.includes(",") && firstLine.includes(";") ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("CSV: unterminated quoted field");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines (typically a trailing newline) are not rows
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+function checkColumns(columns) {
+  const bad = columns.filter((c) => !COLUMN_NAME.test(c));
+  if (bad.length > 0) {
+    throw new Error(
+      `Column names can only use letters, digits and _ so they work as {{placeholders}}: ${bad
+        .map((c) => `"${c}"`)
+        .join(", ")}`
+    );
+  }
+  const dupes = columns.filter((c, i) => columns.indexOf(c) !== i);
+  if (dupes.length > 0) {
+    throw new Error(`Duplicate column: "${dupes[0]}"`);
+  }
+}
+
+function fromCsv(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error("The CSV file is empty");
+  const columns = header.map((c) => c.trim());
+  checkColumns(columns);
+  const rows = lines.map((cells, i) => {
+    if (cells.length > columns.length) {
+      throw new Error(
+        `CSV line ${i + 2} has ${cells.length} values but the header has ${columns.length} columns`
+      );
+    }
+    return Object.fromEntries(columns.map((c, j) => [c, cells[j] ?? ""]));
+  });
+  return { columns, rows };
+}
+
+function fromJson(text) {
+  const json = JSON.parse(text);
+  if (
+    !Array.isArray(json) ||
+    !json.every((r) => r && typeof r === "object" && !Array.isArray(r))
+  ) {
+    throw new Error("A JSON dataset must be an array of objects (one per row)");
+  }
+  // Columns in first-seen order across all rows
+  const columns = [...new Set(json.flatMap((r) => Object.keys(r)))];
+  checkColumns(columns);
+  const rows = json.map((r) =>
+    Object.fromEntries(
+      columns.map((c) => [
+        c,
+        r[c] == null
+          ? ""
+          : typeof r[c] === "object"
+            ? JSON.stringify(r[c])
+            : String(r[c])
+      ])
+    )
+  );
+  return { columns, rows };
+}
+
+/**
+ * Builds a dataset from the text of a .csv or .json file. Throws an Error with
+ * a user-facing message when the file can't be used.
+ */
+export function parseDataset(text, fileName) {
+  const isJson = /\.json$/i.test(fileName) || /^\s*\[/.test(String(text ?? ""));
+  const { columns, rows } = isJson ? fromJson(text) : fromCsv(text);
+  if (rows.length === 0) throw new Error(`"${fileName}" has no data rows`);
+  return { name: fileName, columns, rows };
+}
+
+/**
+ * Returns a list of problems with a stored dataset (empty = valid).
+ */
+export function validateDataset(dataset, where = "dataset") {
+  if (!dataset || typeof dataset !== "object" || Array.isArray(dataset)) {
+    return [`${where}: not an object`];
+  }
+  const problems = [];
+  if (
+    !Array.isArray(dataset.columns) ||
+    !dataset.columns.every((c) => typeof c === "string" && COLUMN_NAME.test(c))
+  ) {
+    problems.push(`${where}: "columns" must be an array of column names`);
+  }
+  if (
+    !Array.isArray(dataset.rows) ||
+    !dataset.rows.every(
+      (r) =>
+        r &&
+        typeof r === "object" &&
+        Object.values(r).every((v) => typeof v === "string")
+    )
+  ) {
+    problems.push(`${where}: "rows" must be an array of string-valued objects`);
+  }
+  return problems;
+}
+
+/**
+ * Short description of a row for summaries, e.g. "a@example.com, pro".
+ */
+export function describeRow(values, maxLength = 60) {
+  const text = Object.values(values ?? {})
+    .filter((v) => v !== "")
+    .join(", ");
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
@@ -0,0 +1,162 @@
+// ─── IndexedDB ────────────────────────────────────────────────────────────────
+// Recordings, run history and revisions live in IndexedDB, one record per
+// entry, so a save or a run result touches only its own record instead of
+// rewriting a whole array in chrome.storage.local. Small ephemeral values
+// (settings, activeRun) stay in chrome.storage.local.
+//
+// Stores:
+//   recordings  key: id                 — one recording per record
+//   runHistory  key: runId              — index "recordingId" on [recordingId, completedAt],
+//                                         index "completedAt"
+//   revisions   key: [recordingId, rev]
+//   meta        out-of-line keys         — bookkeeping (e.g. the migration marker)
+//   artifacts   key: [runId, name]       — files captured during a run (screenshots, …)
+
+const DB_NAME = "test-recorder";
+const DB_VERSION = 2;
+
+export const STORE = {
+  RECORDINGS: "recordings",
+  RUN_HISTORY: "runHistory",
+  REVISIONS: "revisions",
+  META: "meta",
+  ARTIFACTS: "artifacts"
+};
+
+// chrome.storage.local keys that held the same data before IndexedDB.
+const LEGACY_KEYS = ["recordings", "runHistory", "revisions"];
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+}
+
+// Each version adds to the stores created by the ones before it
+function upgrade(db, oldVersion) {
+  if (oldVersion < 1) {
+    db.createObjectStore(STORE.RECORDINGS, { keyPath: "id" });
+
+    const runs = db.createObjectStore(STORE.RUN_HISTORY, { keyPath: "runId" });
+    runs.createIndex("recordingId", ["recordingId", "completedAt"]);
+    runs.createIndex("completedAt", "completedAt");
+
+    db.createObjectStore(STORE.REVISIONS, { keyPath: ["recordingId", "rev"] });
+    db.createObjectStore(STORE.META);
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(STORE.ARTIFACTS, { keyPath: ["runId", "name"] });
+  }
+}
+
+/**
+ * Opens (and on first use creates / migrates) the database. Shared per context.
+ */
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).then(async (db) => {
+      await migrateFromChromeStorage(db);
+      return db;
+    });
+    // Let the next call retry instead of caching a failed open
+    dbPromise.catch(() => (dbPromise = null));
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs `fn(stores)` in one transaction over `storeNames` and resolves with its
+ * result after the transaction commits — everything inside is atomic. `fn` may
+ * only await IndexedDB requests; awaiting anything else lets the transaction
+ * auto-commit early, so gather chrome.storage values before calling this.
+ */
+export async function withStores(storeNames, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeNames, mode);
+  const done = transactionDone(tx);
+  const stores = Object.fromEntries(
+    storeNames.map((name) => [name, tx.objectStore(name)])
+  );
+  let result;
+  try {
+    result = await fn(stores);
+  } catch (err) {
+    try {
+      tx.abort();
+    } catch (_) {
+      /* already finished */
+    }
+    done.catch(() => {});
+    throw err;
+  }
+  await done;
+  return result;
+}
+
+/**
+ * Visits the records of a cursor request one by one. `visit(cursor)` may call
+ * cursor.delete()/update(); return false from it to stop early.
+ */
+export function eachCursor(request, visit) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || visit(cursor) === false) return resolve();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ─── One-time migration from chrome.storage.local ─────────────────────────────
+// The marker is checked inside the same readwrite transaction that copies the
+// data, so the service worker and the side panel can both open the database at
+// once without importing twice. The legacy keys are removed only after commit.
+async function migrateFromChromeStorage(db) {
+  const legacy = await chrome.storage.local.get(LEGACY_KEYS);
+  if (LEGACY_KEYS.every((key) => legacy[key] === undefined)) return;
+
+  const names = Object.values(STORE);
+  const tx = db.transaction(names, "readwrite");
+  const done = transactionDone(tx);
+  const meta = tx.objectStore(STORE.META);
+
+  const migratedAt = await promisify(meta.get("migratedFromStorage"));
+  if (!migratedAt) {
+    const recordings = tx.objectStore(STORE.RECORDINGS);
+    for (const rec of legacy.recordings ?? []) recordings.put(rec);
+
+    const runs = tx.objectStore(STORE.RUN_HISTORY);
+    for (const run of legacy.runHistory ?? []) {
+      runs.put({ ...run, runId: run.runId ?? crypto.randomUUID() });
+    }
+
+    const revisions = tx.objectStore(STORE.REVISIONS);
+    for (const [recordingId, list] of Object.entries(legacy.revisions ?? {})) {
+      for (const revision of list) revisions.put({ ...revision, recordingId });
+    }
+
+    meta.put(new Date().toISOString(), "migratedFromStorage");
+  }
+  await done;
+  await chrome.storage.local.remove(LEGACY_KEYS);
+}
@@ -0,0 +1,112 @@
+// ── Environment profiles ───────────────────────────────────────────────────────
+// A profile lets the same recording run against UAT, staging or a local build.
+// Profiles live in settings.environments; settings.activeEnvironmentId picks the
+// one used for replay and for the header shortcut badges.
+//
+// Profile shape:
+//   { id, name,
+//     origins:   [{ from: "https://uat.example.com", to: "http://localhost:3000" }],
+//     variables: { name: value },          // run variables, usable as {{name}}
+//     links:     [{ label: "A", url }] }   // header shortcut badges
+//
+// At replay, recorded URLs whose origin matches a `from` origin are rewritten to
+// the `to` base URL, keeping path, query and hash.
+
+/**
+ * Returns the active profile from settings, or null when there is none.
+ */
+export function getActiveEnvironment(settings) {
+  const environments = settings?.environments ?? [];
+  return (
+    environments.find((env) => env.id === settings.activeEnvironmentId) ?? null
+  );
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rewrites `url` through the first origin mapping that matches it.
+ * URLs that match no mapping (or don't parse) are returned unchanged.
+ */
+export function rewriteUrl(url, origins = []) {
+  const origin = originOf(url);
+  if (!origin) return url;
+  const mapping = origins.find((m) => originOf(m.from) === origin);
+  if (!mapping) return url;
+  const u = new URL(url);
+  return `${mapping.to.replace(/\/+$/, "")}${u.pathname}${u.search}${u.hash}`;
+}
+
+/**
+ * Returns the step with its recorded URLs (navigate url and expected navigation
+ * events) rewritten for the environment. Other steps are returned unchanged.
+ */
+export function applyEnvironment(step, environment) {
+  const origins = environment?.origins ?? [];
+  if (origins.length === 0 || step.type !== "navigate") return step;
+  return {
+    ...step,
+    url: rewriteUrl(step.url ?? "", origins),
+    ...(step.assertedEvents
+      ? {
+          assertedEvents: step.assertedEvents.map((e) =>
+            e.url ? { ...e, url: rewriteUrl(e.url, origins) } : e
+          )
+        }
+      : {})
+  };
+}
+
+// ── Editing ────────────────────────────────────────────────────────────────────
+// The side panel edits origins and links as "left = right" lines.
+
+function parsePairs(text, describe) {
+  const pairs = [];
+  for (const line of String(text ?? "").split("\n")) {
+    if (!line.trim()) continue;
+    const eq = line.indexOf("=");
+    const left = line.slice(0, eq).trim();
+    const right = line.slice(eq + 1).trim();
+    if (eq < 0 || !left || !right) {
+      throw new Error(`"${line.trim()}" should be ${describe}`);
+    }
+    pairs.push([left, right]);
+  }
+  return pairs;
+}
+
+/**
+ * Parses "recorded origin = target base URL" lines. Throws on a malformed line.
+ */
+export function parseOrigins(text) {
+  return parsePairs(text, "recorded origin = target URL").map(([from, to]) => {
+    if (!originOf(from) || !originOf(to)) {
+      throw new Error(`"${from} = ${to}": both sides must be full URLs`);
+    }
+    return { from: originOf(from), to };
+  });
+}
+
+/**
+ * Parses "label = URL" lines for the header badges. Throws on a malformed line.
+ */
+export function parseLinks(text) {
+  return parsePairs(text, "label = URL").map(([label, url]) => {
+    if (!originOf(url)) throw new Error(`"${url}" is not a full URL`);
+    return { label, url };
+  });
+}
+
+export function formatOrigins(origins = []) {
+  return origins.map((m) => `${m.from} = ${m.to}`).join("\n");
+}
+
+export function formatLinks(links = []) {
+  return links.map((l) => `${l.label} = ${l.url}`).join("\n");
+}
@@ -0,0 +1,61 @@
+// ── Failure modes ──────────────────────────────────────────────────────────────
+// What a failing step does to the run, set per step as step.failureMode:
+//   "fatal"    — stop the run (the default for most steps)
+//   "soft"     — record the failure and carry on; the run still fails at the end
+//                (the default for assertions, so consecutive assertions all run)
+//   "optional" — skip the step when its element doesn't appear within
+//                OPTIONAL_STEP_TIMEOUT_MS, e.g. a cookie banner or a welcome
+//                modal that only sometimes shows. Element steps only. A step
+//                whose element did appear but that fails anyway is a soft failure.
+
+export const FAILURE_MODES = {
+  fatal: "Fatal — stop the run",
+  soft: "Soft — record the failure and continue",
+  optional: "Optional — skip if the element doesn't appear"
+};
+
+const SOFT_BY_DEFAULT = new Set(["assertElement", "assertNotPresent"]);
+
+// Steps that act on an element found by step.selectors. The element of an if
+// step is part of its condition and a forEach loop's are what it iterates, so
+// neither can be optional.
+export function isElementStep(step) {
+  return (
+    step?.type !== "if" &&
+    step?.type !== "loop" &&
+    Array.isArray(step?.selectors) &&
+    step.selectors.length > 0
+  );
+}
+
+export function failureModeOf(step) {
+  return (
+    step.failureMode ?? (SOFT_BY_DEFAULT.has(step.type) ? "soft" : "fatal")
+  );
+}
+
+/**
+ * The modes a step can be set to, in the order the edit overlay cycles them.
+ */
+export function failureModesFor(step) {
+  return isElementStep(step)
+    ? ["fatal", "soft", "optional"]
+    : ["fatal", "soft"];
+}
+
+/**
+ * Returns a list of problems with step.failureMode (empty = valid).
+ */
+export function validateFailureMode(step, where = "step") {
+  const mode = step.failureMode;
+  if (mode === undefined) return [];
+  if (!Object.hasOwn(FAILURE_MODES, mode)) {
+    return [
+      `${where}: "failureMode" must be one of ${Object.keys(FAILURE_MODES).join(", ")}`
+    ];
+  }
+  if (mode === "optional" && !isElementStep(step)) {
+    return [`${where}: only steps with selectors can be optional`];
+  }
+  return [];
+}
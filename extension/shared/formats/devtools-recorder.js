@@ -0,0 +1,141 @@
+import { validateRecording } from "../step-schema.js";
+
+// ── Chrome DevTools Recorder / @puppeteer/replay format ────────────────────────
+// Converts between our recording objects and the JSON produced by the Chrome
+// DevTools Recorder panel ("Export → JSON"), which @puppeteer/replay also reads.
+//
+// Most of our step shapes already are DevTools Recorder steps (same selector
+// dialect, same assertedEvents/setViewport shapes), so those pass through
+// untouched. Step types DevTools does not know are wrapped in a customStep:
+//
+//   { type: "customStep", name: "<our type>", parameters: { ...step fields },
+//     target?: "main", frame?: [0] }
+//
+// Importing reverses that, so export → import is lossless.
+
+// Step types that exist in the DevTools Recorder schema and in our executor.
+const NATIVE_TYPES = new Set([
+  "setViewport",
+  "navigate",
+  "click",
+  "doubleClick",
+  "hover",
+  "change",
+  "keyDown",
+  "keyUp",
+  "scroll",
+  "waitForElement"
+]);
+
+// DevTools step types our executor cannot run. Dropped on import with a warning.
+const UNSUPPORTED_TYPES = new Set([
+  "close",
+  "waitForExpression",
+  "emulateNetworkConditions"
+]);
+
+// Fields that live on the customStep envelope rather than inside `parameters`.
+const ENVELOPE_FIELDS = ["target", "frame"];
+
+// DevTools allows each selector to be a string or a string[] (piercing chain);
+// our resolver expects string[][] — one inner array per fallback candidate.
+function normalizeSelectors(selectors) {
+  if (!Array.isArray(selectors)) return selectors;
+  return selectors.map((s) => (Array.isArray(s) ? s : [s]));
+}
+
+function toDevToolsStep(step) {
+  if (step.type === "selectOption") {
+    // DevTools records <select> changes as a plain change step. label/optionIndex
+    // are extra fields DevTools ignores but we use on import to restore selectOption.
+    const { type: _type, ...rest } = step;
+    return { type: "change", ...rest };
+  }
+  if (NATIVE_TYPES.has(step.type)) return { ...step };
+
+  const { type, ...fields } = step;
+  const envelope = {};
+  for (const name of ENVELOPE_FIELDS) {
+    if (fields[name] !== undefined) {
+      envelope[name] = fields[name];
+      delete fields[name];
+    }
+  }
+  return { type: "customStep", name: type, parameters: fields, ...envelope };
+}
+
+/**
+ * Converts one of our recordings into a DevTools Recorder recording object.
+ */
+export function toDevToolsRecording(recording) {
+  return {
+    title: recording.title,
+    steps: recording.steps.map(toDevToolsStep)
+  };
+}
+
+/**
+ * Returns true when the parsed JSON looks like a DevTools Recorder export.
+ */
+export function isDevToolsRecording(json) {
+  return (
+    !!json &&
+    typeof json === "object" &&
+    json.format === undefined &&
+    typeof json.title === "string" &&
+    Array.isArray(json.steps)
+  );
+}
+
+function fromDevToolsStep(step) {
+  if (step.type === "customStep") {
+    const { name, parameters = {}, type: _type, ...envelope } = step;
+    return { type: name, ...parameters, ...envelope };
+  }
+  if (
+    step.type === "change" &&
+    (step.label !== undefined || step.optionIndex !== undefined)
+  ) {
+    return { ...step, type: "selectOption" };
+  }
+  return { ...step };
+}
+
+/**
+ * Converts a DevTools Recorder recording into one of our recordings.
+ * Returns { recording, warnings } — warnings lists the steps that were dropped
+ * because our executor has no equivalent. Throws when the result is invalid.
+ */
+export function fromDevToolsRecording(json) {
+  const warnings = [];
+  const steps = [];
+
+  json.steps.forEach((raw, i) => {
+    if (UNSUPPORTED_TYPES.has(raw?.type)) {
+      warnings.push(
+        `Step ${i + 1} (${raw.type}) is not supported and was skipped`
+      );
+      return;
+    }
+    if (raw?.target && raw.target !== "main") {
+      warnings.push(
+        `Step ${i + 1} (${raw.type}) targets "${raw.target}" — it will run in the main tab`
+      );
+    }
+    const step = fromDevToolsStep(raw);
+    if (step.selectors) step.selectors = normalizeSelectors(step.selectors);
+    steps.push(step);
+  });
+
+  const recording = {
+    id: crypto.randomUUID(),
+    title: json.title || "Imported recording",
+    steps
+  };
+
+  const problems = validateRecording(recording, `"${recording.title}"`);
+  if (problems.length > 0) {
+    throw new Error(`Invalid DevTools recording:\n${problems.join("\n")}`);
+  }
+  return { recording, warnings };
+}
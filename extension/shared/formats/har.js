@@ -0,0 +1,145 @@
+// ── HAR export ─────────────────────────────────────────────────────────────────
+// Builds a HAR 1.2 file (http://www.softwareishard.com/blog/har-12-spec/) from
+// the network log stored with a run (background/network-log.js). The run is one
+// page; every entry carries the custom field `_stepPath` ("4.2") naming the step
+// that was running when the request started, plus `_stepIterations` ("3") for a
+// step inside a loop. Bodies are not captured, so `content.text` is never set.
+
+function toNameValue(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: String(value)
+  }));
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({
+      name,
+      value
+    }));
+  } catch {
+    return [];
+  }
+}
+
+function headerValue(headers = {}, name) {
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// Phase durations in ms from CDP ResourceTiming; -1 = not applicable (HAR).
+function timings(entry) {
+  const total =
+    entry.endTime != null && entry.startTime != null
+      ? Math.max(0, (entry.endTime - entry.startTime) * 1000)
+      : 0;
+  const t = entry.timing;
+  if (!t) {
+    return {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: total,
+      receive: 0
+    };
+  }
+  const span = (start, end) =>
+    start >= 0 && end >= 0 ? Math.max(0, end - start) : -1;
+  // requestTime is when the request started in the network stack
+  const queued = Math.max(0, (t.requestTime - entry.startTime) * 1000);
+  const firstPhase =
+    [t.dnsStart, t.connectStart, t.sendStart].find((v) => v >= 0) ?? 0;
+  const send = span(t.sendStart, t.sendEnd);
+  const wait = span(t.sendEnd, t.receiveHeadersEnd);
+  const receive = Math.max(0, total - queued - t.receiveHeadersEnd);
+  return {
+    blocked: queued + firstPhase,
+    dns: span(t.dnsStart, t.dnsEnd),
+    connect: span(t.connectStart, t.connectEnd),
+    ssl: span(t.sslStart, t.sslEnd),
+    send: Math.max(0, send),
+    wait: Math.max(0, wait),
+    receive
+  };
+}
+
+function toHarEntry(entry, pageref) {
+  const phases = timings(entry);
+  const time = ["blocked", "dns", "connect", "send", "wait", "receive"]
+    .map((k) => phases[k])
+    .filter((v) => v > 0)
+    .reduce((a, b) => a + b, 0);
+  const httpVersion = entry.protocol ?? "";
+  const size = entry.encodedDataLength ?? -1;
+  return {
+    pageref,
+    startedDateTime: new Date(entry.wallTime * 1000).toISOString(),
+    time,
+    request: {
+      method: entry.method,
+      url: entry.url,
+      httpVersion,
+      cookies: [],
+      headers: toNameValue(entry.requestHeaders),
+      queryString: queryString(entry.url),
+      ...(entry.postData != null
+        ? {
+            postData: {
+              mimeType: headerValue(entry.requestHeaders, "content-type") ?? "",
+              text: entry.postData
+            }
+          }
+        : {}),
+      headersSize: -1,
+      bodySize: entry.postData != null ? entry.postData.length : 0
+    },
+    response: {
+      status: entry.status ?? 0,
+      statusText: entry.statusText ?? entry.error ?? "",
+      httpVersion,
+      cookies: [],
+      headers: toNameValue(entry.responseHeaders),
+      content: { size, mimeType: entry.mimeType ?? "" },
+      redirectURL: entry.redirectURL ?? "",
+      headersSize: -1,
+      bodySize: size
+    },
+    cache: {},
+    timings: phases,
+    ...(entry.remoteIPAddress
+      ? { serverIPAddress: entry.remoteIPAddress }
+      : {}),
+    _stepPath: entry.stepPath ? entry.stepPath.map((i) => i + 1).join(".") : "",
+    _resourceType: entry.resourceType,
+    ...(entry.stepIterations
+      ? { _stepIterations: entry.stepIterations.join(".") }
+      : {}),
+    ...(entry.error ? { _error: entry.error } : {}),
+    ...(entry.mocked ? { _mocked: entry.mocked } : {})
+  };
+}
+
+/**
+ * Returns the HAR object for a run result and its network log entries.
+ */
+export function buildHar(run, entries, creatorVersion = "") {
+  const pageref = `run-${run.runId}`;
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "Test Recorder", version: creatorVersion },
+      pages: [
+        {
+          id: pageref,
+          startedDateTime: run.startedAt,
+          title: run.recordingTitle,
+          pageTimings: {}
+        }
+      ],
+      entries: entries.map((e) => toHarEntry(e, pageref))
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import { validateRecording } from "../step-schema.js";
+import { migrateRecording } from "../migrations.js";
+
+// ── Recording file (export / import) ───────────────────────────────────────────
+// Versioned JSON envelope used to share recordings between browser profiles,
+// teammates and git. Bump RECORDING_FILE_VERSION whenever the envelope changes
+// and teach parseRecordingFile how to read the older version.
+//
+// File shape:
+// {
+//   format: "test-recorder",
+//   version: 1,
+//   exportedAt: "2024-01-01T00:00:00.000Z",
+//   recordings: [{ id, title, createdAt, suite, tags, dataset, failOnPageErrors,
+//                  mockRules, networkConditions, blockedUrls, retry, batchRetries,
+//                  schemaVersion, steps }]
+// }
+//
+// Each recording keeps its own schemaVersion; older ones are upgraded on import
+// through the same migrations used for stored recordings (shared/migrations.js).
+
+export const RECORDING_FILE_FORMAT = "test-recorder";
+export const RECORDING_FILE_VERSION = 1;
+
+// Fields stored on a recording that are derived at runtime and never exported.
+const RUNTIME_FIELDS = ["lastRun"];
+
+function stripRuntimeFields(rec) {
+  const copy = { ...rec };
+  for (const field of RUNTIME_FIELDS) delete copy[field];
+  return copy;
+}
+
+/**
+ * Serializes one or more recordings into the versioned file format.
+ * Returns the JSON string ready to be written to disk.
+ */
+export function serializeRecordings(recordings) {
+  const file = {
+    format: RECORDING_FILE_FORMAT,
+    version: RECORDING_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    recordings: recordings.map(stripRuntimeFields)
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Returns true when the parsed JSON looks like one of our export files.
+ */
+export function isRecordingFile(json) {
+  return json?.format === RECORDING_FILE_FORMAT;
+}
+
+/**
+ * Parses, validates and migrates an export file. Returns the array of recordings.
+ * Throws an Error listing every schema problem found (the import is all-or-nothing).
+ */
+export function parseRecordingFile(json) {
+  if (!isRecordingFile(json)) {
+    throw new Error("Not a Test Recorder export file");
+  }
+  if (
+    typeof json.version !== "number" ||
+    json.version > RECORDING_FILE_VERSION
+  ) {
+    throw new Error(
+      `Unsupported file version ${json.version} — this extension reads up to version ${RECORDING_FILE_VERSION}`
+    );
+  }
+  if (!Array.isArray(json.recordings)) {
+    throw new Error('Invalid export file: "recordings" must be an array');
+  }
+
+  const problems = json.recordings.flatMap((rec, i) =>
+    validateRecording(
+      rec,
+      `recording ${i + 1}${rec?.title ? ` ("${rec.title}")` : ""}`
+    )
+  );
+  if (problems.length > 0) {
+    throw new Error(`Invalid recording file:\n${problems.join("\n")}`);
+  }
+
+  return json.recordings.map((rec) => ({
+    ...migrateRecording(stripRuntimeFields(rec)),
+    id: typeof rec.id === "string" && rec.id ? rec.id : crypto.randomUUID()
+  }));
+}
+
+/**
+ * Builds a file-system friendly name from a recording title, e.g. "Login flow" → "login-flow".
+ */
+export function slugify(title) {
+  return (
+    String(title ?? "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "recording"
+  );
+}
@@ -0,0 +1,483 @@
+// ── Script generator ───────────────────────────────────────────────────────────
+// Turns a saved recording into a runnable Puppeteer script or Playwright test so a
+// developer can reproduce a regressed flow outside the extension.
+//
+// Selector dialect mapping (first column is what the recorder stores):
+//
+//   prefix      Puppeteer                 Playwright
+//   aria/<x>    ::-p-aria("<x>")          getByRole(role, { name }) / getByLabel(<x>)
+//   xpath/<x>   ::-p-xpath("<x>")         locator("xpath=<x>")
+//   text/<x>    ::-p-text("<x>")          getByText(<x>, { exact: true })
+//   pierce/<x>  >>> <x>                   locator(<x>)   (Playwright pierces shadow DOM)
+//   a >>> b     a >>> b                   locator(a).locator(b)
+//   <css>       <css>                     locator(<css>)
+//
+// Fallback selector candidates become Locator.race([...]) in Puppeteer and
+// .or(...) chains in Playwright, mirroring how the replay engine tries them in order.
+
+import { CONDITION_TIMEOUT_MS } from "../constants.js";
+import {
+  DEFAULT_INDEX_VARIABLE,
+  DEFAULT_TEXT_VARIABLE,
+  DEFAULT_MAX_ITERATIONS
+} from "../loops.js";
+
+const q = (value) => JSON.stringify(value ?? "");
+
+// Secret values stay in the extension's vault; generated scripts read them from
+// an environment variable named after the secret instead.
+function fillValue(step) {
+  if (!step.secretRef) return q(step.value);
+  const name = String(step.secretName ?? "")
+    .toUpperCase()
+    .replace(/\W+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return `process.env[${q(name || "SECRET")}]`;
+}
+
+// Returns the first selector of every candidate group (same as the replay engine).
+function candidates(step) {
+  return (step.selectors ?? [])
+    .map((group) => (Array.isArray(group) ? group[0] : group))
+    .filter((s) => typeof s === "string" && s);
+}
+
+// "Submit[role=\"button\"]" → { name: "Submit", role: "button" }
+function parseAria(spec) {
+  const m = spec.match(/^(.*?)\[role=["']?([\w-]+)["']?\]$/);
+  return m
+    ? { name: m[1].trim(), role: m[2] }
+    : { name: spec.trim(), role: null };
+}
+
+// ── Puppeteer ──────────────────────────────────────────────────────────────────
+
+function puppeteerSelector(sel) {
+  if (sel.startsWith("aria/")) {
+    const { name, role } = parseAria(sel.slice(5));
+    return role
+      ? `::-p-aria([name=${q(name)}][role=${q(role)}])`
+      : `::-p-aria(${q(name)})`;
+  }
+  if (sel.startsWith("xpath/")) return `::-p-xpath(${q(sel.slice(6))})`;
+  if (sel.startsWith("text/")) return `::-p-text(${q(sel.slice(5))})`;
+  if (sel.startsWith("pierce/")) return `>>> ${sel.slice(7)}`;
+  return sel;
+}
+
+function puppeteerLocator(step, scope) {
+  const sels = candidates(step).map(
+    (s) => `${scope}.locator(${q(puppeteerSelector(s))})`
+  );
+  if (sels.length === 0) return null;
+  if (sels.length === 1) return sels[0];
+  return `Locator.race([\n  ${sels.join(",\n  ")}\n])`;
+}
+
+function puppeteerStep(step, scope) {
+  const loc = puppeteerLocator(step, scope);
+  switch (step.type) {
+    case "setViewport":
+      return [
+        `await page.setViewport({ width: ${step.width ?? 1280}, height: ${step.height ?? 720} });`
+      ];
+    case "navigate":
+      return [`await page.goto(${q(step.url)});`];
+    case "click":
+      return [
+        `await ${loc}.click(${step.offsetX != null ? `{ offset: { x: ${step.offsetX}, y: ${step.offsetY ?? 0} } }` : ""});`
+      ];
+    case "doubleClick":
+      return [`await ${loc}.click({ count: 2 });`];
+    case "hover":
+      return [`await ${loc}.hover();`];
+    case "change":
+    case "selectOption":
+      return [`await ${loc}.fill(${fillValue(step)});`];
+    case "keyDown":
+      return [`await page.keyboard.down(${q(step.key)});`];
+    case "keyUp":
+      return [`await page.keyboard.up(${q(step.key)});`];
+    case "scroll":
+      return [
+        `await page.mouse.wheel({ deltaX: ${step.x ?? 0}, deltaY: ${step.y ?? 0} });`
+      ];
+    case "waitForElement":
+    case "waitForElementWithRefresh":
+      return [`await ${loc}.wait();`];
+    case "wait":
+      return [
+        `await new Promise((r) => setTimeout(r, ${step.duration ?? 0}));`
+      ];
+    case "waitForNetworkIdle":
+      return [
+        `await page.waitForNetworkIdle({ idleTime: ${step.idleMs ?? 500}, timeout: ${step.timeout ?? 10_000} });`
+      ];
+    case "copy":
+    case "copyVariable":
+      return [
+        `vars[${q(step.variableName)}] = await ${loc}`,
+        `  .map((el) => ("value" in el ? el.value : el.textContent.trim()))`,
+        `  .wait();`
+      ];
+    case "paste":
+    case "pasteVariable":
+      return [`await ${loc}.fill(vars[${q(step.variableName)}]);`];
+    case "if":
+      return [`if (${puppeteerCondition(step, loc, scope)}) {`];
+    case "loop":
+      return loopLines(step, {
+        elements: `(await ${scope}.$$(${q(puppeteerSelector(candidates(step)[0] ?? ""))}))`,
+        text: `await el.evaluate((e) => e.innerText.trim())`,
+        condition: () => puppeteerCondition(step, loc, scope)
+      });
+    case "assertElement":
+      return puppeteerAssertElement(step, loc);
+    case "assertNotPresent":
+      return [
+        `assert.equal(`,
+        `  await ${scope}.$$eval(`,
+        `    ${q(step.selector)},`,
+        `    (els, text) => els.some((el) => !text || el.textContent.trim() === text),`,
+        `    ${q((step.textContent ?? "").trim())}`,
+        `  ),`,
+        `  false,`,
+        `  ${q(`${step.title || step.selector} should not be present`)}`,
+        `);`
+      ];
+    default:
+      return null;
+  }
+}
+
+function puppeteerCondition(step, loc, scope) {
+  const timeout = step.timeout ?? CONDITION_TIMEOUT_MS;
+  switch (step.condition) {
+    case "elementPresent":
+      return `await ${loc}.setTimeout(${timeout}).wait().then(() => true, () => false)`;
+    case "textContains":
+      return loc
+        ? `await ${loc}.setTimeout(${timeout}).map((el) => el.innerText).wait().then((t) => t.includes(${q(step.text)}), () => false)`
+        : `(await ${scope}.evaluate(() => document.body.innerText)).includes(${q(step.text)})`;
+    default:
+      return sharedCondition(step, scope);
+  }
+}
+
+function puppeteerAssertElement(step, loc) {
+  const isCheckable =
+    step.elementInputType === "checkbox" || step.elementInputType === "radio";
+  if (isCheckable) {
+    return [
+      `assert.equal(await ${loc}.map((el) => el.checked).wait(), ${!!step.expectedChecked});`
+    ];
+  }
+  const isField = ["input", "textarea", "select"].includes(
+    (step.elementTag ?? "").toLowerCase()
+  );
+  const read = isField ? "el.value" : "el.textContent.trim()";
+  return [
+    `assert.equal(await ${loc}.map((el) => ${read}).wait(), ${q(step.expectedValue)});`
+  ];
+}
+
+// ── Playwright ─────────────────────────────────────────────────────────────────
+
+function playwrightSingle(sel, scope) {
+  if (sel.startsWith("aria/")) {
+    const { name, role } = parseAria(sel.slice(5));
+    return role
+      ? `${scope}.getByRole(${q(role)}, { name: ${q(name)}, exact: true })`
+      : `${scope}.getByLabel(${q(name)}, { exact: true })`;
+  }
+  if (sel.startsWith("xpath/"))
+    return `${scope}.locator(${q(`xpath=${sel.slice(6)}`)})`;
+  if (sel.startsWith("text/"))
+    return `${scope}.getByText(${q(sel.slice(5))}, { exact: true })`;
+  if (sel.startsWith("pierce/")) return `${scope}.locator(${q(sel.slice(7))})`;
+  if (sel.includes(" >>> ")) {
+    return sel
+      .split(" >>> ")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .reduce((acc, part) => `${acc}.locator(${q(part)})`, scope);
+  }
+  return `${scope}.locator(${q(sel)})`;
+}
+
+function playwrightLocator(step, scope) {
+  const sels = candidates(step).map((s) => playwrightSingle(s, scope));
+  if (sels.length === 0) return null;
+  if (sels.length === 1) return `${sels[0]}.first()`;
+  return [
+    sels[0],
+    ...sels.slice(1).map((s) => `  .or(${s})`),
+    "  .first()"
+  ].join("\n");
+}
+
+function playwrightStep(step, scope) {
+  const loc = playwrightLocator(step, scope);
+  switch (step.type) {
+    case "setViewport":
+      return [
+        `await page.setViewportSize({ width: ${step.width ?? 1280}, height: ${step.height ?? 720} });`
+      ];
+    case "navigate":
+      return [`await page.goto(${q(step.url)});`];
+    case "click":
+      return [
+        `await ${loc}.click(${step.offsetX != null ? `{ position: { x: ${step.offsetX}, y: ${step.offsetY ?? 0} } }` : ""});`
+      ];
+    case "doubleClick":
+      return [`await ${loc}.dblclick();`];
+    case "hover":
+      return [`await ${loc}.hover();`];
+    case "change":
+      return [`await ${loc}.fill(${fillValue(step)});`];
+    case "selectOption":
+      return [`await ${loc}.selectOption(${q(step.value)});`];
+    case "keyDown":
+      return [`await page.keyboard.down(${q(step.key)});`];
+    case "keyUp":
+      return [`await page.keyboard.up(${q(step.key)});`];
+    case "scroll":
+      return [`await page.mouse.wheel(${step.x ?? 0}, ${step.y ?? 0});`];
+    case "waitForElement":
+    case "waitForElementWithRefresh":
+      return [`await ${loc}.waitFor();`];
+    case "wait":
+      return [`await page.waitForTimeout(${step.duration ?? 0});`];
+    case "waitForNetworkIdle":
+      return [
+        `await page.waitForLoadState("networkidle", { timeout: ${step.timeout ?? 10_000} });`
+      ];
+    case "copy":
+    case "copyVariable":
+      return [
+        `vars[${q(step.variableName)}] = await ${loc}.evaluate((el) =>`,
+        `  "value" in el ? el.value : el.textContent.trim()`,
+        `);`
+      ];
+    case "paste":
+    case "pasteVariable":
+      return [`await ${loc}.fill(vars[${q(step.variableName)}]);`];
+    case "if":
+      return [`if (${playwrightCondition(step, loc, scope)}) {`];
+    case "loop":
+      return loopLines(step, {
+        elements: `(await ${playwrightSingle(candidates(step)[0] ?? "", scope)}.all())`,
+        text: `(await el.innerText()).trim()`,
+        condition: () => playwrightCondition(step, loc, scope)
+      });
+    case "assertElement":
+      return playwrightAssertElement(step, loc);
+    case "assertNotPresent": {
+      const text = (step.textContent ?? "").trim();
+      const base = `${scope}.locator(${q(step.selector)})`;
+      const target = text ? `${base}.filter({ hasText: ${q(text)} })` : base;
+      return [`await expect(${target}).toHaveCount(0);`];
+    }
+    default:
+      return null;
+  }
+}
+
+function playwrightCondition(step, loc, scope) {
+  const timeout = step.timeout ?? CONDITION_TIMEOUT_MS;
+  switch (step.condition) {
+    case "elementPresent":
+      return `await ${loc}.waitFor({ timeout: ${timeout} }).then(() => true, () => false)`;
+    case "textContains":
+      return loc
+        ? `await ${loc}.innerText({ timeout: ${timeout} }).then((t) => t.includes(${q(step.text)}), () => false)`
+        : `(await ${scope}.locator("body").innerText()).includes(${q(step.text)})`;
+    default:
+      return sharedCondition(step, scope);
+  }
+}
+
+function playwrightAssertElement(step, loc) {
+  const isCheckable =
+    step.elementInputType === "checkbox" || step.elementInputType === "radio";
+  if (isCheckable) {
+    return [
+      `await expect(${loc}).toBeChecked({ checked: ${!!step.expectedChecked} });`
+    ];
+  }
+  const isField = ["input", "textarea", "select"].includes(
+    (step.elementTag ?? "").toLowerCase()
+  );
+  return isField
+    ? [`await expect(${loc}).toHaveValue(${q(step.expectedValue)});`]
+    : [`await expect(${loc}).toHaveText(${q(step.expectedValue)});`];
+}
+
+// ── Shared body builder ────────────────────────────────────────────────────────
+
+// Conditions written the same way for both libraries (see shared/conditions.js)
+function sharedCondition(step, scope) {
+  switch (step.condition) {
+    case "urlMatches":
+      return `new RegExp(${q(step.pattern)}).test(${scope}.url())`;
+    case "variableEquals":
+      return `String(vars[${q(step.variableName)}] ?? "") === ${q(step.value)}`;
+    default:
+      return "false /* unknown condition */";
+  }
+}
+
+// Loops (see shared/loops.js) become for statements that keep the run variables
+// set like replay does. `elements` lists the forEach elements, `text` reads the
+// text of `el`, `condition` builds an until loop's condition.
+function loopLines(step, { elements, text, condition }) {
+  const max = step.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+  const index = `vars[${q(step.indexVariable ?? DEFAULT_INDEX_VARIABLE)}]`;
+  switch (step.loop) {
+    case "repeat":
+      return [
+        `for (let n = 1; n <= ${step.count}; n++) {`,
+        `  ${index} = String(n);`
+      ];
+    case "forEach":
+      return [
+        `for (const [i, el] of ${elements}.slice(0, ${max}).entries()) {`,
+        `  ${index} = String(i + 1);`,
+        `  vars[${q(step.textVariable ?? DEFAULT_TEXT_VARIABLE)}] = ${text};`
+      ];
+    case "until":
+      return [
+        `for (let n = 1; !(${condition()}); n++) {`,
+        `  if (n > ${max}) throw new Error("Condition still not met after ${max} iterations");`,
+        `  ${index} = String(n);`
+      ];
+    default:
+      return null;
+  }
+}
+
+// Step types that do not target an element (everything else needs selectors).
+const LOCATORLESS_TYPES = new Set([
+  "setViewport",
+  "navigate",
+  "keyDown",
+  "keyUp",
+  "scroll",
+  "wait",
+  "waitForNetworkIdle",
+  "assertNotPresent",
+  "if",
+  "else",
+  "endIf",
+  "loop",
+  "endLoop"
+]);
+
+// Steps inside an iframe run against a Frame resolved from the recorded child
+// frame indices (step.frame = [0, 1] → 2nd child of the 1st child frame).
+function frameScope(step) {
+  if (!step.frame?.length) return "page";
+  return `frameAt(page, ${JSON.stringify(step.frame)})`;
+}
+
+// if/else/endIf markers become a JavaScript if statement and loop/endLoop a for
+// statement; the steps between them are indented one level per open block.
+function buildBody(recording, emitStep, indent) {
+  const lines = [];
+  let usesFrames = false;
+  let depth = 0;
+  const push = (...added) =>
+    lines.push(...added.map((l) => "  ".repeat(depth) + l));
+  recording.steps.forEach((step, i) => {
+    if (step.frame?.length) usesFrames = true;
+    if (
+      step.type === "else" ||
+      step.type === "endIf" ||
+      step.type === "endLoop"
+    ) {
+      depth = Math.max(0, depth - 1);
+      push(
+        `// ${i + 1}. ${step.type}`,
+        step.type === "else" ? "} else {" : "}"
+      );
+      if (step.type === "else") depth++;
+      return;
+    }
+    push(`// ${i + 1}. ${step.type}`);
+    const stepLines = emitStep(step, frameScope(step));
+    if (!stepLines) {
+      push(
+        `// Step type "${step.type}" cannot be converted — replay it in the extension.`
+      );
+      return;
+    }
+    if (!LOCATORLESS_TYPES.has(step.type) && candidates(step).length === 0) {
+      push(`// Step has no selectors — it cannot be converted.`);
+      return;
+    }
+    // Multi-line locators (fallback chains) are emitted with embedded newlines
+    push(...stepLines.flatMap((l) => l.split("\n")));
+    if (step.type === "if" || step.type === "loop") depth++;
+  });
+  return {
+    body: lines.map((l) => (l ? indent + l : l)).join("\n"),
+    usesFrames
+  };
+}
+
+const FRAME_HELPER = `function frameAt(page, path) {
+  let frame = page.mainFrame();
+  for (const index of path) frame = frame.childFrames()[index];
+  return frame;
+}`;
+
+function header(recording) {
+  return `// Generated by Test Recorder from "${recording.title}" on ${new Date().toISOString()}`;
+}
+
+/**
+ * Builds a standalone Puppeteer script (ES module, top-level await).
+ * Run with: node <file>.mjs   (requires `npm i puppeteer`)
+ */
+export function generatePuppeteerScript(recording) {
+  const { body, usesFrames } = buildBody(recording, puppeteerStep, "  ");
+  return [
+    header(recording),
+    `import assert from "node:assert/strict";`,
+    `import puppeteer, { Locator } from "puppeteer";`,
+    "",
+    ...(usesFrames ? [FRAME_HELPER, ""] : []),
+    `const browser = await puppeteer.launch({ headless: false });`,
+    `const page = await browser.newPage();`,
+    `page.setDefaultTimeout(60_000);`,
+    `const vars = {};`,
+    "",
+    `try {`,
+    body,
+    `} finally {`,
+    `  await browser.close();`,
+    `}`,
+    ""
+  ].join("\n");
+}
+
+/**
+ * Builds a Playwright Test spec.
+ * Run with: npx playwright test <file>.spec.js   (requires `npm i -D @playwright/test`)
+ */
+export function generatePlaywrightScript(recording) {
+  const { body, usesFrames } = buildBody(recording, playwrightStep, "  ");
+  return [
+    header(recording),
+    `import { test, expect } from "@playwright/test";`,
+    "",
+    ...(usesFrames ? [FRAME_HELPER, ""] : []),
+    `test(${q(recording.title)}, async ({ page }) => {`,
+    `  test.setTimeout(0);`,
+    `  const vars = {};`,
+    "",
+    body,
+    `});`,
+    ""
+  ].join("\n");
+}
@@ -0,0 +1,880 @@
+import { validateRecording } from "../step-schema.js";
+import { groupBySuite } from "../suites.js";
+import {
+  DEFAULT_INDEX_VARIABLE,
+  DEFAULT_TEXT_VARIABLE,
+  DEFAULT_MAX_ITERATIONS,
+  MAX_ITERATIONS
+} from "../loops.js";
+
+// ── Selenium IDE (.side) ───────────────────────────────────────────────────────
+// Converts Selenium IDE projects to our recordings and back, so suites can move
+// in either direction between the two tools.
+//
+// .side project shape (Selenium IDE 3.x, version "2.0"):
+// {
+//   id, version: "2.0", name, url,
+//   tests: [{ id, name, commands: [{ id, comment, command, target, targets, value }] }],
+//   suites: [{ id, name, persistSession, parallel, timeout, tests: [testId] }],
+//   urls: [url], plugins: []
+// }
+//
+// Locators: id=, name=, css=, xpath= (or a bare //xpath), linkText=, partialLinkText=.
+// Frames are switched with "selectFrame" (index=N / relative=top) rather than
+// being a property of each command, so we track the current frame path on import
+// and emit selectFrame commands on export whenever step.frame changes.
+
+const SIDE_VERSION = "2.0";
+const DEFAULT_WAIT_MS = "60000";
+// Suite that holds recordings without a suite of their own (Selenium IDE needs one).
+const DEFAULT_SUITE = "Default Suite";
+
+// Keys the recorder stores as keyDown steps ↔ Selenium IDE ${KEY_*} tokens.
+const KEY_TOKENS = {
+  Enter: "${KEY_ENTER}",
+  Tab: "${KEY_TAB}",
+  Escape: "${KEY_ESC}",
+  Backspace: "${KEY_BACKSPACE}",
+  Delete: "${KEY_DELETE}",
+  ArrowUp: "${KEY_UP}",
+  ArrowDown: "${KEY_DOWN}",
+  ArrowLeft: "${KEY_LEFT}",
+  ArrowRight: "${KEY_RIGHT}",
+  Home: "${KEY_HOME}",
+  End: "${KEY_END}",
+  PageUp: "${KEY_PAGE_UP}",
+  PageDown: "${KEY_PAGE_DOWN}"
+};
+const TOKEN_KEYS = Object.fromEntries(
+  Object.entries(KEY_TOKENS).map(([key, token]) => [token, key])
+);
+
+const VARIABLE_REF = /^\$\{(\w+)\}$/;
+
+/**
+ * Returns true when the parsed JSON looks like a Selenium IDE project.
+ */
+export function isSideProject(json) {
+  return (
+    !!json &&
+    typeof json === "object" &&
+    typeof json.version === "string" &&
+    Array.isArray(json.tests)
+  );
+}
+
+// ── Locators ───────────────────────────────────────────────────────────────────
+
+function cssString(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Converts one Selenium IDE locator into our selector string (null if unsupported).
+ */
+function locatorToSelector(locator) {
+  if (typeof locator !== "string" || !locator) return null;
+  if (locator.startsWith("//") || locator.startsWith("(//"))
+    return `xpath/${locator}`;
+  const eq = locator.indexOf("=");
+  if (eq < 0) return null;
+  const strategy = locator.slice(0, eq);
+  const value = locator.slice(eq + 1);
+  switch (strategy) {
+    case "id":
+      return /^[A-Za-z][\w-]*$/.test(value)
+        ? `#${value}`
+        : `[id=${cssString(value)}]`;
+    case "name":
+      return `[name=${cssString(value)}]`;
+    case "css":
+      return value;
+    case "xpath":
+      return `xpath/${value}`;
+    case "linkText":
+      return `text/${value}`;
+    case "partialLinkText":
+      return `xpath///a[contains(normalize-space(.), ${cssString(value)})]`;
+    default:
+      return null;
+  }
+}
+
+// Builds our selectors array from a command's primary target plus the
+// alternative locators Selenium IDE stores in `targets` ([[locator, strategy]]).
+function commandSelectors(cmd) {
+  const locators = [
+    cmd.target,
+    ...(cmd.targets ?? []).map((t) => (Array.isArray(t) ? t[0] : t))
+  ];
+  const selectors = [];
+  for (const loc of locators) {
+    const sel = locatorToSelector(loc);
+    if (sel && !selectors.some((group) => group[0] === sel))
+      selectors.push([sel]);
+  }
+  return selectors;
+}
+
+/**
+ * Converts one of our selector strings into a Selenium IDE locator (null if unsupported).
+ */
+function selectorToLocator(sel) {
+  if (sel.startsWith("xpath/")) return `xpath=${sel.slice(6)}`;
+  if (sel.startsWith("text/")) {
+    return `xpath=//*[normalize-space(.)=${cssString(sel.slice(5))}]`;
+  }
+  if (sel.startsWith("aria/")) {
+    const label = sel
+      .slice(5)
+      .replace(/\[role=["']?[\w-]+["']?\]$/, "")
+      .trim();
+    return `xpath=//*[@aria-label=${cssString(label)}]`;
+  }
+  // Selenium IDE has no shadow-piercing locator — fall back to the plain CSS part
+  if (sel.startsWith("pierce/")) return `css=${sel.slice(7)}`;
+  if (sel.includes(" >>> ")) return null;
+  if (/^#[A-Za-z][\w-]*$/.test(sel)) return `id=${sel.slice(1)}`;
+  return `css=${sel}`;
+}
+
+function stepTargets(step) {
+  const locators = (step.selectors ?? [])
+    .map((group) => (Array.isArray(group) ? group[0] : group))
+    .filter(Boolean)
+    .map(selectorToLocator)
+    .filter(Boolean);
+  const strategy = (loc) => {
+    const s = loc.slice(0, loc.indexOf("="));
+    return s === "xpath" ? "xpath:position" : s === "css" ? "css:finder" : s;
+  };
+  return {
+    target: locators[0] ?? "",
+    targets: locators.map((loc) => [loc, strategy(loc)])
+  };
+}
+
+// ── Import ─────────────────────────────────────────────────────────────────────
+
+function resolveUrl(target, baseUrl) {
+  try {
+    return new URL(target, baseUrl || undefined).href;
+  } catch (_) {
+    return target;
+  }
+}
+
+// ── Import: control flow ───────────────────────────────────────────────────────
+// if/else/end and times/while/forEach come back as our block markers when their
+// expressions are the ones conditionExpression and loopCommands write; the
+// "store" and "executeScript" commands those emit around a loop are folded into
+// the loop step. Any other control flow (arbitrary expressions, elseIf, do …
+// repeatIf) is skipped together with the commands inside it, with a warning.
+
+const BLOCK_OPENERS = new Set(["if", "times", "while", "forEach", "do"]);
+const BLOCK_CLOSERS = new Set(["end", "repeatIf"]);
+const LIST_SCRIPT =
+  /^return (.*)\.slice\(0, (\d+)\)\.map\(\(e\) => e\.innerText\.trim\(\)\)$/;
+const COUNT_SCRIPT = /^return (?:Number\(\$\{(\w+)\}\)|\$\{(\w+)\}) \+ 1$/;
+
+function jsonString(literal) {
+  try {
+    const value = JSON.parse(literal);
+    return typeof value === "string" ? value : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Our selectors for an element lookup conditionExpression or loopCommands wrote
+// (null for any other expression).
+function expressionSelectors(expression) {
+  const lookups = [
+    [
+      /^document\.evaluate\((".*"), document, null, 9, null\)\.singleNodeValue$/,
+      "xpath="
+    ],
+    [/^document\.getElementById\((".*")\)$/, "id="],
+    [/^document\.querySelector\((".*")\)$/, "css="],
+    [/^Array\.from\(document\.querySelectorAll\((".*")\)\)$/, "css="],
+    [/document\.evaluate\((".*"), document, null, 7, null\)\)$/, "xpath="]
+  ];
+  for (const [pattern, strategy] of lookups) {
+    const literal = expression.match(pattern)?.[1];
+    const value = literal && jsonString(literal);
+    if (value) {
+      const selectors = commandSelectors({ target: `${strategy}${value}` });
+      return selectors.length ? selectors : null;
+    }
+  }
+  return null;
+}
+
+// The condition fields for an expression conditionExpression wrote, or null.
+function expressionCondition(expression) {
+  let m = expression.match(/^(.*) !== null$/);
+  if (m) {
+    const selectors = expressionSelectors(m[1]);
+    return selectors && { condition: "elementPresent", selectors };
+  }
+  m = expression.match(
+    /^\(\((.*) \|\| \{\}\)\.innerText \|\| ""\)\.includes\((".*")\)$/
+  );
+  if (m) {
+    const selectors = expressionSelectors(m[1]);
+    const text = jsonString(m[2]);
+    return selectors && text && { condition: "textContains", selectors, text };
+  }
+  m = expression.match(/^document\.body\.innerText\.includes\((".*")\)$/);
+  if (m) {
+    const text = jsonString(m[1]);
+    return text && { condition: "textContains", text };
+  }
+  m = expression.match(
+    /^new RegExp\((".*")\)\.test\(window\.location\.href\)$/
+  );
+  if (m) {
+    const pattern = jsonString(m[1]);
+    return pattern != null && { condition: "urlMatches", pattern };
+  }
+  m = expression.match(/^String\(\$\{(\w+)\}\) === (".*")$/);
+  if (m) {
+    const value = jsonString(m[2]);
+    return (
+      value != null && {
+        condition: "variableEquals",
+        variableName: m[1],
+        value
+      }
+    );
+  }
+  return null;
+}
+
+// Skips the rest of the block `cmd` opens (or, with `close`, the rest of the
+// block it is part of, whose end still closes our marker).
+function skipBlock(cmd, ctx, where, close = false) {
+  const reason = ["elseIf", "do"].includes(cmd.command)
+    ? "not supported"
+    : `"${cmd.target}" can't be imported`;
+  ctx.warnings.push(
+    `${where} (${cmd.command}): ${reason} — skipped with the commands inside it`
+  );
+  ctx.skip = { depth: 1, close };
+  return [];
+}
+
+function closeBlock(ctx, where) {
+  const block = ctx.blocks.pop();
+  if (!block) {
+    ctx.warnings.push(`${where} (end): no block to end — skipped`);
+    return [];
+  }
+  return [{ type: block === "loop" ? "endLoop" : "endIf" }];
+}
+
+function openLoop(step, ctx) {
+  const index = ctx.index;
+  ctx.index = null;
+  ctx.blocks.push("loop");
+  return [
+    {
+      type: "loop",
+      ...step,
+      ...(index && index !== DEFAULT_INDEX_VARIABLE
+        ? { indexVariable: index }
+        : {})
+    }
+  ];
+}
+
+// Loop limit from a while/forEach export, kept when it isn't the default
+function maxIterations(value) {
+  const max = Number(value);
+  return Number.isInteger(max) &&
+    max >= 1 &&
+    max <= MAX_ITERATIONS &&
+    max !== DEFAULT_MAX_ITERATIONS
+    ? { maxIterations: max }
+    : {};
+}
+
+// Maps a control flow command (or one loopCommands emits around a loop) onto
+// our steps. Returns null for any other command.
+function controlFlowToSteps(cmd, ctx, where) {
+  if (ctx.skip) {
+    if (BLOCK_OPENERS.has(cmd.command)) ctx.skip.depth++;
+    else if (BLOCK_CLOSERS.has(cmd.command) && --ctx.skip.depth === 0) {
+      const { close } = ctx.skip;
+      ctx.skip = null;
+      return close ? closeBlock(ctx, where) : [];
+    }
+    return [];
+  }
+  // The index counter loopCommands puts before a loop belongs to that loop
+  if (ctx.index && !["times", "while", "forEach"].includes(cmd.command)) {
+    ctx.warnings.push(`${where}: command "store" is not supported — skipped`);
+    ctx.index = null;
+  }
+  const target = String(cmd.target ?? "");
+  const value = String(cmd.value ?? "");
+
+  switch (cmd.command) {
+    case "if": {
+      const condition = expressionCondition(target);
+      if (!condition) return skipBlock(cmd, ctx, where);
+      ctx.blocks.push("if");
+      return [{ type: "if", ...condition }];
+    }
+    case "else":
+      if (ctx.blocks.at(-1) !== "if") {
+        ctx.warnings.push(`${where} (else): not inside an if — skipped`);
+        return [];
+      }
+      return [{ type: "else" }];
+    case "elseIf":
+      return ctx.blocks.at(-1) === "if"
+        ? skipBlock(cmd, ctx, where, true)
+        : null;
+    case "end":
+      return closeBlock(ctx, where);
+    case "do":
+      return skipBlock(cmd, ctx, where);
+    case "times": {
+      const count = Number(target);
+      if (!(Number.isInteger(count) && count >= 1 && count <= MAX_ITERATIONS)) {
+        return skipBlock(cmd, ctx, where);
+      }
+      return openLoop({ loop: "repeat", count }, ctx);
+    }
+    case "while": {
+      const condition = expressionCondition(
+        target.match(/^!\((.*)\)$/)?.[1] ?? ""
+      );
+      if (!condition) return skipBlock(cmd, ctx, where);
+      return openLoop(
+        { loop: "until", ...condition, ...maxIterations(value) },
+        ctx
+      );
+    }
+    case "forEach": {
+      const list = ctx.lists.get(target);
+      if (!list) return skipBlock(cmd, ctx, where);
+      return openLoop(
+        {
+          loop: "forEach",
+          selectors: list.selectors,
+          ...(value && value !== DEFAULT_TEXT_VARIABLE
+            ? { textVariable: value }
+            : {}),
+          ...maxIterations(list.max)
+        },
+        ctx
+      );
+    }
+    case "store":
+      if (target !== "0" || !value) return null;
+      ctx.index = value;
+      return [];
+    case "executeScript": {
+      const counted = target.match(COUNT_SCRIPT);
+      if (counted && (counted[1] ?? counted[2]) === value) return [];
+      const list = target.match(LIST_SCRIPT);
+      const selectors = list && expressionSelectors(list[1]);
+      if (!selectors) return null;
+      ctx.lists.set(value, { selectors, max: list[2] });
+      return [];
+    }
+    default:
+      return null;
+  }
+}
+
+// Maps one command onto zero or more of our steps. `ctx` carries the project base
+// URL, the current frame path, the open blocks and the warnings list.
+function commandToSteps(cmd, ctx, where) {
+  const flow = controlFlowToSteps(cmd, ctx, where);
+  if (flow) return flow;
+  const frame = ctx.frame.length ? { frame: [...ctx.frame] } : {};
+  const selectors = commandSelectors(cmd);
+  const element = { target: "main", selectors, ...frame };
+  const needsElement = () => {
+    if (selectors.length > 0) return true;
+    ctx.warnings.push(
+      `${where} (${cmd.command}): unsupported locator "${cmd.target}" — skipped`
+    );
+    return false;
+  };
+
+  switch (cmd.command) {
+    case "open": {
+      const url = resolveUrl(cmd.target, ctx.baseUrl);
+      return [
+        {
+          type: "navigate",
+          url,
+          assertedEvents: [{ type: "navigation", url, title: "" }]
+        }
+      ];
+    }
+    case "setWindowSize": {
+      const [width, height] = String(cmd.target).split("x").map(Number);
+      return width && height ? [{ type: "setViewport", width, height }] : [];
+    }
+    case "selectFrame": {
+      if (cmd.target === "relative=top") ctx.frame = [];
+      else if (cmd.target === "relative=parent")
+        ctx.frame = ctx.frame.slice(0, -1);
+      else if (/^index=\d+$/.test(cmd.target))
+        ctx.frame = [...ctx.frame, Number(cmd.target.slice(6))];
+      else
+        ctx.warnings.push(
+          `${where} (selectFrame): only index= and relative= frames are supported`
+        );
+      return [];
+    }
+    case "click":
+    case "clickAt":
+      return needsElement() ? [{ type: "click", ...element }] : [];
+    case "doubleClick":
+    case "doubleClickAt":
+      return needsElement() ? [{ type: "doubleClick", ...element }] : [];
+    case "mouseOver":
+      return needsElement() ? [{ type: "hover", ...element }] : [];
+    case "type":
+    case "sendKeys": {
+      if (!needsElement()) return [];
+      const value = String(cmd.value ?? "");
+      const key = TOKEN_KEYS[value];
+      if (key) {
+        return [
+          { type: "keyDown", target: "main", key, ...frame },
+          { type: "keyUp", target: "main", key, ...frame }
+        ];
+      }
+      const varRef = value.match(VARIABLE_REF);
+      if (varRef)
+        return [{ type: "pasteVariable", ...element, variableName: varRef[1] }];
+      return [{ type: "change", ...element, value }];
+    }
+    case "select":
+    case "addSelection": {
+      if (!needsElement()) return [];
+      const [, kind, option] =
+        String(cmd.value ?? "").match(/^(label|value|index)=(.*)$/) ?? [];
+      if (kind === "index") {
+        ctx.warnings.push(
+          `${where} (select): index= options are not supported — skipped`
+        );
+        return [];
+      }
+      // label= gives no option value; the executor falls back to matching the label text
+      const text = option ?? String(cmd.value ?? "");
+      return [
+        {
+          type: "selectOption",
+          ...element,
+          value: text,
+          ...(kind === "value" ? {} : { label: text })
+        }
+      ];
+    }
+    case "waitForElementPresent":
+    case "waitForElementVisible":
+      return needsElement() ? [{ type: "waitForElement", ...element }] : [];
+    case "pause":
+      return [
+        {
+          type: "wait",
+          target: "main",
+          duration: Number(cmd.value || cmd.target) || 0
+        }
+      ];
+    case "storeText":
+    case "storeValue":
+      if (!needsElement()) return [];
+      return [
+        {
+          type: "copyVariable",
+          ...element,
+          variableName: String(cmd.value),
+          defaultValue: "",
+          valuePattern: ""
+        }
+      ];
+    case "assertText":
+    case "verifyText":
+      return needsElement()
+        ? [
+            {
+              type: "assertElement",
+              ...element,
+              elementTag: "",
+              elementInputType: null,
+              expectedValue: String(cmd.value ?? "")
+            }
+          ]
+        : [];
+    case "assertValue":
+    case "verifyValue":
+      return needsElement()
+        ? [
+            {
+              type: "assertElement",
+              ...element,
+              elementTag: "input",
+              elementInputType: "text",
+              expectedValue: String(cmd.value ?? "")
+            }
+          ]
+        : [];
+    case "assertChecked":
+    case "assertNotChecked":
+      return needsElement()
+        ? [
+            {
+              type: "assertElement",
+              ...element,
+              elementTag: "input",
+              elementInputType: "checkbox",
+              expectedValue: "",
+              expectedChecked: cmd.command === "assertChecked"
+            }
+          ]
+        : [];
+    case "assertElementNotPresent": {
+      const sel = selectors.map((g) => g[0]).find((s) => !s.includes("/"));
+      if (!sel) {
+        ctx.warnings.push(
+          `${where} (assertElementNotPresent): needs an id=, name= or css= locator — skipped`
+        );
+        return [];
+      }
+      return [
+        {
+          type: "assertNotPresent",
+          target: "main",
+          title: "",
+          selector: sel,
+          textContent: "",
+          originalHtml: ""
+        }
+      ];
+    }
+    default:
+      ctx.warnings.push(
+        `${where}: command "${cmd.command}" is not supported — skipped`
+      );
+      return [];
+  }
+}
+
+/**
+ * Converts a Selenium IDE project into our recordings.
+ * Returns { recordings, warnings }. Throws when a converted test is invalid.
+ */
+export function fromSideProject(project) {
+  const warnings = [];
+  // A test may appear in several suites; our recordings have one — keep the first.
+  const suiteOf = new Map();
+  for (const suite of project.suites ?? []) {
+    for (const testId of suite.tests ?? []) {
+      if (!suiteOf.has(testId)) {
+        suiteOf.set(testId, suite.name === DEFAULT_SUITE ? "" : suite.name);
+      }
+    }
+  }
+  const recordings = project.tests.map((test) => {
+    const ctx = {
+      baseUrl: project.url ?? "",
+      frame: [],
+      blocks: [],
+      skip: null,
+      index: null,
+      lists: new Map(),
+      warnings
+    };
+    const steps = (test.commands ?? []).flatMap((cmd, i) =>
+      cmd.command?.startsWith("//") || !cmd.command
+        ? [] // commented-out command
+        : commandToSteps(cmd, ctx, `"${test.name}" command ${i + 1}`)
+    );
+    // Blocks left without an "end" are closed at the end of the test
+    while (ctx.blocks.length > 0) {
+      const block = ctx.blocks.pop();
+      warnings.push(
+        `"${test.name}": ${block} without "end" — closed at the end`
+      );
+      steps.push({ type: block === "loop" ? "endLoop" : "endIf" });
+    }
+    return {
+      id: crypto.randomUUID(),
+      title: test.name || "Imported test",
+      suite: suiteOf.get(test.id) ?? "",
+      tags: [],
+      steps
+    };
+  });
+
+  const problems = recordings.flatMap((rec) =>
+    validateRecording(rec, `"${rec.title}"`)
+  );
+  if (problems.length > 0) {
+    throw new Error(`Invalid Selenium IDE project:\n${problems.join("\n")}`);
+  }
+  return { recordings, warnings };
+}
+
+// ── Export ─────────────────────────────────────────────────────────────────────
+
+function command(name, target = "", value = "", targets = []) {
+  return {
+    id: crypto.randomUUID(),
+    comment: "",
+    command: name,
+    target,
+    targets,
+    value
+  };
+}
+
+// Emits the selectFrame commands that move from frame path `from` to `to`.
+function frameSwitch(from, to) {
+  if (JSON.stringify(from) === JSON.stringify(to)) return [];
+  return [
+    command("selectFrame", "relative=top"),
+    ...to.map((index) => command("selectFrame", `index=${index}`))
+  ];
+}
+
+function stepToCommands(step, lastTarget) {
+  const { target, targets } = stepTargets(step);
+  const el = (name, value = "") => command(name, target, value, targets);
+  switch (step.type) {
+    case "navigate":
+      return [command("open", step.url ?? "")];
+    case "setViewport":
+      return [command("setWindowSize", `${step.width}x${step.height}`)];
+    case "click":
+      return [el("click")];
+    case "doubleClick":
+      return [el("doubleClick")];
+    case "hover":
+      return [el("mouseOver")];
+    case "change":
+      return [el("type", step.value ?? "")];
+    case "selectOption":
+      return [
+        el(
+          "select",
+          step.label !== undefined
+            ? `label=${step.label}`
+            : `value=${step.value ?? ""}`
+        )
+      ];
+    case "keyDown": {
+      // Selenium IDE sends keys to an element; reuse the last element we interacted with
+      const token = KEY_TOKENS[step.key];
+      if (!token) return [command("echo", `Unsupported key: ${step.key}`)];
+      return [
+        command(
+          "sendKeys",
+          lastTarget.target || "css=body",
+          token,
+          lastTarget.targets
+        )
+      ];
+    }
+    case "keyUp":
+      return []; // sendKeys already presses and releases the key
+    case "scroll":
+      return [
+        command(
+          "executeScript",
+          `window.scrollBy(${step.x ?? 0}, ${step.y ?? 0})`
+        )
+      ];
+    case "waitForElement":
+    case "waitForElementWithRefresh":
+      return [el("waitForElementPresent", DEFAULT_WAIT_MS)];
+    case "wait":
+      return [command("pause", String(step.duration ?? 0))];
+    case "copy":
+    case "copyVariable":
+      return [el("storeText", step.variableName)];
+    case "paste":
+    case "pasteVariable":
+      return [el("type", `\${${step.variableName}}`)];
+    case "assertElement": {
+      const inputType = step.elementInputType;
+      if (inputType === "checkbox" || inputType === "radio") {
+        return [
+          el(step.expectedChecked ? "assertChecked" : "assertNotChecked")
+        ];
+      }
+      const isField = ["input", "textarea", "select"].includes(
+        (step.elementTag ?? "").toLowerCase()
+      );
+      return [
+        el(isField ? "assertValue" : "assertText", step.expectedValue ?? "")
+      ];
+    }
+    case "assertNotPresent":
+      return [command("assertElementNotPresent", `css=${step.selector}`)];
+    case "if": {
+      const expression = conditionExpression(step, target);
+      return expression
+        ? [command("if", expression)]
+        : [
+            command("echo", `Unsupported condition: ${step.condition}`),
+            command("if", "false")
+          ];
+    }
+    case "else":
+      return [command("else")];
+    case "endIf":
+    case "endLoop":
+      return [command("end")];
+    case "loop":
+      return loopCommands(step, target);
+    default:
+      return [command("echo", `Unsupported step type: ${step.type}`)];
+  }
+}
+
+// The JavaScript expression Selenium IDE's "if" command evaluates for one of our
+// conditions (see shared/conditions.js). Element conditions don't wait for the
+// element. Null when the element's locator can't be written as a DOM lookup.
+function conditionExpression(step, target) {
+  const q = JSON.stringify;
+  let element = null;
+  if (target.startsWith("xpath=")) {
+    element = `document.evaluate(${q(target.slice(6))}, document, null, 9, null).singleNodeValue`;
+  } else if (target.startsWith("id=")) {
+    element = `document.getElementById(${q(target.slice(3))})`;
+  } else if (target.startsWith("css=")) {
+    element = `document.querySelector(${q(target.slice(4))})`;
+  }
+  switch (step.condition) {
+    case "elementPresent":
+      return element && `${element} !== null`;
+    case "textContains":
+      if (!step.selectors?.length) {
+        return `document.body.innerText.includes(${q(step.text ?? "")})`;
+      }
+      return (
+        element &&
+        `((${element} || {}).innerText || "").includes(${q(step.text ?? "")})`
+      );
+    case "urlMatches":
+      return `new RegExp(${q(step.pattern ?? "")}).test(window.location.href)`;
+    case "variableEquals":
+      return `String(\${${step.variableName}}) === ${q(step.value ?? "")}`;
+    default:
+      return null;
+  }
+}
+
+// Selenium IDE loops for ours (see shared/loops.js): repeat → times, until →
+// while with maxIterations as its loop limit, forEach → forEach over the texts of
+// the elements. The index variable is counted up by a script at the start of
+// every iteration; "store" saves it as a string, so the script converts it to a
+// number first instead of appending "1".
+function loopCommands(step, target) {
+  const q = JSON.stringify;
+  const max = String(step.maxIterations ?? DEFAULT_MAX_ITERATIONS);
+  const index = step.indexVariable ?? DEFAULT_INDEX_VARIABLE;
+  const count = [
+    command("executeScript", `return Number(\${${index}}) + 1`, index)
+  ];
+  switch (step.loop) {
+    case "repeat":
+      return [
+        command("store", "0", index),
+        command("times", String(step.count)),
+        ...count
+      ];
+    case "until": {
+      const expression = conditionExpression(step, target);
+      if (!expression) break;
+      return [
+        command("store", "0", index),
+        command("while", `!(${expression})`, max),
+        ...count
+      ];
+    }
+    case "forEach": {
+      let elements = null;
+      if (target.startsWith("xpath=")) {
+        elements = `(function (r) { var out = []; for (var i = 0; i < r.snapshotLength; i++) out.push(r.snapshotItem(i)); return out; })(document.evaluate(${q(target.slice(6))}, document, null, 7, null))`;
+      } else if (target.startsWith("css=")) {
+        elements = `Array.from(document.querySelectorAll(${q(target.slice(4))}))`;
+      }
+      if (!elements) break;
+      const text = step.textVariable ?? DEFAULT_TEXT_VARIABLE;
+      return [
+        command(
+          "executeScript",
+          `return ${elements}.slice(0, ${max}).map((e) => e.innerText.trim())`,
+          `${text}List`
+        ),
+        command("store", "0", index),
+        command("forEach", `${text}List`, text),
+        ...count
+      ];
+    }
+  }
+  return [
+    command("echo", `Unsupported loop: ${step.loop}`),
+    command("while", "false")
+  ];
+}
+
+function recordingToTest(rec) {
+  const commands = [];
+  let frame = [];
+  let lastTarget = { target: "", targets: [] };
+  for (const step of rec.steps) {
+    const stepFrame = step.frame ?? [];
+    commands.push(...frameSwitch(frame, stepFrame));
+    frame = stepFrame;
+    commands.push(...stepToCommands(step, lastTarget));
+    if (step.selectors?.length) lastTarget = stepTargets(step);
+  }
+  return { id: rec.id, name: rec.title, commands };
+}
+
+/**
+ * Builds a Selenium IDE project containing the given recordings.
+ */
+export function toSideProject(recordings, name) {
+  const firstUrl = recordings
+    .flatMap((r) => r.steps)
+    .find((s) => s.type === "navigate" && s.url)?.url;
+  let baseUrl = "";
+  try {
+    baseUrl = firstUrl ? new URL(firstUrl).origin : "";
+  } catch (_) {
+    /* keep empty base URL */
+  }
+
+  const tests = recordings.map(recordingToTest);
+  const suites = groupBySuite(recordings).map(({ suite, items }) => ({
+    id: crypto.randomUUID(),
+    name: suite || DEFAULT_SUITE,
+    persistSession: false,
+    parallel: false,
+    timeout: 300,
+    tests: items.map((rec) => rec.id)
+  }));
+  return {
+    id: crypto.randomUUID(),
+    version: SIDE_VERSION,
+    name,
+    url: baseUrl,
+    tests,
+    suites,
+    urls: baseUrl ? [baseUrl] : [],
+    plugins: []
+  };
+}
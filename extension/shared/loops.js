@@ -0,0 +1,91 @@
+import { describeCondition, validateCondition } from "./conditions.js";
+
+// ── Loops ──────────────────────────────────────────────────────────────────────
+// A loop repeats the steps between its marker and the matching endLoop:
+//   { type: "loop", loop: "repeat", count }
+//   { type: "loop", loop: "forEach", selectors, textVariable? }
+//   { type: "loop", loop: "until", condition, …condition fields }
+//   …steps…
+//   { type: "endLoop" }
+// forEach runs once per element matching the first CSS or XPath selector (the
+// elements are counted again before every iteration, so a list that shrinks
+// ends the loop early) and puts the element's text in `textVariable`. until
+// checks its condition (see shared/conditions.js) before every iteration and
+// stops once it holds. Every loop puts the 1-based iteration number in
+// `indexVariable`, so steps can use e.g. `tr:nth-child({{loopIndex}})`.
+//
+// forEach and until stop after `maxIterations`; an until loop whose condition
+// still doesn't hold then fails.
+
+export const LOOPS = {
+  repeat: "Repeat N times",
+  forEach: "For each element",
+  until: "Repeat until"
+};
+
+export const DEFAULT_INDEX_VARIABLE = "loopIndex";
+export const DEFAULT_TEXT_VARIABLE = "loopText";
+export const DEFAULT_MAX_ITERATIONS = 100;
+export const MAX_ITERATIONS = 1000;
+
+/**
+ * One-line description of a loop step, e.g. "3 times" or "each tbody tr".
+ */
+export function describeLoop(step) {
+  switch (step.loop) {
+    case "repeat":
+      return `${step.count} time${step.count === 1 ? "" : "s"}`;
+    case "forEach":
+      return `each ${step.selectors?.flat?.().find(Boolean) ?? ""}`;
+    case "until":
+      return `until ${describeCondition(step)}`;
+    default:
+      return String(step.loop ?? "");
+  }
+}
+
+function isIterationCount(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_ITERATIONS;
+}
+
+/**
+ * Returns a list of problems with a loop step's fields (empty = valid).
+ */
+export function validateLoop(step, where = "step") {
+  const problems = [];
+  switch (step.loop) {
+    case "repeat":
+      if (!isIterationCount(step.count)) {
+        problems.push(
+          `${where}: "count" must be a whole number 1–${MAX_ITERATIONS}`
+        );
+      }
+      break;
+    case "forEach":
+      if (!(Array.isArray(step.selectors) && step.selectors.length > 0)) {
+        problems.push(`${where}: needs "selectors"`);
+      }
+      break;
+    case "until":
+      problems.push(...validateCondition(step, where));
+      break;
+    default:
+      return [
+        `${where}: "loop" must be one of ${Object.keys(LOOPS).join(", ")}`
+      ];
+  }
+  if (
+    step.maxIterations !== undefined &&
+    !isIterationCount(step.maxIterations)
+  ) {
+    problems.push(
+      `${where}: "maxIterations" must be a whole number 1–${MAX_ITERATIONS}`
+    );
+  }
+  for (const name of ["indexVariable", "textVariable"]) {
+    if (step[name] !== undefined && !/^\w+$/.test(step[name])) {
+      problems.push(`${where}: "${name}" must be a variable name`);
+    }
+  }
+  return problems;
+}
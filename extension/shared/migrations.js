@@ -0,0 +1,136 @@
+// ── Recording schema migrations ────────────────────────────────────────────────
+// Every stored recording carries a `schemaVersion`. Recordings saved before
+// versioning existed have none and count as version 1. migrateRecording runs
+// each pending migration in order, so the executor only ever sees the current
+// step shapes and does not need fallbacks for old recordings.
+//
+// To change a step shape: bump CURRENT_SCHEMA_VERSION, append a migration that
+// upgrades the previous version, and update the recorder to emit the new shape.
+// Migrations take and return a plain recording object and must not mutate it.
+//
+// copy/paste are not an older shape of copyVariable/pasteVariable and are not
+// migrated: the recorder still emits them, and they replay the text the user
+// selected (snapshotValue), whereas copyVariable reads the element's whole
+// value at replay time. Rewriting one into the other would change what a
+// recording copies.
+
+export const CURRENT_SCHEMA_VERSION = 4;
+
+const MIGRATIONS = [
+  {
+    // Very early recordings stored selectors as string[] instead of string[][]
+    version: 2,
+    migrate: (rec) => mapSteps(rec, nestSelectors)
+  },
+  {
+    // navigate steps recorded before assertedEvents existed
+    version: 3,
+    migrate: (rec) =>
+      mapSteps(rec, (step) =>
+        step.type === "navigate" && !step.assertedEvents
+          ? {
+              ...step,
+              assertedEvents: [
+                { type: "navigation", url: step.url ?? "", title: "" }
+              ]
+            }
+          : step
+      )
+  },
+  {
+    // The recorder used to emit a change step after clicking a checkbox or radio
+    // button. The click already toggles it, so those change steps are dropped.
+    // The change event fired before the (260ms-delayed) click was sent, and
+    // both got their own waitForElement, so actual recordings look like:
+    //   { type: "waitForElement", selectors: [["#agree"]] }
+    //   { type: "change", selectors: [["#agree"]], value: "on" }
+    //   { type: "waitForElement", selectors: [["#agree"]] }
+    //   { type: "click", selectors: [["#agree"]], offsetX: 6, offsetY: 7 }
+    // execChange keeps its checkbox/radio guard as well: the migration can only
+    // drop a change it can pair with a click on the same selectors, and a change
+    // on a checkbox without one (steps edited by hand, DevTools Recorder or
+    // Selenium IDE imports) must still not be typed with Input.insertText.
+    version: 4,
+    migrate: (rec) => ({
+      ...rec,
+      steps: rec.steps.filter(
+        (step, i) => !isSpuriousCheckboxChange(rec.steps, i)
+      )
+    })
+  }
+];
+
+function mapSteps(rec, fn) {
+  return { ...rec, steps: rec.steps.map(fn) };
+}
+
+function nestSelectors(step) {
+  if (!Array.isArray(step.selectors)) return step;
+  return {
+    ...step,
+    selectors: step.selectors.map((s) => (Array.isArray(s) ? s : [s]))
+  };
+}
+
+const CHECKABLE_SELECTOR =
+  /type=["']?(checkbox|radio)|role=["']?(checkbox|radio)|:checked/i;
+
+const WAIT_TYPES = new Set(["waitForElement", "waitForElementWithRefresh"]);
+
+// The nearest step before (direction -1) or after (+1) step i that isn't a wait
+function neighbourAction(steps, i, direction) {
+  let j = i + direction;
+  while (WAIT_TYPES.has(steps[j]?.type)) j += direction;
+  return steps[j];
+}
+
+function isSpuriousCheckboxChange(steps, i) {
+  const step = steps[i];
+  if (step.type !== "change") return false;
+  const selectors = JSON.stringify(step.selectors);
+  const clicked = [-1, 1].some((direction) => {
+    const other = neighbourAction(steps, i, direction);
+    return (
+      other?.type === "click" && JSON.stringify(other.selectors) === selectors
+    );
+  });
+  if (!clicked) return false;
+  // "on" is the value of a checkbox/radio without a value attribute
+  const flat = (step.selectors ?? []).flat().join(" ");
+  return step.value === "on" || CHECKABLE_SELECTOR.test(flat);
+}
+
+/**
+ * Returns the schema version of a stored recording (1 when it has none).
+ */
+export function schemaVersionOf(rec) {
+  return Number.isInteger(rec?.schemaVersion) ? rec.schemaVersion : 1;
+}
+
+/**
+ * Returns true when migrateRecording would change the recording.
+ */
+export function needsMigration(rec) {
+  return schemaVersionOf(rec) < CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrades a recording to CURRENT_SCHEMA_VERSION. Returns a new object (or the
+ * same one when it is already current). Throws for recordings written by a
+ * newer version of the extension, which this one cannot safely run.
+ */
+export function migrateRecording(rec) {
+  const from = schemaVersionOf(rec);
+  if (from > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `"${rec.title}" uses schema version ${from} — this extension supports up to version ${CURRENT_SCHEMA_VERSION}. Update the extension to use it.`
+    );
+  }
+  if (from === CURRENT_SCHEMA_VERSION) return rec;
+
+  let migrated = { ...rec, steps: Array.isArray(rec.steps) ? rec.steps : [] };
+  for (const { version, migrate } of MIGRATIONS) {
+    if (version > from) migrated = migrate(migrated);
+  }
+  return { ...migrated, schemaVersion: CURRENT_SCHEMA_VERSION };
+}
@@ -0,0 +1,178 @@
+import { isRegexPattern, toUrlMatcher } from "./url-pattern.js";
+
+// ── Mock rules ─────────────────────────────────────────────────────────────────
+// A recording can stub network requests during replay, e.g. to get an empty
+// search result or a server error without touching UAT data. Rules are stored
+// on the recording and applied through the CDP Fetch domain
+// (background/mocking.js); the first matching rule wins.
+//
+// Rule shape:
+//   { id,
+//     method: "POST",                 // "" matches any method
+//     urlPattern: "*/api/search*",    // * wildcards over the full URL, or /regex/flags
+//     bodyContains: "",               // optional: request body must contain this text
+//     action: "respond" | "abort" | "continue",
+//     delayMs: 0,                     // wait before responding / aborting / continuing
+//     status: 200, headers: { "Content-Type": "application/json" }, body: "",  // respond
+//     errorReason: "Failed" }         // abort: a CDP Network.ErrorReason
+
+export const MOCK_ACTIONS = ["respond", "abort", "continue"];
+
+export const MOCK_METHODS = ["", "GET", "POST", "PUT", "PATCH", "DELETE"];
+
+export const ABORT_REASONS = [
+  "Failed",
+  "Aborted",
+  "TimedOut",
+  "AccessDenied",
+  "ConnectionClosed",
+  "ConnectionReset",
+  "ConnectionRefused",
+  "ConnectionFailed",
+  "NameNotResolved",
+  "InternetDisconnected",
+  "AddressUnreachable",
+  "BlockedByClient"
+];
+
+export function createMockRule() {
+  return {
+    id: crypto.randomUUID(),
+    method: "",
+    urlPattern: "",
+    bodyContains: "",
+    action: "respond",
+    delayMs: 0,
+    status: 200,
+    headers: { "Content-Type": "application/json" },
+    body: "",
+    errorReason: "Failed"
+  };
+}
+
+/**
+ * The Fetch.enable pattern that intercepts a rule's requests: its glob when it
+ * is one, otherwise everything (regex rules are matched in the extension).
+ */
+export function interceptPattern(rule) {
+  if (isRegexPattern(rule.urlPattern)) return "*";
+  // Fetch patterns treat "?" as a wildcard and backslash as escape
+  return rule.urlPattern.replace(/[\\?]/g, "\\$&");
+}
+
+/**
+ * Returns the first rule matching the request ({ method, url, postData }), or null.
+ */
+export function findMockRule(rules = [], request) {
+  return (
+    rules.find(
+      (rule) =>
+        (!rule.method || rule.method === request.method) &&
+        toUrlMatcher(rule.urlPattern).test(request.url) &&
+        (!rule.bodyContains ||
+          (request.postData ?? "").includes(rule.bodyContains))
+    ) ?? null
+  );
+}
+
+/**
+ * Short one-line description, e.g. "POST https://app.test/api/* → 500".
+ */
+export function describeMockRule(rule) {
+  const outcome =
+    rule.action === "respond"
+      ? String(rule.status)
+      : rule.action === "abort"
+        ? `abort (${rule.errorReason})`
+        : "pass through";
+  const delay = rule.delayMs ? ` after ${rule.delayMs}ms` : "";
+  return `${rule.method || "ANY"} ${rule.urlPattern || "(no URL)"} → ${outcome}${delay}`;
+}
+
+// ── Editing ────────────────────────────────────────────────────────────────────
+// The side panel edits response headers as "Name: value" lines.
+
+export function formatHeaders(headers = {}) {
+  return Object.entries(headers)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join("\n");
+}
+
+export function parseHeaders(text) {
+  const headers = {};
+  for (const line of String(text ?? "").split("\n")) {
+    if (!line.trim()) continue;
+    const colon = line.indexOf(":");
+    const name = line.slice(0, colon).trim();
+    if (colon < 0 || !name) {
+      throw new Error(`"${line.trim()}" should be Name: value`);
+    }
+    headers[name] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Returns a list of problems with a stored rule list (empty = valid).
+ */
+export function validateMockRules(rules, where = "mockRules") {
+  if (!Array.isArray(rules)) return [`${where}: must be an array`];
+  const problems = [];
+  rules.forEach((rule, i) => {
+    const at = `${where}, rule ${i + 1}`;
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      problems.push(`${at}: not an object`);
+      return;
+    }
+    if (typeof rule.urlPattern !== "string" || !rule.urlPattern.trim()) {
+      problems.push(`${at}: missing "urlPattern"`);
+    } else {
+      try {
+        toUrlMatcher(rule.urlPattern);
+      } catch (err) {
+        problems.push(`${at}: invalid "urlPattern": ${err.message}`);
+      }
+    }
+    if (!MOCK_ACTIONS.includes(rule.action)) {
+      problems.push(
+        `${at}: "action" must be one of ${MOCK_ACTIONS.join(", ")}`
+      );
+    }
+    if (rule.method !== undefined && typeof rule.method !== "string") {
+      problems.push(`${at}: "method" must be a string`);
+    }
+    if (
+      rule.delayMs !== undefined &&
+      !(Number.isFinite(rule.delayMs) && rule.delayMs >= 0)
+    ) {
+      problems.push(`${at}: "delayMs" must be a number ≥ 0`);
+    }
+    if (
+      rule.action === "respond" &&
+      !(
+        Number.isInteger(rule.status) &&
+        rule.status >= 100 &&
+        rule.status <= 599
+      )
+    ) {
+      problems.push(`${at}: "status" must be an HTTP status code`);
+    }
+    if (
+      rule.headers !== undefined &&
+      (typeof rule.headers !== "object" ||
+        Array.isArray(rule.headers) ||
+        !Object.values(rule.headers ?? {}).every((v) => typeof v === "string"))
+    ) {
+      problems.push(`${at}: "headers" must map names to strings`);
+    }
+    if (rule.body !== undefined && typeof rule.body !== "string") {
+      problems.push(`${at}: "body" must be a string`);
+    }
+    if (rule.action === "abort" && !ABORT_REASONS.includes(rule.errorReason)) {
+      problems.push(
+        `${at}: "errorReason" must be one of ${ABORT_REASONS.join(", ")}`
+      );
+    }
+  });
+  return problems;
+}
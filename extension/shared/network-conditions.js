@@ -0,0 +1,109 @@
+// ── Network conditions ─────────────────────────────────────────────────────────
+// A recording can replay on a throttled or offline link and with some URLs
+// blocked (analytics, chat widgets, trackers):
+//   networkConditions: { profile: "slow3g" | "fast3g" | "offline" | "custom" | "",
+//                        latencyMs, downloadKbps, uploadKbps }   // custom only
+//   blockedUrls: ["*google-analytics.com*", "*://widget.intercom.io/*"]
+// settings.networkOverride (a profile id, "" = none) applies a profile to every
+// run instead of the recording's own. background/emulation.js sends the
+// result through Network.emulateNetworkConditions and Network.setBlockedURLs.
+
+// Same figures as the DevTools throttling presets
+export const NETWORK_PROFILES = {
+  slow3g: {
+    label: "Slow 3G",
+    latencyMs: 2000,
+    downloadKbps: 400,
+    uploadKbps: 400
+  },
+  fast3g: {
+    label: "Fast 3G",
+    latencyMs: 563,
+    downloadKbps: 1440,
+    uploadKbps: 675
+  },
+  offline: { label: "Offline", offline: true },
+  custom: { label: "Custom" }
+};
+
+/**
+ * The conditions a run uses: the override profile when set, otherwise the
+ * recording's. Returns null for an unthrottled link.
+ */
+export function effectiveNetworkConditions(conditions, override = "") {
+  if (override && NETWORK_PROFILES[override]) return { profile: override };
+  return conditions?.profile ? conditions : null;
+}
+
+/**
+ * Network.emulateNetworkConditions parameters, or null when not throttled.
+ */
+export function toEmulationParams(conditions) {
+  const profile = NETWORK_PROFILES[conditions?.profile];
+  if (!profile) return null;
+  const values = conditions.profile === "custom" ? conditions : profile;
+  // kbit/s → bytes/s; -1 disables throttling in that direction
+  const throughput = (kbps) => (kbps > 0 ? (kbps * 1000) / 8 : -1);
+  return {
+    offline: !!profile.offline,
+    latency: values.latencyMs ?? 0,
+    downloadThroughput: throughput(values.downloadKbps),
+    uploadThroughput: throughput(values.uploadKbps)
+  };
+}
+
+/**
+ * Short label, e.g. "Slow 3G" or "Custom (300 ms, ↓1000/↑500 kbit/s)".
+ */
+export function describeNetworkConditions(conditions) {
+  const profile = NETWORK_PROFILES[conditions?.profile];
+  if (!profile) return "No throttling";
+  if (conditions.profile !== "custom") return profile.label;
+  const rate = (kbps) => (kbps > 0 ? kbps : "∞");
+  return `Custom (${conditions.latencyMs ?? 0} ms, ↓${rate(conditions.downloadKbps)}/↑${rate(conditions.uploadKbps)} kbit/s)`;
+}
+
+/**
+ * Parses one blocked URL pattern per line (* wildcards).
+ */
+export function parseBlockedUrls(text) {
+  return String(text ?? "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Returns a list of problems with stored conditions (empty = valid).
+ */
+export function validateNetworkConditions(
+  conditions,
+  where = "networkConditions"
+) {
+  if (!conditions || typeof conditions !== "object") {
+    return [`${where}: must be an object`];
+  }
+  const { profile = "" } = conditions;
+  if (profile && !NETWORK_PROFILES[profile]) {
+    return [
+      `${where}: unknown profile "${profile}" (use ${Object.keys(NETWORK_PROFILES).join(", ")})`
+    ];
+  }
+  if (profile !== "custom") return [];
+  return ["latencyMs", "downloadKbps", "uploadKbps"]
+    .filter((field) => {
+      const value = conditions[field];
+      return value !== undefined && !(Number.isFinite(value) && value >= 0);
+    })
+    .map((field) => `${where}: "${field}" must be a number ≥ 0`);
+}
+
+export function validateBlockedUrls(patterns, where = "blockedUrls") {
+  if (
+    !Array.isArray(patterns) ||
+    !patterns.every((p) => typeof p === "string")
+  ) {
+    return [`${where}: must be an array of strings`];
+  }
+  return [];
+}
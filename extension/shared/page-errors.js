@@ -0,0 +1,71 @@
+// ── Page errors ────────────────────────────────────────────────────────────────
+// Console messages, uncaught exceptions and browser log entries seen during
+// replay are collected per step (background/debugger-handler.js) and stored on
+// the step result:
+//   console: [{ source: "exception" | "console" | "log", level, text, url, line }]
+//
+// A recording can fail its run when an error matches one of its patterns:
+//   failOnPageErrors: ["TypeError", "/Cannot read propert(y|ies)/i", "*"]
+// A pattern is a case-insensitive substring, a /regex/flags, or "*" for any
+// error. Only error-level entries are checked — uncaught exceptions,
+// console.error and browser log errors — never warnings.
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+function toMatcher(pattern) {
+  if (pattern === "*") return () => true;
+  const regex = REGEX_PATTERN.exec(pattern);
+  if (regex) {
+    const re = new RegExp(regex[1], regex[2]);
+    return (text) => re.test(text);
+  }
+  const needle = pattern.toLowerCase();
+  return (text) => text.toLowerCase().includes(needle);
+}
+
+/**
+ * Returns the first pattern matching `text`, or null.
+ */
+export function findMatchingPattern(patterns = [], text = "") {
+  return patterns.find((p) => toMatcher(p)(text)) ?? null;
+}
+
+/**
+ * Parses one pattern per line. Throws on an invalid /regex/.
+ */
+export function parseErrorPatterns(text) {
+  const patterns = String(text ?? "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  for (const pattern of patterns) {
+    const regex = REGEX_PATTERN.exec(pattern);
+    if (!regex) continue;
+    try {
+      new RegExp(regex[1], regex[2]);
+    } catch (err) {
+      throw new Error(
+        `${pattern} is not a valid regular expression: ${err.message}`
+      );
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Returns a list of problems with a stored pattern list (empty = valid).
+ */
+export function validateErrorPatterns(patterns, where = "failOnPageErrors") {
+  if (
+    !Array.isArray(patterns) ||
+    !patterns.every((p) => typeof p === "string")
+  ) {
+    return [`${where}: must be an array of strings`];
+  }
+  try {
+    parseErrorPatterns(patterns.join("\n"));
+  } catch (err) {
+    return [`${where}: ${err.message}`];
+  }
+  return [];
+}
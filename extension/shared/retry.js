@@ -0,0 +1,116 @@
+// ── Retry policies ─────────────────────────────────────────────────────────────
+// A failing step can be retried before it fails the run. The policy is set on
+// the step or, as a default for all its steps, on the recording:
+//   retry: { count: 2,                  // retries after the first attempt
+//            backoffMs: 1000,           // wait before the first retry
+//            backoff: "fixed" | "exponential",   // exponential doubles each time
+//            on: ["selectorTimeout", "cdpDetach", "navigationTimeout"] }
+// Only errors of the listed classes are retried; anything else (assertions,
+// missing variables, …) fails straight away. Sub-flow steps are never retried
+// as a whole — the callee's own steps use the callee's policy.
+//
+// Batch runs can also re-run a whole failed recording: recording.batchRetries.
+
+export const RETRY_CLASSES = {
+  selectorTimeout: "Element not found in time",
+  cdpDetach: "Debugger detached",
+  navigationTimeout: "Navigation failed or timed out"
+};
+
+export const MAX_RETRIES = 10;
+
+const CLASS_PATTERNS = {
+  selectorTimeout:
+    /waitForElement(WithRefresh)? timed out|Selector not found|element not found/i,
+  cdpDetach:
+    /not attached|Detached while|debugger may be detached|Target closed|No tab with given id/i,
+  navigationTimeout: /^Navigation to .* (failed|timed out)|net::ERR_/i
+};
+
+export function createRetryPolicy() {
+  return {
+    count: 2,
+    backoffMs: 1000,
+    backoff: "fixed",
+    on: Object.keys(RETRY_CLASSES)
+  };
+}
+
+/**
+ * Returns the retry class of an error, or null when no policy can retry it.
+ */
+export function classifyError(err) {
+  const message = err?.message ?? String(err ?? "");
+  return (
+    Object.keys(CLASS_PATTERNS).find((cls) =>
+      CLASS_PATTERNS[cls].test(message)
+    ) ?? null
+  );
+}
+
+/**
+ * Whether `policy` retries `err` after `retriesDone` retries.
+ */
+export function shouldRetry(policy, err, retriesDone) {
+  if (!policy || retriesDone >= (policy.count ?? 0)) return false;
+  const cls = classifyError(err);
+  return !!cls && (policy.on ?? []).includes(cls);
+}
+
+/**
+ * Milliseconds to wait before retry number `retriesDone + 1`.
+ */
+export function retryDelay(policy, retriesDone) {
+  const base = policy.backoffMs ?? 0;
+  return policy.backoff === "exponential" ? base * 2 ** retriesDone : base;
+}
+
+/**
+ * Short label, e.g. "2× every 1s" or "3× from 500ms, doubling".
+ */
+export function describeRetryPolicy(policy) {
+  if (!policy?.count) return "No retries";
+  const ms = policy.backoffMs ?? 0;
+  const wait = ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+  return policy.backoff === "exponential"
+    ? `${policy.count}× from ${wait}, doubling`
+    : `${policy.count}× every ${wait}`;
+}
+
+/**
+ * Returns a list of problems with a stored policy (empty = valid).
+ */
+export function validateRetryPolicy(policy, where = "retry") {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return [`${where}: must be an object`];
+  }
+  const problems = [];
+  if (
+    !Number.isInteger(policy.count) ||
+    policy.count < 0 ||
+    policy.count > MAX_RETRIES
+  ) {
+    problems.push(`${where}: "count" must be a whole number 0–${MAX_RETRIES}`);
+  }
+  if (
+    policy.backoffMs !== undefined &&
+    !(Number.isFinite(policy.backoffMs) && policy.backoffMs >= 0)
+  ) {
+    problems.push(`${where}: "backoffMs" must be a number ≥ 0`);
+  }
+  if (
+    policy.backoff !== undefined &&
+    !["fixed", "exponential"].includes(policy.backoff)
+  ) {
+    problems.push(`${where}: "backoff" must be "fixed" or "exponential"`);
+  }
+  if (
+    !Array.isArray(policy.on) ||
+    !policy.on.every((cls) => cls in RETRY_CLASSES)
+  ) {
+    problems.push(
+      `${where}: "on" must list error classes (${Object.keys(RETRY_CLASSES).join(", ")})`
+    );
+  }
+  return problems;
+}
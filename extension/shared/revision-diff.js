@@ -0,0 +1,114 @@
+// ── Revision diff ──────────────────────────────────────────────────────────────
+// Step-level diff between two revisions of a recording. Steps are matched with a
+// longest-common-subsequence over their serialized form; within a block of edits,
+// a removed step paired with an added step of the same type is reported as
+// "changed" together with the fields that differ, which is how a value or
+// selector edit reads best.
+//
+// diffSteps returns entries in display order:
+//   { kind: "same" | "added" | "removed" | "changed",
+//     before?, after?, beforeIndex?, afterIndex?, fields? }
+
+function stepKey(step) {
+  return JSON.stringify(step);
+}
+
+function changedFields(before, after) {
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...names].filter(
+    (name) => JSON.stringify(before[name]) !== JSON.stringify(after[name])
+  );
+}
+
+/**
+ * Diffs two step arrays. See the header comment for the entry shape.
+ */
+export function diffSteps(beforeSteps, afterSteps) {
+  const a = beforeSteps.map(stepKey);
+  const b = afterSteps.map(stepKey);
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const raw = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      raw.push({
+        kind: "same",
+        before: beforeSteps[i],
+        after: afterSteps[j],
+        beforeIndex: i++,
+        afterIndex: j++
+      });
+    } else if (
+      i < a.length &&
+      (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      // Removals first on ties so a removal/addition pair can become "changed"
+      raw.push({ kind: "removed", before: beforeSteps[i], beforeIndex: i++ });
+    } else {
+      raw.push({ kind: "added", after: afterSteps[j], afterIndex: j++ });
+    }
+  }
+
+  // Pair each run of removals with the run of additions that follows it
+  const entries = [];
+  for (let k = 0; k < raw.length; ) {
+    if (raw[k].kind !== "removed" && raw[k].kind !== "added") {
+      entries.push(raw[k++]);
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < raw.length && raw[k].kind === "removed") removed.push(raw[k++]);
+    while (k < raw.length && raw[k].kind === "added") added.push(raw[k++]);
+    // Match each removal with the next addition of the same step type
+    let next = 0;
+    for (const r of removed) {
+      const m = added.findIndex(
+        (n, idx) => idx >= next && n.after.type === r.before.type
+      );
+      if (m < 0) {
+        entries.push(r);
+        continue;
+      }
+      entries.push(...added.slice(next, m), {
+        kind: "changed",
+        before: r.before,
+        after: added[m].after,
+        beforeIndex: r.beforeIndex,
+        afterIndex: added[m].afterIndex,
+        fields: changedFields(r.before, added[m].after)
+      });
+      next = m + 1;
+    }
+    entries.push(...added.slice(next));
+  }
+  return entries;
+}
+
+/**
+ * Lists the recording-level fields (title, suite, tags) that differ between two revisions.
+ * Returns [{ field, before, after }].
+ */
+export function diffRevisionMeta(before, after) {
+  return ["title", "suite", "tags"]
+    .filter(
+      (field) =>
+        JSON.stringify(before[field] ?? "") !==
+        JSON.stringify(after[field] ?? "")
+    )
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+}
@@ -0,0 +1,190 @@
+// ── Secrets vault ──────────────────────────────────────────────────────────────
+// Passwords and other flagged values are never stored in a recording. The step
+// keeps a reference instead:
+//   { type: "change", selectors, value: "", secretRef: "<id>", secretName: "…" }
+// and the value lives in this vault, encrypted with AES-GCM under a key derived
+// from the user's passphrase (PBKDF2). Replay resolves references only while
+// the vault is unlocked.
+//
+// chrome.storage.local "secretsVault":
+//   { salt, check: { iv, data }, secrets: { [id]: { name, iv, data } } }
+// The unlocked key is kept in chrome.storage.session (memory only, cleared when
+// the browser closes; not readable by content scripts).
+
+const VAULT_KEY = "secretsVault";
+const SESSION_KEY = "vaultKey";
+const PBKDF2_ITERATIONS = 250_000;
+const CHECK_TEXT = "test-recorder-vault";
+
+export const SECRET_MASK = "••••••";
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+function lockedError() {
+  const err = new Error(
+    "The secrets vault is locked — unlock it from the side panel menu (🔒 Secrets)"
+  );
+  err.vaultLocked = true;
+  return err;
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encrypt(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decrypt(key, { iv, data }) {
+  const plain = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(iv) },
+    key,
+    fromBase64(data)
+  );
+  return new TextDecoder().decode(plain);
+}
+
+async function getVault() {
+  const { [VAULT_KEY]: vault = null } =
+    await chrome.storage.local.get(VAULT_KEY);
+  return vault;
+}
+
+async function getSessionKey() {
+  const { [SESSION_KEY]: raw = null } =
+    await chrome.storage.session.get(SESSION_KEY);
+  if (!raw) return null;
+  return crypto.subtle.importKey("raw", fromBase64(raw), "AES-GCM", false, [
+    "encrypt",
+    "decrypt"
+  ]);
+}
+
+async function requireKey() {
+  const key = await getSessionKey();
+  if (!key) throw lockedError();
+  return key;
+}
+
+/**
+ * Returns { exists, unlocked, count }.
+ */
+export async function getVaultStatus() {
+  const vault = await getVault();
+  const { [SESSION_KEY]: raw = null } =
+    await chrome.storage.session.get(SESSION_KEY);
+  return {
+    exists: !!vault,
+    unlocked: !!vault && !!raw,
+    count: Object.keys(vault?.secrets ?? {}).length
+  };
+}
+
+/**
+ * Unlocks the vault with `passphrase`, creating the vault on first use.
+ * Throws when the passphrase does not match the existing vault.
+ */
+export async function unlockVault(passphrase) {
+  if (!passphrase) throw new Error("Enter a passphrase");
+  let vault = await getVault();
+  let key;
+  if (!vault) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    key = await deriveKey(passphrase, salt);
+    vault = {
+      salt: toBase64(salt),
+      check: await encrypt(key, CHECK_TEXT),
+      secrets: {}
+    };
+    await chrome.storage.local.set({ [VAULT_KEY]: vault });
+  } else {
+    key = await deriveKey(passphrase, fromBase64(vault.salt));
+    const check = await decrypt(key, vault.check).catch(() => null);
+    if (check !== CHECK_TEXT) throw new Error("Wrong passphrase");
+  }
+  const raw = await crypto.subtle.exportKey("raw", key);
+  await chrome.storage.session.set({ [SESSION_KEY]: toBase64(raw) });
+}
+
+export async function lockVault() {
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * Encrypts `value` into the vault under `id` (a new id when omitted) and returns the id.
+ * Throws (with err.vaultLocked) while the vault is locked.
+ */
+export async function storeSecret(name, value, id = crypto.randomUUID()) {
+  const key = await requireKey();
+  const vault = await getVault();
+  vault.secrets[id] = { name, ...(await encrypt(key, value)) };
+  await chrome.storage.local.set({ [VAULT_KEY]: vault });
+  return id;
+}
+
+/**
+ * Decrypts the secret `id`. Throws while locked or when the secret was deleted.
+ */
+export async function readSecret(id) {
+  const key = await requireKey();
+  const secret = (await getVault())?.secrets?.[id];
+  if (!secret)
+    throw new Error("Secret not found in the vault — was it deleted?");
+  return decrypt(key, secret);
+}
+
+/**
+ * Lists secret names (never values): [{ id, name }].
+ */
+export async function listSecrets() {
+  const vault = await getVault();
+  return Object.entries(vault?.secrets ?? {}).map(([id, s]) => ({
+    id,
+    name: s.name
+  }));
+}
+
+export async function deleteSecret(id) {
+  const vault = await getVault();
+  if (!vault?.secrets?.[id]) return;
+  delete vault.secrets[id];
+  await chrome.storage.local.set({ [VAULT_KEY]: vault });
+}
+
+/**
+ * Replaces every occurrence of the given secret values in `text` with SECRET_MASK.
+ * Used on error messages before they reach logs, the side panel or run history.
+ */
+export function maskSecretValues(text, values) {
+  let masked = String(text ?? "");
+  for (const value of values) {
+    if (value) masked = masked.split(value).join(SECRET_MASK);
+  }
+  return masked;
+}
@@ -3,9 +3,10 @@ import { STEP_TIMEOUT_MS, POLL_INTERVAL_MS } from "./constants.js";
 /**
  * Resolves a selectors array to an element's bounding box coordinates.
  *
- * Selector formats (from Chrome DevTools Recorder):
+ * Selector format (from Chrome DevTools Recorder):
  *   string[][] — outer array: fallback candidates; inner array[0]: the selector string
- *   string[]   — flat array of selector strings (normalised automatically)
+ * Old recordings with flat string[] selectors are nested by the schema
+ * migrations (shared/migrations.js) before they reach replay.
  *
  * Selector prefixes:
  *   aria/<label>         — ARIA label / accessible name lookup
@@ -151,15 +152,11 @@ export async function waitForSelector(
 
 // ── Normalise ──────────────────────────────────────────────────────────────────
 
+// Selectors are always string[][] (flat string[] is upgraded by shared/migrations.js).
+// Filter out any non-string entries (guards against [object Object]).
 function normalizeSelectors(raw) {
-  if (!Array.isArray(raw) || raw.length === 0) return [];
-  // Already string[][] — filter out any non-string entries (guards against [object Object])
-  if (Array.isArray(raw[0]))
-    return raw.filter(
-      (c) => Array.isArray(c) && typeof c[0] === "string" && c[0]
-    );
-  // Flat string[] — wrap each in an array
-  return raw.filter((s) => typeof s === "string" && s).map((s) => [s]);
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((c) => Array.isArray(c) && typeof c[0] === "string" && c[0]);
 }
 
 // ── Main dispatch ──────────────────────────────────────────────────────────────
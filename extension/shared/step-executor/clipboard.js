@@ -1,4 +1,5 @@
 import { resolveObjectId, scrollIntoViewAndGetRect, sleep } from "./helpers.js";
+import { getVariable, setVariable } from "./variables.js";
 
 // ── copy ───────────────────────────────────────────────────────────────────────
 
@@ -111,9 +112,6 @@ export async function execCopyVariableAtReplaying(
   cdp,
   variables
 ) {
-  const suffix = variables.get("__replaySuffix__") ?? "";
-  const varKey = suffix ? `${step.variableName}-${suffix}` : step.variableName;
-
   // ── 1. Pattern scan (primary for dynamic values) ─────────────────────────
   // Try the RegExp pattern first — it matches the structure of the value
   // regardless of what the actual content is at replay time.
@@ -143,8 +141,8 @@ export async function execCopyVariableAtReplaying(
 
     const patternValue = patternRes?.result?.value;
     if (patternValue) {
-      console.log(`[CopyVariable] pattern match: "${patternValue}" → stored as key="${varKey}"`);
-      variables.set(varKey, patternValue);
+      console.log(`[CopyVariable] pattern match: "${patternValue}" → stored as "${step.variableName}"`);
+      setVariable(variables, step.variableName, patternValue);
       return;
     }
     console.log(`[CopyVariable] pattern scan found nothing — falling back to selectors`);
@@ -185,8 +183,8 @@ export async function execCopyVariableAtReplaying(
       `copyVariable: element found but text content is empty for variable "${step.variableName}"`
     );
 
-  variables.set(varKey, value);
-  console.log(`[CopyVariable] stored as key="${varKey}"`);
+  setVariable(variables, step.variableName, value);
+  console.log(`[CopyVariable] stored as "${step.variableName}"`);
 }
 
 // ── pasteVariable (uses value copied at replay time) ───────────────────────────
@@ -198,15 +196,13 @@ export async function execPasteVariableAtReplaying(
   cdp,
   variables
 ) {
-  const suffix = variables.get("__replaySuffix__") ?? "";
-  const varKey = suffix ? `${step.variableName}-${suffix}` : step.variableName;
-  const textToPaste = variables.get(varKey);
+  const textToPaste = getVariable(variables, step.variableName);
   console.log(
-    `[PasteVariable] var="${step.variableName}" key="${varKey}" value="${textToPaste}"`
+    `[PasteVariable] var="${step.variableName}" value="${textToPaste}"`
   );
   if (!textToPaste)
     throw new Error(
-      `pasteVariable: no runtime value found for key "${varKey}" — make sure a copyVariable step ran before this`
+      `pasteVariable: no runtime value found for variable "${step.variableName}" — make sure a copyVariable step (or a sub-flow input) set it before this`
     );
 
   const objectId = await resolveObjectId(step.selectors, tabId, contextId, cdp);
@@ -0,0 +1,97 @@
+import { waitForSelector, resolveSelector } from "../selector-resolver.js";
+import { CONDITION_TIMEOUT_MS } from "../constants.js";
+import { getVariable } from "./variables.js";
+
+/**
+ * Evaluate the condition of an if step (see shared/conditions.js).
+ * Resolves true or false; throws only when the condition can't be checked
+ * (invalid pattern, debugger detached, …).
+ *
+ * Step shape:
+ * {
+ *   type: "if",
+ *   condition: "elementPresent" | "urlMatches" | "variableEquals" | "textContains",
+ *   selectors?, timeout?, pattern?, variableName?, value?, text?
+ * }
+ */
+export async function evaluateCondition(
+  step,
+  tabId,
+  contextId,
+  cdp,
+  variables,
+  frameInfo = null
+) {
+  switch (step.condition) {
+    case "elementPresent":
+      return (
+        (await findElement(step, tabId, contextId, cdp, frameInfo)) !== null
+      );
+    case "urlMatches": {
+      const params = { expression: "location.href", returnByValue: true };
+      if (contextId) params.contextId = contextId;
+      const res = await cdp(tabId, "Runtime.evaluate", params);
+      return new RegExp(step.pattern).test(res?.result?.value ?? "");
+    }
+    case "variableEquals":
+      return (
+        String(getVariable(variables, step.variableName) ?? "") ===
+        String(step.value ?? "")
+      );
+    case "textContains":
+      return (await readText(step, tabId, contextId, cdp, frameInfo)).includes(
+        step.text ?? ""
+      );
+    default:
+      throw new Error(`if: unknown condition "${step.condition}"`);
+  }
+}
+
+// Waits up to step.timeout for the element. Null when it never appears; CDP
+// errors (a detached debugger) are thrown so the step can be retried.
+async function findElement(step, tabId, contextId, cdp, frameInfo) {
+  const timeoutMs = step.timeout ?? CONDITION_TIMEOUT_MS;
+  try {
+    return await waitForSelector(
+      step.selectors,
+      tabId,
+      contextId,
+      cdp,
+      timeoutMs,
+      frameInfo
+    );
+  } catch (err) {
+    if (/timed out/.test(err.message)) return null;
+    throw err;
+  }
+}
+
+// Visible text of the step's element, or of the whole page without selectors.
+// An element that never appears has no text.
+async function readText(step, tabId, contextId, cdp, frameInfo) {
+  if (!step.selectors?.length) {
+    const params = {
+      expression: "document.body ? document.body.innerText : ''",
+      returnByValue: true
+    };
+    if (contextId) params.contextId = contextId;
+    const res = await cdp(tabId, "Runtime.evaluate", params);
+    return String(res?.result?.value ?? "");
+  }
+  if ((await findElement(step, tabId, contextId, cdp, frameInfo)) === null)
+    return "";
+  const { objectId } = await resolveSelector(
+    step.selectors,
+    tabId,
+    contextId,
+    cdp
+  ).catch(() => ({}));
+  if (!objectId) return "";
+  const res = await cdp(tabId, "Runtime.callFunctionOn", {
+    objectId,
+    functionDeclaration:
+      "function () { return this.innerText || this.textContent || ''; }",
+    returnByValue: true
+  });
+  return String(res?.result?.value ?? "");
+}
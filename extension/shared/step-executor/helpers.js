@@ -4,11 +4,7 @@
  * Resolves selectors to a Runtime objectId so we can call functions on the element.
  */
 export async function resolveObjectId(selectors, tabId, contextId, cdp) {
-  const normalized = Array.isArray(selectors[0])
-    ? selectors
-    : selectors.map((s) => [s]);
-
-  for (const candidate of normalized) {
+  for (const candidate of selectors) {
     const sel = candidate[0];
     if (!sel || typeof sel !== "string") continue;
 
@@ -111,7 +107,7 @@ export async function resolveObjectId(selectors, tabId, contextId, cdp) {
   }
 
   // Fallback: native CDP DOM.querySelector — bypasses JS-patched querySelector (e.g. LWC synthetic shadow)
-  for (const candidate of normalized) {
+  for (const candidate of selectors) {
     const sel = candidate[0];
     if (
       !sel ||
@@ -182,16 +178,22 @@ export async function scrollIntoViewAndGetRect(objectId, tabId, cdp) {
   return res?.result?.value ?? null;
 }
 
-export function waitForNavigation(tabId, timeoutMs) {
+export function waitForNavigation(tabId, timeoutMs, signal) {
   // Resolves when the page fires loadEventFired OR domContentEventFired,
-  // whichever comes first. Never rejects — if neither fires within timeoutMs
-  // we proceed anyway. This handles SPAs (like Salesforce Lightning) that
-  // keep the network busy after load and never fire loadEventFired.
+  // whichever comes first. Never rejects — resolves true when the page loaded
+  // and false if neither fired within timeoutMs (or `signal` aborted the wait),
+  // so callers decide whether a timeout fails the step. Waiting for
+  // domContentEventFired handles SPAs (like Salesforce Lightning) that keep the
+  // network busy after load and never fire loadEventFired.
   return new Promise((resolve) => {
-    const timer = setTimeout(() => {
+    const timer = setTimeout(() => finish(false), timeoutMs);
+    signal?.addEventListener("abort", () => finish(false));
+
+    function finish(loaded) {
+      clearTimeout(timer);
       chrome.debugger.onEvent.removeListener(handler);
-      resolve(); // timed out — proceed anyway, don't fail the step
-    }, timeoutMs);
+      resolve(loaded);
+    }
 
     function handler(source, method) {
       if (source.tabId !== tabId) return;
@@ -199,9 +201,7 @@ export function waitForNavigation(tabId, timeoutMs) {
         method === "Page.loadEventFired" ||
         method === "Page.domContentEventFired"
       ) {
-        clearTimeout(timer);
-        chrome.debugger.onEvent.removeListener(handler);
-        resolve();
+        finish(true);
       }
     }
     chrome.debugger.onEvent.addListener(handler);
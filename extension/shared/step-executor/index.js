@@ -14,6 +14,8 @@ import {
 } from "./clipboard.js";
 import { sleep } from "./helpers.js";
 import { execAssertElement, execAssertNotPresent } from "./assert.js";
+import { evaluateCondition } from "./condition.js";
+import { execLoopElements } from "./loop.js";
 
 /**
  * Execute a single recording step using the Chrome DevTools Protocol.
@@ -24,6 +26,7 @@ import { execAssertElement, execAssertNotPresent } from "./assert.js";
  * @param {Map}     clipboardVars   — Map<variableName, copiedText> (persists during run)
  * @param {function} cdp            — cdp(tabId, method, params) helper from service worker
  * @param {Map}     variables       — Map<variableName, value> for user-defined saved variables
+ * @returns {Promise<boolean|object|void>} — an if step's condition result, a forEach loop's elements
  */
 export async function executeStep(
   step,
@@ -103,6 +106,13 @@ export async function executeStep(
       return execAssertElement(step, tabId, contextId, cdp);
     case "assertNotPresent":
       return execAssertNotPresent(step, tabId, contextId, cdp, frameContextMap);
+    case "if":
+      // Resolves the condition's result; replay runs the matching branch
+      return evaluateCondition(step, tabId, contextId, cdp, variables,
+        frameId ? { frameContextMap, frameId } : null);
+    case "loop":
+      // forEach: { count, text } of the elements (see loop.js)
+      return execLoopElements(step, tabId, contextId, cdp);
     default:
       // Unknown step types are silently skipped so new recorder formats don't crash
       console.warn(
@@ -33,6 +33,8 @@ export async function execChange(step, tabId, contextId, cdp) {
   // Radio buttons and checkboxes: the click step already checked them.
   // If an old recording has a spurious change step for one, just ensure it's
   // checked and fire the events — never use Input.insertText on these.
+  // (The v4 migration drops the recorder's own ones; this catches change steps
+  // it can't pair with a click — see shared/migrations.js.)
   if (inputType === "radio" || inputType === "checkbox") {
     await cdp(tabId, "Runtime.callFunctionOn", {
       objectId,
@@ -189,12 +191,9 @@ export async function execSelectOption(step, tabId, contextId, cdp) {
   // Build a selector list that puts "select[...]" CSS selectors FIRST.
   // Plain #id selectors can match a hidden <input id="serv_id"> instead of
   // the actual <select name="serv_id">, causing "options is not iterable".
-  const normalized = Array.isArray(step.selectors[0])
-    ? step.selectors
-    : step.selectors.map((s) => [s]);
   const selectFirst = [
-    ...normalized.filter((c) => (c[0] ?? "").startsWith("select")),
-    ...normalized.filter((c) => !(c[0] ?? "").startsWith("select"))
+    ...step.selectors.filter((c) => (c[0] ?? "").startsWith("select")),
+    ...step.selectors.filter((c) => !(c[0] ?? "").startsWith("select"))
   ];
 
   const objectId = await resolveObjectId(selectFirst, tabId, contextId, cdp);
@@ -261,10 +260,14 @@ export async function execSelectOption(step, tabId, contextId, cdp) {
       const sel = this;
 
       function applyValue() {
-        if (![...sel.options].some(o => o.value === v)) {
-          sel.add(new Option(l, v, true, true));
+        let value = v;
+        if (![...sel.options].some(o => o.value === value)) {
+          // Imported steps (e.g. Selenium IDE "label=…") may only know the label
+          const byLabel = [...sel.options].find(o => o.text.trim() === l);
+          if (byLabel) value = byLabel.value;
+          else sel.add(new Option(l, v, true, true));
         }
-        sel.value = v;
+        sel.value = value;
       }
 
       applyValue();
@@ -434,10 +437,7 @@ async function waitForOption(
 
   // Build a Runtime.evaluate expression using the first usable CSS selector.
   // Avoids callFunctionOn + objectId entirely — no stale-reference or `this`-binding issues.
-  const normalized = Array.isArray(selectors[0])
-    ? selectors
-    : selectors.map((s) => [s]);
-  const cssSel = normalized.find(
+  const cssSel = selectors.find(
     (c) => c[0] && !c[0].includes("/") && !c[0].includes(" >>> ")
   )?.[0];
   const getEl = cssSel
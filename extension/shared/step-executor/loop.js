@@ -0,0 +1,47 @@
+/**
+ * Count the elements a forEach loop iterates over and read the text of one.
+ * Uses the first CSS or XPath candidate of step.selectors (aria/ and text/
+ * selectors can't enumerate elements).
+ *
+ * Step shape:
+ * {
+ *   type: "loop",
+ *   loop: "forEach",
+ *   selectors: string[][],
+ *   elementIndex: number   // 0-based element whose text is read (set by replay)
+ * }
+ *
+ * Resolves { count, text } — text is null when elementIndex is past the end.
+ */
+export async function execLoopElements(step, tabId, contextId, cdp) {
+  const candidate = (step.selectors ?? [])
+    .map((group) => (Array.isArray(group) ? group[0] : group))
+    .find(
+      (sel) =>
+        typeof sel === "string" &&
+        (sel.startsWith("xpath/") || !/^(aria|text)\//.test(sel))
+    );
+  if (!candidate) throw new Error("forEach: needs a CSS or XPath selector");
+
+  const list = candidate.startsWith("xpath/")
+    ? `(function () {
+        var r = document.evaluate(${JSON.stringify(candidate.slice(6))}, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        var out = [];
+        for (var i = 0; i < r.snapshotLength; i++) out.push(r.snapshotItem(i));
+        return out;
+      })()`
+    : `Array.from(document.querySelectorAll(${JSON.stringify(candidate.replace(/^pierce\//, "").replace(/ >>> /g, " "))}))`;
+  const expression = `(function () {
+    var els = ${list};
+    var el = els[${Number(step.elementIndex) || 0}];
+    return { count: els.length, text: el ? (el.innerText || el.textContent || "").trim() : null };
+  })()`;
+
+  const params = { expression, returnByValue: true };
+  if (contextId) params.contextId = contextId;
+  const res = await cdp(tabId, "Runtime.evaluate", params);
+  if (res?.exceptionDetails) {
+    throw new Error(`forEach: invalid selector "${candidate}"`);
+  }
+  return res?.result?.value ?? { count: 0, text: null };
+}
@@ -46,9 +46,35 @@ export async function execNavigate(step, tabId, cdp) {
     return;
   }
 
-  const navPromise = waitForNavigation(tabId, NAV_TIMEOUT_MS);
-  await cdp(tabId, "Page.navigate", { url: targetUrl });
-  await navPromise;
+  const nav = new AbortController();
+  const navPromise = waitForNavigation(tabId, NAV_TIMEOUT_MS, nav.signal);
+  let res;
+  try {
+    res = await cdp(tabId, "Page.navigate", { url: targetUrl });
+  } catch (err) {
+    nav.abort();
+    throw err;
+  }
+  const errorText = res?.errorText;
+  if (errorText === "net::ERR_ABORTED") {
+    // The navigation was replaced (redirect, download) — not a failure. Wait for
+    // a redirect's page to load; a download never loads one, so a timeout here
+    // is expected and the step carries on
+    if (!(await navPromise)) {
+      console.log(
+        `[Navigate] ${targetUrl} was replaced and no page loaded — continuing`
+      );
+    }
+  } else if (errorText) {
+    nav.abort();
+    throw new Error(`Navigation to ${targetUrl} failed: ${errorText}`);
+  } else if (!(await navPromise)) {
+    // Only a navigation we started ourselves fails on the timeout; one already
+    // in flight when the step began (above) may have loaded before we listened
+    throw new Error(
+      `Navigation to ${targetUrl} timed out after ${NAV_TIMEOUT_MS / 1000}s`
+    );
+  }
   await sleep(600); // give JS frameworks time to boot
 }
 
@@ -0,0 +1,110 @@
+// ── Template built-ins ─────────────────────────────────────────────────────────
+// Built-in expressions usable in {{…}} templates next to run variables:
+//
+//   {{uuid}}                      random UUID
+//   {{timestamp}}                 milliseconds since the epoch
+//   {{today}}                     today's date, YYYY-MM-DD
+//   {{today:+3d:DD/MM/YYYY}}      offset (d, w, m = months, y) and format
+//                                 (YYYY YY MM DD HH mm ss)
+//   {{randomEmail}}               test.<random>@example.com
+//   {{randomEmail:corp.test}}     …at another domain
+//   {{randomInt:1000:9999}}       integer between min and max, inclusive
+//
+// Arguments follow the name, separated by ":". The format of `today` is the
+// rest of the expression, so it may contain ":" itself (HH:mm).
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, "0");
+}
+
+function shiftDate(date, offset) {
+  const match = /^([+-]\d+)([dwmy])$/.exec(offset.trim());
+  if (!match) {
+    throw new Error(`{{today}}: "${offset}" is not an offset like +3d or -1m`);
+  }
+  const amount = Number(match[1]);
+  const d = new Date(date);
+  switch (match[2]) {
+    case "d":
+      d.setDate(d.getDate() + amount);
+      break;
+    case "w":
+      d.setDate(d.getDate() + amount * 7);
+      break;
+    case "m":
+      addMonths(d, amount);
+      break;
+    case "y":
+      addMonths(d, amount * 12);
+      break;
+  }
+  return d;
+}
+
+// Jan 31 + 1 month is the last day of February, not early March
+function addMonths(d, months) {
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+}
+
+/**
+ * Formats a date with YYYY, YY, MM, DD, HH, mm and ss tokens (local time).
+ */
+export function formatDate(date, format = "YYYY-MM-DD") {
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, (t) => tokens[t]);
+}
+
+function randomToken(length = 8) {
+  return crypto.randomUUID().replace(/-/g, "").slice(0, length);
+}
+
+function parseInteger(value, what) {
+  const n = Number(value);
+  if (!Number.isInteger(n)) {
+    throw new Error(`{{randomInt}}: ${what} "${value}" is not a whole number`);
+  }
+  return n;
+}
+
+const BUILTINS = {
+  uuid: () => crypto.randomUUID(),
+  timestamp: () => String(Date.now()),
+  today: (args, now) => {
+    const [offset = "", ...format] = args;
+    const date = offset ? shiftDate(now, offset) : now;
+    return formatDate(date, format.join(":") || "YYYY-MM-DD");
+  },
+  randomEmail: ([domain = "example.com"]) => `test.${randomToken()}@${domain}`,
+  randomInt: ([min = "0", max = "999999"]) => {
+    const lo = parseInteger(min, "min");
+    const hi = parseInteger(max, "max");
+    if (hi < lo) throw new Error(`{{randomInt}}: max ${hi} is below min ${lo}`);
+    return String(lo + Math.floor(Math.random() * (hi - lo + 1)));
+  }
+};
+
+export function isBuiltin(name) {
+  return Object.hasOwn(BUILTINS, name);
+}
+
+/**
+ * Evaluates a built-in expression such as "randomInt:1000:9999".
+ * Throws for unknown names and invalid arguments.
+ */
+export function evaluateBuiltin(expression, now = new Date()) {
+  const [name, ...args] = expression.split(":");
+  if (!isBuiltin(name)) throw new Error(`Unknown template "{{${expression}}}"`);
+  return BUILTINS[name](args, now);
+}
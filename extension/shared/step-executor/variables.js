@@ -0,0 +1,117 @@
+import { isBuiltin, evaluateBuiltin } from "./templates.js";
+
+// ── Run variables ──────────────────────────────────────────────────────────────
+// Variables saved during a run live in a Map keyed "<name>-<replaySuffix>". The
+// per-run suffix (stored under "__replaySuffix__") guarantees a value captured
+// in this run can never be confused with a stale value from an earlier run.
+
+function variableKey(variables, name) {
+  const suffix = variables.get("__replaySuffix__") ?? "";
+  return suffix ? `${name}-${suffix}` : name;
+}
+
+export function getVariable(variables, name) {
+  return variables.get(variableKey(variables, name));
+}
+
+export function setVariable(variables, name, value) {
+  variables.set(variableKey(variables, name), value);
+}
+
+/**
+ * Creates an empty variable scope that shares the run's suffix — used for
+ * sub-flows, which only see the variables passed to them.
+ */
+export function createScope(variables) {
+  const scope = new Map();
+  const suffix = variables.get("__replaySuffix__");
+  if (suffix) scope.set("__replaySuffix__", suffix);
+  return scope;
+}
+
+// ── Templates ──────────────────────────────────────────────────────────────────
+// {{name}} is a run variable; anything else is a built-in expression (see
+// templates.js). A built-in is evaluated once per run and reused, so a reference
+// typed in one step can be asserted in a later one. Add a "#label" to get an
+// independent value: {{randomInt:1000:9999#order}} vs {{randomInt:1000:9999#line}}.
+
+function resolveExpression(expression, variables) {
+  if (/^\w+$/.test(expression)) {
+    const value = getVariable(variables, expression);
+    if (value !== undefined) return value;
+  }
+  const [body] = expression.split("#");
+  if (!isBuiltin(body.split(":")[0])) {
+    if (/^\w+$/.test(expression)) {
+      throw new Error(`Variable "${expression}" has no value`);
+    }
+    throw new Error(`Unknown template "{{${expression}}}"`);
+  }
+  const key = `{{${expression}}}`;
+  let value = getVariable(variables, key);
+  if (value === undefined) {
+    value = evaluateBuiltin(body);
+    setVariable(variables, key, value);
+  }
+  return value;
+}
+
+/**
+ * Replaces {{…}} templates with variable values and built-in expressions.
+ * Throws when a variable has no value or an expression is invalid, so a missing
+ * input fails loudly instead of typing "{{x}}".
+ */
+export function interpolateVariables(text, variables) {
+  return String(text ?? "").replace(
+    /\{\{\s*([^{}]+?)\s*\}\}/g,
+    (_, expression) => resolveExpression(expression, variables)
+  );
+}
+
+// Step fields that may contain {{templates}}: typed and expected values, and the
+// values entered in the side panel's dialogs (save-variable default, absence
+// check text, conditions). Variable names stay literal — they name the slot a
+// value is stored in. Selectors are resolved by interpolateSelectors.
+const TEMPLATE_FIELDS = {
+  change: ["value"],
+  selectOption: ["value", "label"],
+  navigate: ["url"],
+  assertElement: ["expectedValue"],
+  assertNotPresent: ["textContent"],
+  copyVariable: ["defaultValue"],
+  if: ["value", "text"]
+};
+
+/**
+ * Returns the step with templates in its selectors resolved, e.g. a loop's
+ * `tr:nth-child({{loopIndex}})`. Steps without references are returned unchanged.
+ */
+export function interpolateSelectors(step, variables) {
+  const hasTemplate = (step.selectors ?? []).some(
+    (group) =>
+      Array.isArray(group) && group.some((s) => String(s).includes("{{"))
+  );
+  if (!hasTemplate) return step;
+  return {
+    ...step,
+    selectors: step.selectors.map((group) =>
+      group.map((s) => interpolateVariables(s, variables))
+    )
+  };
+}
+
+/**
+ * Returns the step with the templates in its template fields resolved.
+ * Steps without references are returned unchanged.
+ */
+export function interpolateStep(step, variables) {
+  const fields = (TEMPLATE_FIELDS[step.type] ?? []).filter(
+    (field) => typeof step[field] === "string" && step[field].includes("{{")
+  );
+  if (fields.length === 0) return step;
+  const resolved = { ...step };
+  for (const field of fields) {
+    resolved[field] = interpolateVariables(step[field], variables);
+  }
+  return resolved;
+}
@@ -101,8 +101,10 @@ export async function execWaitForElementWithRefresh(step, tabId, contextId, cdp)
   throw new Error(`waitForElementWithRefresh timed out after ${REFRESH_WAIT_MAX_MS / 1000}s. Tried: ${tried}`);
 }
 
+// step.timeout (ms) shortens the wait, e.g. for the presence check of optional steps
 export async function execWaitForElement(step, tabId, contextId, cdp, frameInfo = null) {
-  await waitForSelector(step.selectors, tabId, contextId, cdp, STEP_TIMEOUT_MS, frameInfo);
+  const timeoutMs = step.timeout ?? STEP_TIMEOUT_MS;
+  await waitForSelector(step.selectors, tabId, contextId, cdp, timeoutMs, frameInfo);
 
   // Salesforce instant-result-item (search dropdown) triggers a fast internal
   // re-render after appearing — wait an extra second for it to settle.
@@ -0,0 +1,211 @@
+import { validateDataset } from "./datasets.js";
+import { validateErrorPatterns } from "./page-errors.js";
+import { validateMockRules } from "./mock-rules.js";
+import {
+  validateNetworkConditions,
+  validateBlockedUrls
+} from "./network-conditions.js";
+import { validateRetryPolicy, MAX_RETRIES } from "./retry.js";
+import { validateFailureMode } from "./failure-mode.js";
+import { validateCondition } from "./conditions.js";
+import { validateLoop } from "./loops.js";
+import { validateBlocks } from "./blocks.js";
+import { schemaVersionOf } from "./migrations.js";
+
+// ── Step schema ────────────────────────────────────────────────────────────────
+// Describes the step shapes the recorder produces and the executor understands.
+// Used to validate recordings that come from outside the extension (file import)
+// before they are written to storage, so a malformed file can never reach replay.
+
+// Required fields per step type. Each entry maps a field name to its expected
+// kind: "string", "number", "selectors" (string[][], or string[] in schema
+// version 1 recordings, which the version 2 migration nests).
+const STEP_FIELDS = {
+  navigate: { url: "string" },
+  setViewport: { width: "number", height: "number" },
+  click: { selectors: "selectors" },
+  doubleClick: { selectors: "selectors" },
+  hover: { selectors: "selectors" },
+  change: { selectors: "selectors", value: "string" },
+  selectOption: { selectors: "selectors", value: "string" },
+  keyDown: { key: "string" },
+  keyUp: { key: "string" },
+  scroll: {},
+  waitForElement: { selectors: "selectors" },
+  waitForElementWithRefresh: { selectors: "selectors" },
+  copy: { selectors: "selectors", variableName: "string" },
+  paste: { selectors: "selectors", variableName: "string" },
+  copyVariable: { selectors: "selectors", variableName: "string" },
+  pasteVariable: { selectors: "selectors", variableName: "string" },
+  wait: { duration: "number" },
+  waitForNetworkIdle: {},
+  assertElement: { selectors: "selectors" },
+  assertNotPresent: { selector: "string" },
+  runRecording: { recordingId: "string" },
+  if: { condition: "string" },
+  else: {},
+  endIf: {},
+  loop: { loop: "string" },
+  endLoop: {}
+};
+
+export const STEP_TYPES = Object.keys(STEP_FIELDS);
+
+function isSelectors(value) {
+  if (!Array.isArray(value)) return false;
+  return value.every((group) =>
+    Array.isArray(group)
+      ? group.every((s) => typeof s === "string")
+      : typeof group === "string"
+  );
+}
+
+function hasFlatSelectors(step) {
+  return (
+    Array.isArray(step?.selectors) &&
+    step.selectors.some((group) => !Array.isArray(group))
+  );
+}
+
+function hasKind(value, kind) {
+  if (kind === "selectors") return isSelectors(value);
+  if (kind === "number") return typeof value === "number" && !isNaN(value);
+  return typeof value === kind;
+}
+
+/**
+ * Returns a list of human-readable problems with a single step (empty = valid).
+ * `where` prefixes each message, e.g. "step 3".
+ */
+export function validateStep(step, where = "step") {
+  if (!step || typeof step !== "object" || Array.isArray(step)) {
+    return [`${where}: not an object`];
+  }
+  const fields = STEP_FIELDS[step.type];
+  if (!fields) return [`${where}: unknown step type "${step.type}"`];
+
+  const problems = [];
+  for (const [name, kind] of Object.entries(fields)) {
+    if (!hasKind(step[name], kind)) {
+      problems.push(`${where} (${step.type}): "${name}" must be a ${kind}`);
+    }
+  }
+  if (step.frame !== undefined && !Array.isArray(step.frame)) {
+    problems.push(`${where} (${step.type}): "frame" must be an array`);
+  }
+  if (step.secretRef !== undefined && typeof step.secretRef !== "string") {
+    problems.push(`${where} (${step.type}): "secretRef" must be a string`);
+  }
+  if (step.type === "if" && problems.length === 0) {
+    problems.push(...validateCondition(step, `${where} (if)`));
+  }
+  if (step.type === "loop" && problems.length === 0) {
+    problems.push(...validateLoop(step, `${where} (loop)`));
+  }
+  problems.push(...validateFailureMode(step, `${where} (${step.type})`));
+  if (step.retry !== undefined) {
+    problems.push(
+      ...validateRetryPolicy(step.retry, `${where} (${step.type}): "retry"`)
+    );
+  }
+  // runRecording inputs/outputs map variable names to strings
+  for (const name of ["inputs", "outputs"]) {
+    const map = step[name];
+    if (map === undefined) continue;
+    if (
+      !map ||
+      typeof map !== "object" ||
+      Array.isArray(map) ||
+      !Object.values(map).every((v) => typeof v === "string")
+    ) {
+      problems.push(
+        `${where} (${step.type}): "${name}" must map names to strings`
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * Returns a list of problems with a recording object (empty = valid).
+ */
+export function validateRecording(rec, where = "recording") {
+  if (!rec || typeof rec !== "object" || Array.isArray(rec)) {
+    return [`${where}: not an object`];
+  }
+  const problems = [];
+  if (typeof rec.title !== "string" || !rec.title.trim()) {
+    problems.push(`${where}: missing title`);
+  }
+  if (rec.schemaVersion !== undefined && !Number.isInteger(rec.schemaVersion)) {
+    problems.push(`${where}: "schemaVersion" must be an integer`);
+  }
+  if (rec.suite !== undefined && typeof rec.suite !== "string") {
+    problems.push(`${where}: "suite" must be a string`);
+  }
+  if (
+    rec.tags !== undefined &&
+    !(Array.isArray(rec.tags) && rec.tags.every((t) => typeof t === "string"))
+  ) {
+    problems.push(`${where}: "tags" must be an array of strings`);
+  }
+  if (rec.dataset != null) {
+    problems.push(...validateDataset(rec.dataset, `${where}, dataset`));
+  }
+  if (rec.failOnPageErrors !== undefined) {
+    problems.push(
+      ...validateErrorPatterns(
+        rec.failOnPageErrors,
+        `${where}: "failOnPageErrors"`
+      )
+    );
+  }
+  if (rec.mockRules !== undefined) {
+    problems.push(...validateMockRules(rec.mockRules, `${where}, mockRules`));
+  }
+  if (rec.retry != null) {
+    problems.push(...validateRetryPolicy(rec.retry, `${where}: "retry"`));
+  }
+  if (
+    rec.batchRetries !== undefined &&
+    !(
+      Number.isInteger(rec.batchRetries) &&
+      rec.batchRetries >= 0 &&
+      rec.batchRetries <= MAX_RETRIES
+    )
+  ) {
+    problems.push(
+      `${where}: "batchRetries" must be a whole number 0–${MAX_RETRIES}`
+    );
+  }
+  if (rec.networkConditions != null) {
+    problems.push(
+      ...validateNetworkConditions(
+        rec.networkConditions,
+        `${where}: "networkConditions"`
+      )
+    );
+  }
+  if (rec.blockedUrls !== undefined) {
+    problems.push(
+      ...validateBlockedUrls(rec.blockedUrls, `${where}: "blockedUrls"`)
+    );
+  }
+  if (!Array.isArray(rec.steps)) {
+    problems.push(`${where}: "steps" must be an array`);
+    return problems;
+  }
+  // Flat selectors are only upgraded for recordings that predate version 2;
+  // a newer recording with them would import cleanly and fail at replay
+  const nested = schemaVersionOf(rec) >= 2;
+  rec.steps.forEach((step, i) => {
+    problems.push(...validateStep(step, `${where}, step ${i + 1}`));
+    if (nested && hasFlatSelectors(step)) {
+      problems.push(
+        `${where}, step ${i + 1} (${step.type}): "selectors" must be a string[][] (one array of candidates per selector)`
+      );
+    }
+  });
+  problems.push(...validateBlocks(rec.steps, where));
+  return problems;
+}
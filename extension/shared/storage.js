@@ -1,55 +1,360 @@
-import { MAX_HISTORY_ENTRIES } from "./constants.js";
+import { MAX_HISTORY_ENTRIES, DEFAULT_SETTINGS } from "./constants.js";
+import { STORE, withStores, promisify, eachCursor } from "./db.js";
+import {
+  CURRENT_SCHEMA_VERSION,
+  needsMigration,
+  migrateRecording
+} from "./migrations.js";
 
 // ─── Recordings ──────────────────────────────────────────────────────────────
+// Recordings are upgraded to the current schema as they are loaded. The upgrade
+// is written back in a readwrite transaction that re-reads the records, so it
+// can never overwrite a save that happened in between.
+
+async function upgradeStored(ids) {
+  return withStores([STORE.RECORDINGS], "readwrite", async (s) => {
+    const upgraded = [];
+    for (const id of ids) {
+      const rec = await promisify(s.recordings.get(id));
+      if (!rec || !needsMigration(rec)) continue;
+      const migrated = migrateRecording(rec);
+      s.recordings.put(migrated);
+      upgraded.push(migrated);
+    }
+    return upgraded;
+  });
+}
 
 export async function getRecordings() {
-  const { recordings = [] } = await chrome.storage.local.get("recordings");
-  return recordings;
+  let recordings = await withStores([STORE.RECORDINGS], "readonly", (s) =>
+    promisify(s.recordings.getAll())
+  );
+  const stale = recordings.filter(needsMigration).map((r) => r.id);
+  if (stale.length > 0) {
+    const upgraded = new Map(
+      (await upgradeStored(stale)).map((r) => [r.id, r])
+    );
+    recordings = recordings.map((r) => upgraded.get(r.id) ?? r);
+  }
+  // Oldest first, the order the list has always been shown in
+  return recordings.sort((a, b) =>
+    (a.createdAt ?? "").localeCompare(b.createdAt ?? "")
+  );
 }
 
-export async function saveRecording({ id, title, steps, createdAt }) {
-  const recordings = await getRecordings();
-  const existing = recordings.findIndex((r) => r.id === id);
-  // Preserve original createdAt when updating; only set to now for new recordings
-  const existingCreatedAt =
-    existing >= 0 ? recordings[existing].createdAt : null;
-  const entry = {
+export async function getRecording(id) {
+  const rec = await withStores([STORE.RECORDINGS], "readonly", (s) =>
+    promisify(s.recordings.get(id))
+  );
+  if (!rec) return null;
+  if (!needsMigration(rec)) return rec;
+  const [upgraded] = await upgradeStored([id]);
+  return upgraded ?? getRecording(id);
+}
+
+// `reason` is stored on the revision this save creates ("recorded", "edited", …).
+// The recording and its new revision are written in one transaction. Callers pass
+// steps in the current schema (migrate imported or restored data first).
+export async function saveRecording(
+  {
     id,
     title,
-    createdAt: createdAt ?? existingCreatedAt ?? new Date().toISOString(),
-    steps
+    steps,
+    createdAt,
+    suite,
+    tags,
+    dataset,
+    failOnPageErrors,
+    mockRules,
+    networkConditions,
+    blockedUrls,
+    retry,
+    batchRetries
+  },
+  { reason = "saved", restoredFrom } = {}
+) {
+  const { revisionLimit } = await getSettings();
+  return withStores(
+    [STORE.RECORDINGS, STORE.REVISIONS],
+    "readwrite",
+    async (s) => {
+      const previous = await promisify(s.recordings.get(id));
+      // Preserve original createdAt when updating; only set to now for new recordings.
+      // suite/tags/dataset and the replay options (failOnPageErrors, mockRules,
+      // networkConditions, blockedUrls, retry, batchRetries) are optional on
+      // updates — callers that don't send them keep the old ones. A null
+      // dataset or retry removes it.
+      const entry = {
+        id,
+        title,
+        createdAt: createdAt ?? previous?.createdAt ?? new Date().toISOString(),
+        suite: suite ?? previous?.suite ?? "",
+        tags: tags ?? previous?.tags ?? [],
+        dataset: dataset === undefined ? (previous?.dataset ?? null) : dataset,
+        failOnPageErrors: failOnPageErrors ?? previous?.failOnPageErrors ?? [],
+        mockRules: mockRules ?? previous?.mockRules ?? [],
+        networkConditions:
+          networkConditions ?? previous?.networkConditions ?? null,
+        blockedUrls: blockedUrls ?? previous?.blockedUrls ?? [],
+        retry: retry === undefined ? (previous?.retry ?? null) : retry,
+        batchRetries: batchRetries ?? previous?.batchRetries ?? 0,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        steps
+      };
+      s.recordings.put(entry);
+      await appendRevision(s.revisions, entry, previous ?? null, {
+        reason,
+        restoredFrom,
+        revisionLimit
+      });
+      return entry;
+    }
+  );
+}
+
+export async function deleteRecording(id) {
+  await withStores(
+    [STORE.RECORDINGS, STORE.REVISIONS],
+    "readwrite",
+    async (s) => {
+      s.recordings.delete(id);
+      s.revisions.delete(revisionRange(id));
+    }
+  );
+}
+
+// ─── Revisions ────────────────────────────────────────────────────────────────
+// Every save snapshots the recording into the revisions store, trimmed to
+// settings.revisionLimit per recording. Revision numbers keep counting up after
+// old ones are trimmed, so "r12" always refers to the same snapshot. Datasets are
+// test data rather than part of the flow and are not kept in revisions.
+
+function revisionRange(recordingId) {
+  return IDBKeyRange.bound([recordingId, 0], [recordingId, Infinity]);
+}
+
+function revisionContent(rec) {
+  return JSON.stringify([
+    rec.title,
+    rec.suite ?? "",
+    rec.tags ?? [],
+    rec.steps
+  ]);
+}
+
+function toRevision(rec, rev, reason, extra = {}) {
+  return {
+    recordingId: rec.id,
+    rev,
+    savedAt: new Date().toISOString(),
+    reason,
+    ...extra,
+    title: rec.title,
+    suite: rec.suite ?? "",
+    tags: rec.tags ?? [],
+    schemaVersion: rec.schemaVersion,
+    steps: rec.steps
   };
-  if (existing >= 0) {
-    recordings[existing] = entry;
-  } else {
-    recordings.push(entry);
+}
+
+// Runs inside saveRecording's transaction — only IndexedDB requests are awaited.
+async function appendRevision(
+  store,
+  entry,
+  previous,
+  { reason, restoredFrom, revisionLimit }
+) {
+  const range = revisionRange(entry.id);
+  const latestCursor = await promisify(store.openCursor(range, "prev"));
+  let latest = latestCursor?.value ?? null;
+
+  // Recordings saved before revisions existed: keep their prior state as the first revision
+  if (!latest && previous) {
+    latest = toRevision(previous, 1, "initial");
+    store.put(latest);
+  }
+  // Saving without changes (e.g. closing the edit overlay with Save) adds nothing
+  if (latest && revisionContent(latest) === revisionContent(entry)) return;
+
+  const extra = restoredFrom != null ? { restoredFrom } : {};
+  store.put(toRevision(entry, (latest?.rev ?? 0) + 1, reason, extra));
+
+  let excess = (await promisify(store.count(range))) - revisionLimit;
+  if (excess > 0) {
+    await eachCursor(store.openCursor(range), (cursor) => {
+      cursor.delete();
+      return --excess > 0;
+    });
   }
-  await chrome.storage.local.set({ recordings });
-  return entry;
 }
 
-export async function deleteRecording(id) {
-  const recordings = await getRecordings();
-  await chrome.storage.local.set({
-    recordings: recordings.filter((r) => r.id !== id)
+/**
+ * Returns the saved revisions of a recording, newest first.
+ */
+export async function getRevisions(recordingId) {
+  const revisions = await withStores([STORE.REVISIONS], "readonly", (s) =>
+    promisify(s.revisions.getAll(revisionRange(recordingId)))
+  );
+  return revisions.reverse();
+}
+
+/**
+ * Replaces `value` in the change steps of a recording's revisions with a vault
+ * reference (`ref` = { secretRef, secretName }), so a value moved into the
+ * secrets vault doesn't stay readable in older revisions.
+ */
+export async function redactRevisions(recordingId, value, ref) {
+  await withStores([STORE.REVISIONS], "readwrite", (s) =>
+    eachCursor(s.revisions.openCursor(revisionRange(recordingId)), (cursor) => {
+      const revision = cursor.value;
+      let redacted = false;
+      const steps = revision.steps.map((step) => {
+        if (step.type !== "change" || step.value !== value) return step;
+        redacted = true;
+        return { ...step, value: "", ...ref };
+      });
+      if (redacted) cursor.update({ ...revision, steps });
+    })
+  );
+}
+
+// Drops revisions beyond `limit` for every recording (used when the limit is lowered).
+export async function pruneRevisions(limit) {
+  await withStores([STORE.REVISIONS], "readwrite", (s) => {
+    // Keys sort by [recordingId, rev], so walking backwards visits each
+    // recording's revisions newest first.
+    let currentId = null;
+    let kept = 0;
+    return eachCursor(s.revisions.openCursor(null, "prev"), (cursor) => {
+      const { recordingId } = cursor.value;
+      if (recordingId !== currentId) {
+        currentId = recordingId;
+        kept = 0;
+      }
+      if (++kept > limit) cursor.delete();
+    });
   });
 }
 
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+export async function getSettings() {
+  const { settings = {} } = await chrome.storage.local.get("settings");
+  return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+export async function saveSettings(patch) {
+  const settings = { ...(await getSettings()), ...patch };
+  await chrome.storage.local.set({ settings });
+  return settings;
+}
+
 // ─── Run History ──────────────────────────────────────────────────────────────
 
+/**
+ * Returns run results newest first — all of them, or only one recording's.
+ */
 export async function getRunHistory(recordingId = null) {
-  const { runHistory = [] } = await chrome.storage.local.get("runHistory");
-  if (recordingId)
-    return runHistory.filter((r) => r.recordingId === recordingId);
-  return runHistory;
+  const runs = await withStores([STORE.RUN_HISTORY], "readonly", (s) =>
+    recordingId
+      ? promisify(
+          s.runHistory
+            .index("recordingId")
+            .getAll(
+              IDBKeyRange.bound([recordingId, ""], [recordingId, "\uffff"])
+            )
+        )
+      : promisify(s.runHistory.index("completedAt").getAll())
+  );
+  return runs.reverse();
 }
 
 export async function appendRunResult(result) {
-  const { runHistory = [] } = await chrome.storage.local.get("runHistory");
-  runHistory.unshift(result); // newest first
-  if (runHistory.length > MAX_HISTORY_ENTRIES)
-    runHistory.length = MAX_HISTORY_ENTRIES;
-  await chrome.storage.local.set({ runHistory });
+  await withStores(
+    [STORE.RUN_HISTORY, STORE.ARTIFACTS],
+    "readwrite",
+    async (s) => {
+      s.runHistory.put(result);
+      // Keep only the newest MAX_HISTORY_ENTRIES runs, with their artifacts
+      let excess =
+        (await promisify(s.runHistory.count())) - MAX_HISTORY_ENTRIES;
+      if (excess > 0) {
+        await eachCursor(
+          s.runHistory.index("completedAt").openCursor(),
+          (cursor) => {
+            s.artifacts.delete(artifactRange(cursor.value.runId));
+            cursor.delete();
+            return --excess > 0;
+          }
+        );
+      }
+    }
+  );
+}
+
+// ─── Run artifacts ────────────────────────────────────────────────────────────
+// Files captured during a run (e.g. screenshots) are kept out of the run result
+// so loading the history list stays cheap. The result refers to them by name:
+//   { runId, name: "step-4", kind: "screenshot", mimeType, data (base64), path }
+
+function artifactRange(runId) {
+  return IDBKeyRange.bound([runId, ""], [runId, "\uffff"]);
+}
+
+export async function saveArtifact(artifact) {
+  await withStores([STORE.ARTIFACTS], "readwrite", async (s) => {
+    s.artifacts.put({ ...artifact, createdAt: new Date().toISOString() });
+  });
+}
+
+export async function getArtifact(runId, name) {
+  const artifact = await withStores([STORE.ARTIFACTS], "readonly", (s) =>
+    promisify(s.artifacts.get([runId, name]))
+  );
+  return artifact ?? null;
+}
+
+/**
+ * Records that `runId` has a replay video and deletes the videos of older runs
+ * beyond `limit`. The list of runs with a video is kept in chrome.storage.local
+ * ("screencastRuns", oldest first).
+ */
+export async function keepScreencastFor(runId, limit) {
+  const { screencastRuns = [] } =
+    await chrome.storage.local.get("screencastRuns");
+  const runs = [...screencastRuns.filter((id) => id !== runId), runId];
+  const expired = runs.splice(0, Math.max(0, runs.length - limit));
+  await chrome.storage.local.set({ screencastRuns: runs });
+  if (expired.length === 0) return;
+  await withStores([STORE.ARTIFACTS], "readwrite", async (s) => {
+    for (const id of expired) deleteScreencastIn(s, id);
+  });
+}
+
+/**
+ * Deletes the replay video (index and frames) of one run, e.g. a run that
+ * ended before its video was saved.
+ */
+export async function deleteScreencast(runId) {
+  await withStores([STORE.ARTIFACTS], "readwrite", async (s) =>
+    deleteScreencastIn(s, runId)
+  );
+}
+
+function deleteScreencastIn(s, runId) {
+  s.artifacts.delete([runId, "screencast"]);
+  s.artifacts.delete(
+    IDBKeyRange.bound([runId, "frame-"], [runId, "frame-\uffff"])
+  );
+}
+
+/**
+ * Returns all artifacts of a run, in name order.
+ */
+export async function getRunArtifacts(runId) {
+  return withStores([STORE.ARTIFACTS], "readonly", (s) =>
+    promisify(s.artifacts.getAll(artifactRange(runId)))
+  );
 }
 
 // ─── Active Run (ephemeral) ───────────────────────────────────────────────────
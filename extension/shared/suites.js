@@ -0,0 +1,62 @@
+// ── Suites & tags ──────────────────────────────────────────────────────────────
+// Recordings can belong to one suite (shown as a folder in the side panel) and
+// carry any number of free-form tags. A batch run selects recordings with a
+// filter { suite, tags } — shared here so the side panel list and runAll in the
+// service worker always agree on what "the selection" is.
+//
+//   suite: undefined/null → any suite, "" → recordings without a suite, "X" → suite X
+//   tags:  every listed tag must be present on the recording (case-insensitive)
+
+export const NO_SUITE_LABEL = "Unsorted";
+
+/**
+ * Splits a comma-separated tag string into a clean, de-duplicated tag list.
+ */
+export function parseTags(text) {
+  const tags = String(text ?? "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Returns true when the recording is part of the selection described by `filter`.
+ */
+export function matchesFilter(rec, { suite = null, tags = [] } = {}) {
+  if (suite !== null && suite !== undefined && (rec.suite ?? "") !== suite) {
+    return false;
+  }
+  const recTags = (rec.tags ?? []).map((t) => t.toLowerCase());
+  return tags.every((t) => recTags.includes(t.toLowerCase()));
+}
+
+/**
+ * Groups items by suite, preserving first-seen order and putting the
+ * suite-less group last. Returns [{ suite, items }].
+ */
+export function groupBySuite(items, getSuite = (item) => item.suite) {
+  const groups = new Map();
+  for (const item of items) {
+    const suite = getSuite(item) ?? "";
+    if (!groups.has(suite)) groups.set(suite, []);
+    groups.get(suite).push(item);
+  }
+  const named = [...groups].filter(([suite]) => suite !== "");
+  const unsorted = groups.has("") ? [["", groups.get("")]] : [];
+  return [...named, ...unsorted].map(([suite, items]) => ({ suite, items }));
+}
+
+/**
+ * Lists every suite name and tag in use, sorted, for filter pickers.
+ */
+export function collectSuitesAndTags(recordings) {
+  const suites = new Set();
+  const tags = new Set();
+  for (const rec of recordings) {
+    if (rec.suite) suites.add(rec.suite);
+    for (const tag of rec.tags ?? []) tags.add(tag);
+  }
+  const byName = (a, b) => a.localeCompare(b);
+  return { suites: [...suites].sort(byName), tags: [...tags].sort(byName) };
+}
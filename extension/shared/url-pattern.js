@@ -0,0 +1,57 @@
+// ── URL patterns ───────────────────────────────────────────────────────────────
+// Used by mock rules and the network-idle ignore list: "*" wildcards over the
+// full URL ("*/api/search*"), or a /regex/flags tested anywhere in it.
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+export function isRegexPattern(pattern) {
+  return REGEX_PATTERN.test(pattern);
+}
+
+/**
+ * Compiles a pattern to a RegExp. Throws on an invalid /regex/.
+ */
+export function toUrlMatcher(pattern) {
+  const regex = REGEX_PATTERN.exec(pattern);
+  if (regex) return new RegExp(regex[1], regex[2]);
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Returns a function telling whether a URL matches any of `patterns`.
+ * Invalid patterns match nothing.
+ */
+export function urlMatcher(patterns = []) {
+  const matchers = patterns.flatMap((pattern) => {
+    try {
+      return [toUrlMatcher(pattern)];
+    } catch {
+      return [];
+    }
+  });
+  return (url) => matchers.some((re) => re.test(url));
+}
+
+/**
+ * Parses one pattern per line. Throws on an invalid /regex/.
+ */
+export function parseUrlPatterns(text) {
+  const patterns = String(text ?? "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  for (const pattern of patterns) {
+    try {
+      toUrlMatcher(pattern);
+    } catch (err) {
+      throw new Error(
+        `${pattern} is not a valid regular expression: ${err.message}`
+      );
+    }
+  }
+  return patterns;
+}
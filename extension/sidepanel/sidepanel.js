@@ -1,4 +1,94 @@
-import { MSG, StepStatus, RecordingState } from "../shared/constants.js";
+import {
+  MSG,
+  StepStatus,
+  RecordingState,
+  CONDITION_TIMEOUT_MS
+} from "../shared/constants.js";
+import {
+  serializeRecordings,
+  parseRecordingFile,
+  slugify
+} from "../shared/formats/recording-file.js";
+import {
+  toDevToolsRecording,
+  fromDevToolsRecording,
+  isDevToolsRecording
+} from "../shared/formats/devtools-recorder.js";
+import {
+  generatePuppeteerScript,
+  generatePlaywrightScript
+} from "../shared/formats/script-generator.js";
+import {
+  toSideProject,
+  fromSideProject,
+  isSideProject
+} from "../shared/formats/selenium-ide.js";
+import { diffSteps, diffRevisionMeta } from "../shared/revision-diff.js";
+import {
+  NO_SUITE_LABEL,
+  parseTags,
+  matchesFilter,
+  groupBySuite,
+  collectSuitesAndTags
+} from "../shared/suites.js";
+import { parseDataset } from "../shared/datasets.js";
+import { parseErrorPatterns } from "../shared/page-errors.js";
+import { buildHar } from "../shared/formats/har.js";
+import {
+  ABORT_REASONS,
+  createMockRule,
+  describeMockRule,
+  formatHeaders,
+  parseHeaders,
+  validateMockRules
+} from "../shared/mock-rules.js";
+import {
+  NETWORK_PROFILES,
+  describeNetworkConditions,
+  parseBlockedUrls,
+  validateNetworkConditions
+} from "../shared/network-conditions.js";
+import { parseUrlPatterns } from "../shared/url-pattern.js";
+import {
+  RETRY_CLASSES,
+  MAX_RETRIES,
+  createRetryPolicy,
+  describeRetryPolicy,
+  validateRetryPolicy
+} from "../shared/retry.js";
+import {
+  FAILURE_MODES,
+  failureModeOf,
+  failureModesFor,
+  isElementStep
+} from "../shared/failure-mode.js";
+import {
+  CONDITIONS,
+  describeCondition,
+  validateCondition
+} from "../shared/conditions.js";
+import {
+  BLOCK_TYPES,
+  blockDepths,
+  findBlock,
+  isBalanced,
+  validateBlocks
+} from "../shared/blocks.js";
+import {
+  LOOPS,
+  DEFAULT_INDEX_VARIABLE,
+  DEFAULT_TEXT_VARIABLE,
+  DEFAULT_MAX_ITERATIONS,
+  describeLoop,
+  validateLoop
+} from "../shared/loops.js";
+import {
+  getActiveEnvironment,
+  parseOrigins,
+  parseLinks,
+  formatOrigins,
+  formatLinks
+} from "../shared/environments.js";
 
 // ── State ──────────────────────────────────────────────────────────────────────
 let state = {
@@ -6,10 +96,16 @@ let state = {
   recordingStepCount: 0,
   currentRunSteps: [],
   recordings: [],
-  dynamicBreakpoints: new Set() // step indices the user has pinned via the hover ⏸ button
+  filter: loadListFilter(), // { suite, tags } — see shared/suites.js
+  collapsedSuites: new Set(JSON.parse(localStorage.getItem("collapsedSuites") ?? "[]")),
+  dynamicBreakpoints: new Set(), // step path keys ("3", "3.1") pinned via the hover ⏸ button
+  batchRunning: false, // a RUN_ALL batch is in progress (dataset runs inside it report to the batch)
+  environments: [], // environment profiles — see shared/environments.js
+  activeEnvironmentId: null,
+  runIn: "activeTab" // settings.runIn — where runs open (see background/run-target.js)
 };
 
-let editingRecording = null; // { id, title, steps, createdAt }
+let editingRecording = null; // { id, title, steps, createdAt, suite, tags, dataset }
 let pendingVariableStep = null; // { selectors, defaultValue, frame } — from SHOW_VARIABLE_DIALOG
 let pendingPasteVariableStep = null; // { selectors, frame, variables } — from SHOW_PASTE_VARIABLE_DIALOG
 
@@ -26,6 +122,9 @@ const stepCountEl = $("step-count");
 const recordFeed = $("record-feed");
 const recordingsEmpty = $("recordings-empty");
 const recordingsList = $("recordings-list");
+const listFilters = $("list-filters");
+const filterSuiteSelect = $("filter-suite");
+const filterTagsEl = $("filter-tags");
 const btnRunAll = $("btn-run-all");
 const listSection = $("list-section");
 const runSection = $("run-section");
@@ -43,8 +142,8 @@ const btnDialogSave = $("btn-dialog-save");
 const btnDialogCancel = $("btn-dialog-cancel");
 const btnTheme = $("btn-theme");
 const btnReset = $("btn-reset");
-const btnNavA = $("btn-nav-a");
-const btnNavV = $("btn-nav-v");
+const envSelect = $("env-select");
+const envLinks = $("env-links");
 const btnHamburger = $("btn-hamburger");
 const hamburgerMenu = $("hamburger-menu");
 const btnBack = $("btn-back");
@@ -55,6 +154,9 @@ const btnDebugNext = $("btn-debug-next");
 const btnDebugFinish = $("btn-debug-finish");
 const editOverlay = $("edit-overlay");
 const editTitleInput = $("edit-title");
+const editSuiteInput = $("edit-suite");
+const editTagsInput = $("edit-tags");
+const suiteOptions = $("suite-options");
 const editStepsList = $("edit-steps-list");
 const editStepCountEl = $("edit-step-count");
 const btnEditSave = $("btn-edit-save");
@@ -84,6 +186,100 @@ const assertLibraryList = $("assert-library-list");
 const assertLibraryEmpty = $("assert-library-empty");
 const btnAssertNewToggle = $("btn-assert-new-toggle");
 const assertNewForm = $("assert-new-form");
+const importFileInput = $("import-file");
+const exportOverlay = $("export-overlay");
+const exportTitle = $("export-title");
+const exportFormatSelect = $("export-format");
+const exportPreview = $("export-preview");
+const btnExportDownload = $("btn-export-download");
+const btnExportCopy = $("btn-export-copy");
+const btnExportCancel = $("btn-export-cancel");
+const importConflictOverlay = $("import-conflict-overlay");
+const importConflictText = $("import-conflict-text");
+const importConflictAll = $("import-conflict-all");
+const revisionsOverlay = $("revisions-overlay");
+const revisionsTitle = $("revisions-title");
+const revisionFromSelect = $("revision-from");
+const revisionToSelect = $("revision-to");
+const revisionDiffSummary = $("revision-diff-summary");
+const revisionDiffList = $("revision-diff");
+const revisionLimitInput = $("revision-limit");
+const btnRevisionRestore = $("btn-revision-restore");
+const btnRevisionsClose = $("btn-revisions-close");
+const btnEditAddSubflow = $("btn-edit-add-subflow");
+const btnEditAddCondition = $("btn-edit-add-condition");
+const btnEditAddLoop = $("btn-edit-add-loop");
+const editDatasetInfo = $("edit-dataset-info");
+const editPageErrorsInput = $("edit-page-errors");
+const btnDatasetAttach = $("btn-dataset-attach");
+const btnDatasetRemove = $("btn-dataset-remove");
+const datasetFileInput = $("dataset-file");
+const editMocksInfo = $("edit-mocks-info");
+const editNetworkProfile = $("edit-network-profile");
+const editNetworkCustom = $("edit-network-custom");
+const editNetworkLatency = $("edit-network-latency");
+const editNetworkDown = $("edit-network-down");
+const editNetworkUp = $("edit-network-up");
+const editBlockedUrlsInput = $("edit-blocked-urls");
+const editRetryInfo = $("edit-retry-info");
+const editBatchRetriesInput = $("edit-batch-retries");
+const btnMocksEdit = $("btn-mocks-edit");
+const mocksOverlay = $("mocks-overlay");
+const mockEditSelect = $("mock-edit-select");
+const btnMockNew = $("btn-mock-new");
+const btnMockDelete = $("btn-mock-delete");
+const mockMethodSelect = $("mock-method");
+const mockUrlInput = $("mock-url");
+const mockBodyContainsInput = $("mock-body-contains");
+const mockActionSelect = $("mock-action");
+const mockDelayInput = $("mock-delay");
+const mockRespondFields = $("mock-respond-fields");
+const mockStatusInput = $("mock-status");
+const mockHeadersInput = $("mock-headers");
+const mockBodyInput = $("mock-body");
+const mockAbortFields = $("mock-abort-fields");
+const mockErrorReasonSelect = $("mock-error-reason");
+const btnMockSave = $("btn-mock-save");
+const btnMockClose = $("btn-mock-close");
+const batchHeading = $("batch-heading");
+const envOverlay = $("env-overlay");
+const envEditSelect = $("env-edit-select");
+const envNameInput = $("env-name");
+const envOriginsInput = $("env-origins");
+const envVariablesInput = $("env-variables");
+const envLinksInput = $("env-links-input");
+const btnEnvNew = $("btn-env-new");
+const btnEnvDelete = $("btn-env-delete");
+const btnEnvSave = $("btn-env-save");
+const btnEnvClose = $("btn-env-close");
+const subflowOverlay = $("subflow-overlay");
+const subflowHeading = $("subflow-heading");
+const subflowRecordingSelect = $("subflow-recording");
+const subflowPositionRow = $("subflow-position-row");
+const subflowPositionInput = $("subflow-position");
+const subflowInputsInput = $("subflow-inputs");
+const subflowOutputsInput = $("subflow-outputs");
+const btnSubflowSave = $("btn-subflow-save");
+const btnSubflowCancel = $("btn-subflow-cancel");
+const vaultOverlay = $("vault-overlay");
+const vaultStatus = $("vault-status");
+const vaultUnlockRow = $("vault-unlock-row");
+const vaultPassphraseInput = $("vault-passphrase");
+const btnVaultUnlock = $("btn-vault-unlock");
+const vaultEmpty = $("vault-empty");
+const vaultSecretsList = $("vault-secrets");
+const btnVaultLock = $("btn-vault-lock");
+const btnVaultClose = $("btn-vault-close");
+const videoOverlay = $("video-overlay");
+const videoTitle = $("video-title");
+const videoFrame = $("video-frame");
+const videoScrub = $("video-scrub");
+const btnVideoPlay = $("btn-video-play");
+const videoTime = $("video-time");
+const videoStep = $("video-step");
+const videoNote = $("video-note");
+const videoMarks = $("video-marks");
+const btnVideoClose = $("btn-video-close");
 
 // ── Theme toggle ───────────────────────────────────────────────────────────────
 function applyTheme(light) {
@@ -123,6 +319,105 @@ $("btn-hamburger-assertions").addEventListener("click", () => {
   openAssertDialog();
 });
 
+$("btn-hamburger-environments").addEventListener("click", () => {
+  hamburgerMenu.classList.add("hidden");
+  btnHamburger.setAttribute("aria-expanded", "false");
+  openEnvironmentsDialog();
+});
+
+$("btn-hamburger-network-idle").addEventListener("click", () => {
+  hamburgerMenu.classList.add("hidden");
+  btnHamburger.setAttribute("aria-expanded", "false");
+  openNetworkIdleDialog();
+});
+
+$("btn-hamburger-secrets").addEventListener("click", () => {
+  hamburgerMenu.classList.add("hidden");
+  btnHamburger.setAttribute("aria-expanded", "false");
+  openVaultDialog();
+});
+
+// Failed steps are always captured; this also captures every passed step
+const btnScreenshotEveryStep = $("btn-hamburger-screenshots");
+
+function renderScreenshotToggle(on) {
+  btnScreenshotEveryStep.textContent = `📷 Screenshot every step: ${on ? "on" : "off"}`;
+  btnScreenshotEveryStep.setAttribute("aria-pressed", String(on));
+}
+
+btnScreenshotEveryStep.addEventListener("click", async () => {
+  const on = btnScreenshotEveryStep.getAttribute("aria-pressed") !== "true";
+  const { settings } = (await send(MSG.SAVE_SETTINGS, { screenshotEveryStep: on })) ?? {};
+  renderScreenshotToggle(settings?.screenshotEveryStep ?? on);
+});
+
+const btnRecordVideo = $("btn-hamburger-video");
+
+function renderVideoToggle(on) {
+  btnRecordVideo.textContent = `🎞 Record replay video: ${on ? "on" : "off"}`;
+  btnRecordVideo.setAttribute("aria-pressed", String(on));
+}
+
+btnRecordVideo.addEventListener("click", async () => {
+  const on = btnRecordVideo.getAttribute("aria-pressed") !== "true";
+  const { settings } = (await send(MSG.SAVE_SETTINGS, { recordVideo: on })) ?? {};
+  renderVideoToggle(settings?.recordVideo ?? on);
+});
+
+// Where tests run (see background/run-target.js); the current tab is replaced
+const RUN_TARGETS = {
+  activeTab: "current tab",
+  tab: "new tab",
+  window: "minimized window"
+};
+const btnRunIn = $("btn-hamburger-run-in");
+const btnKeepRunTab = $("btn-hamburger-keep-run-tab");
+
+function renderRunTarget(runIn, keepOnFailure) {
+  state.runIn = runIn;
+  btnRunIn.textContent = `🗂 Run tests in: ${RUN_TARGETS[runIn] ?? runIn}`;
+  btnKeepRunTab.textContent = `📌 Keep run tab on failure: ${keepOnFailure ? "on" : "off"}`;
+  btnKeepRunTab.setAttribute("aria-pressed", String(keepOnFailure));
+  btnKeepRunTab.classList.toggle("hidden", runIn === "activeTab");
+}
+
+btnRunIn.addEventListener("click", async () => {
+  const targets = Object.keys(RUN_TARGETS);
+  const next = targets[(targets.indexOf(state.runIn) + 1) % targets.length];
+  const { settings } = (await send(MSG.SAVE_SETTINGS, { runIn: next })) ?? {};
+  renderRunTarget(settings?.runIn ?? next, settings?.keepRunTabOnFailure ?? true);
+});
+
+btnKeepRunTab.addEventListener("click", async () => {
+  const on = btnKeepRunTab.getAttribute("aria-pressed") !== "true";
+  const { settings } = (await send(MSG.SAVE_SETTINGS, { keepRunTabOnFailure: on })) ?? {};
+  renderRunTarget(state.runIn, settings?.keepRunTabOnFailure ?? on);
+});
+
+// Runs replace the page of the current tab unless they get their own
+async function getRunTabId() {
+  const tabId = await getActiveTabId();
+  if (!tabId && state.runIn === "activeTab") {
+    alert("No active tab found.");
+    return undefined;
+  }
+  return tabId;
+}
+
+$("btn-hamburger-export").addEventListener("click", () => {
+  hamburgerMenu.classList.add("hidden");
+  btnHamburger.setAttribute("aria-expanded", "false");
+  if (state.recordings.length === 0) return alert("There are no tests to export.");
+  openExportDialog(state.recordings, "all-tests");
+});
+
+$("btn-hamburger-import").addEventListener("click", () => {
+  hamburgerMenu.classList.add("hidden");
+  btnHamburger.setAttribute("aria-expanded", "false");
+  importFileInput.value = ""; // allow re-importing the same file
+  importFileInput.click();
+});
+
 // ── Step delay (speed badges) ──────────────────────────────────────────────────
 let stepDelay = parseInt(localStorage.getItem("stepDelay") ?? "0", 10) || 0;
 
@@ -182,49 +477,152 @@ function formatDate(isoStr) {
 function renderRecordings(recordings) {
   state.recordings = recordings;
   recordingsList.innerHTML = "";
+  renderListFilters();
+
+  const visible = selectedRecordings();
+  updateRunAllButton();
 
   if (recordings.length === 0) {
     recordingsEmpty.classList.remove("hidden");
-    btnRunAll.disabled = true;
     return;
   }
 
   recordingsEmpty.classList.add("hidden");
-  btnRunAll.disabled = state.mode !== RecordingState.IDLE;
 
-  for (const rec of recordings) {
-    const li = document.createElement("li");
-    li.className = "recording-card";
-    li.dataset.id = rec.id;
+  // Suite headers only make sense once at least one recording has a suite
+  const showSuites = recordings.some((r) => r.suite);
+
+  for (const { suite, items } of groupBySuite(visible)) {
+    const collapsed = showSuites && state.collapsedSuites.has(suite);
+    if (showSuites) {
+      const header = document.createElement("li");
+      header.className = "suite-header";
+      header.dataset.suite = suite;
+      header.innerHTML = `
+        <span>${collapsed ? "▸" : "▾"} 📁</span>
+        <span class="suite-name">${escapeHtml(suite || NO_SUITE_LABEL)} (${items.length})</span>
+        <button class="btn btn-ghost btn-sm btn-run-suite" data-suite="${escapeHtml(suite)}" title="Run this suite"
+          ${state.mode !== RecordingState.IDLE ? "disabled" : ""}>▶</button>
+      `;
+      recordingsList.appendChild(header);
+    }
+    if (collapsed) continue;
+    for (const rec of items) recordingsList.appendChild(renderRecordingCard(rec));
+  }
+}
 
-    const lastRun = rec.lastRun;
-    const badgeHtml = lastRun
-      ? `<span class="badge ${lastRun.passed ? "badge-pass" : "badge-fail"}">
-           ${lastRun.passed ? "✅ PASS" : "❌ FAIL"}
-         </span>
-         <span>${lastRun.completedSteps}/${lastRun.totalSteps} steps · ${timeAgo(lastRun.completedAt)}</span>`
-      : `<span class="badge badge-none">Not run</span>`;
+function renderRecordingCard(rec) {
+  const li = document.createElement("li");
+  li.className = "recording-card";
+  li.dataset.id = rec.id;
+
+  const lastRun = rec.lastRun;
+  const badgeHtml = lastRun
+    ? `<span class="badge ${lastRun.passed ? "badge-pass" : "badge-fail"}">
+         ${lastRun.passed ? "✅ PASS" : "❌ FAIL"}
+       </span>
+       <span>${lastRun.completedSteps}/${lastRun.totalSteps} steps · ${timeAgo(lastRun.completedAt)}</span>`
+    : `<span class="badge badge-none">Not run</span>`;
+  const tagsHtml = rec.tags?.length
+    ? `<div class="recording-tags">${rec.tags.map((t) => `<span class="tag-chip">${escapeHtml(t)}</span>`).join("")}</div>`
+    : "";
 
-    li.innerHTML = `
-      <div class="recording-card-header">
-        <div>
-          <div class="recording-title">${escapeHtml(rec.title)}</div>
-          <div class="recording-meta">${rec.steps?.length ?? 0} steps · ${formatDate(rec.createdAt)}</div>
-        </div>
-        <button class="btn-icon btn-edit" data-id="${rec.id}" title="Edit">✏️</button>
-      </div>
-      <div class="last-run">${badgeHtml}</div>
-      <div class="recording-card-actions">
-        <button class="btn btn-primary btn-sm btn-run" data-id="${rec.id}">▶ Run</button>
-        <button class="btn btn-ghost btn-sm btn-history" data-id="${rec.id}">🕐 History</button>
-        <button class="btn btn-ghost btn-sm btn-delete" data-id="${rec.id}">🗑</button>
+  li.innerHTML = `
+    <div class="recording-card-header">
+      <div>
+        <div class="recording-title">${escapeHtml(rec.title)}</div>
+        <div class="recording-meta">${rec.steps?.length ?? 0} steps${rec.dataset ? ` · 🗂 ${rec.dataset.rows.length} rows` : ""} · ${formatDate(rec.createdAt)}</div>
+        ${tagsHtml}
       </div>
-      <div class="history-section hidden"></div>
-    `;
-    recordingsList.appendChild(li);
+      <button class="btn-icon btn-edit" data-id="${rec.id}" title="Edit">✏️</button>
+    </div>
+    <div class="last-run">${badgeHtml}</div>
+    <div class="recording-card-actions">
+      <button class="btn btn-primary btn-sm btn-run" data-id="${rec.id}">▶ Run</button>
+      <button class="btn btn-ghost btn-sm btn-history" data-id="${rec.id}">🕐 History</button>
+      <button class="btn btn-ghost btn-sm btn-export" data-id="${rec.id}" title="Export">⬇</button>
+      <button class="btn btn-ghost btn-sm btn-revisions" data-id="${rec.id}" title="Revisions">↺</button>
+      <button class="btn btn-ghost btn-sm btn-delete" data-id="${rec.id}">🗑</button>
+    </div>
+    <div class="history-section hidden"></div>
+  `;
+  return li;
+}
+
+// ── Suite & tag filter ─────────────────────────────────────────────────────────
+
+// Suite select values: "*" = all suites, "" = recordings without a suite, else the suite name.
+function loadListFilter() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("listFilter") ?? "null");
+    return { suite: saved?.suite ?? null, tags: saved?.tags ?? [] };
+  } catch (_) {
+    return { suite: null, tags: [] };
   }
 }
 
+function saveListFilter() {
+  localStorage.setItem("listFilter", JSON.stringify(state.filter));
+}
+
+function isFiltered() {
+  return state.filter.suite !== null || state.filter.tags.length > 0;
+}
+
+function selectedRecordings() {
+  return state.recordings.filter((r) => matchesFilter(r, state.filter));
+}
+
+function updateRunAllButton() {
+  const count = selectedRecordings().length;
+  btnRunAll.textContent = isFiltered() ? `▶ Run selection (${count})` : "▶ Run all";
+  btnRunAll.disabled = state.mode !== RecordingState.IDLE || count === 0;
+}
+
+function renderListFilters() {
+  const { suites, tags } = collectSuitesAndTags(state.recordings);
+
+  // Drop filter values that no longer exist (suite renamed, last tag removed…)
+  if (state.filter.suite && !suites.includes(state.filter.suite)) state.filter.suite = null;
+  state.filter.tags = state.filter.tags.filter((t) => tags.includes(t));
+
+  listFilters.classList.toggle("hidden", suites.length === 0 && tags.length === 0);
+  filterSuiteSelect.classList.toggle("hidden", suites.length === 0);
+  filterSuiteSelect.innerHTML = [
+    `<option value="*">All suites</option>`,
+    ...suites.map((name) => `<option value="${escapeHtml(name)}">📁 ${escapeHtml(name)}</option>`),
+    `<option value="">${NO_SUITE_LABEL}</option>`
+  ].join("");
+  filterSuiteSelect.value = state.filter.suite ?? "*";
+
+  filterTagsEl.innerHTML = tags
+    .map(
+      (t) =>
+        `<button class="tag-chip${state.filter.tags.includes(t) ? " active" : ""}" data-tag="${escapeHtml(t)}">#${escapeHtml(t)}</button>`
+    )
+    .join("");
+
+  suiteOptions.innerHTML = suites.map((name) => `<option value="${escapeHtml(name)}"></option>`).join("");
+}
+
+filterSuiteSelect.addEventListener("change", () => {
+  const value = filterSuiteSelect.value;
+  state.filter.suite = value === "*" ? null : value;
+  saveListFilter();
+  renderRecordings(state.recordings);
+});
+
+filterTagsEl.addEventListener("click", (e) => {
+  const chip = e.target.closest(".tag-chip");
+  if (!chip) return;
+  const tag = chip.dataset.tag;
+  state.filter.tags = state.filter.tags.includes(tag)
+    ? state.filter.tags.filter((t) => t !== tag)
+    : [...state.filter.tags, tag];
+  saveListFilter();
+  renderRecordings(state.recordings);
+});
+
 function escapeHtml(str) {
   return String(str)
     .replace(/&/g, "&amp;")
@@ -234,15 +632,38 @@ function escapeHtml(str) {
 }
 
 // ── Render step progress ───────────────────────────────────────────────────────
+// Steps of a sub-flow (runRecording) arrive with a nested path, e.g. [3, 1] for
+// the 2nd step of the sub-flow called by step 4. They are labelled "4.2".
+function stepPathLabel(path) {
+  return path.map((i) => i + 1).join(".");
+}
+
+// A step result (or failedStep) of a step inside loops also names the
+// iterations: "5.3 #2" ran in the 2nd iteration
+function stepResultLabel(result) {
+  const label = stepPathLabel(result.path ?? [result.index]);
+  return result.iterations ? `${label} #${result.iterations.join(".")}` : label;
+}
+
 function addOrUpdateStep({
   stepIndex,
+  path = [stepIndex],
   total,
   status,
   stepType,
   stepDetail,
   durationMs,
   error,
-  countdown
+  countdown,
+  retry,
+  retries,
+  failureMode,
+  reason,
+  conditionMet,
+  notTaken,
+  iterations,
+  iteration,
+  iterationCount
 }) {
   // update progress bar
   const pct = total > 0 ? Math.round(((stepIndex + 1) / total) * 100) : 0;
@@ -250,27 +671,45 @@ function addOrUpdateStep({
   runSubtitle.textContent = `Step ${stepIndex + 1} of ${total}`;
 
   // update or create step item
-  let li = stepsList.querySelector(`[data-step="${stepIndex}"]`);
+  const key = path.join(".");
+  let li = stepsList.querySelector(`[data-step="${key}"]`);
   if (!li) {
     li = document.createElement("li");
     li.className = "step-item";
-    li.dataset.step = stepIndex;
+    li.dataset.step = key;
+    li.style.setProperty("--depth", path.length - 1);
     stepsList.appendChild(li);
   }
 
-  const icons = { pending: "⏳", running: "🔄", passed: "✅", failed: "❌" };
+  const icons = { pending: "⏳", running: "🔄", passed: "✅", failed: "❌", skipped: "⏭" };
+  const soft = status === StepStatus.FAILED && failureMode === "soft";
+  const outcome =
+    conditionMet != null
+      ? ` → ${conditionMet ? "met" : "not met"}`
+      : iterationCount != null
+        ? ` → ${iterationCount} iteration${iterationCount === 1 ? "" : "s"}`
+        : "";
+  // Steps inside a loop keep one row that follows the current iteration
+  const loopPass = iteration ?? iterations?.at(-1);
   const dur =
-    countdown != null ? `${countdown}s` : durationMs ? `${durationMs}ms` : "";
-
-  const isBreakpoint = state.dynamicBreakpoints.has(stepIndex);
-  li.className = `step-item ${status}`;
+    countdown != null
+      ? `${countdown}s`
+      : retry
+        ? `retry ${retry}…`
+        : durationMs
+          ? `${durationMs}ms${retries ? ` ↻${retries}` : ""}`
+          : "";
+
+  const isBreakpoint = state.dynamicBreakpoints.has(key);
+  li.className = `step-item ${status}${soft ? " soft" : ""}${notTaken ? " not-taken" : ""}${path.length > 1 ? " step-nested" : ""}`;
   li.innerHTML = `
-    <span class="step-num">${stepIndex + 1}</span>
-    <span class="step-icon">${icons[status] ?? "·"}</span>
-    <span class="step-label">${stepType ?? ""}${stepDetail ? `<span class="step-detail"> ${escapeHtml(stepDetail)}</span>` : ""}</span>
-    <span class="step-duration">${dur}</span>
-    <button class="btn-pause-step${isBreakpoint ? " active" : ""}" data-step="${stepIndex}" title="Pause after this step">⏸</button>
+    <span class="step-num">${stepPathLabel(path)}</span>
+    <span class="step-icon"${soft ? ' title="Soft failure — the run continued"' : ""}>${soft ? "⚠️" : (icons[status] ?? "·")}</span>
+    <span class="step-label">${stepType ?? ""}${stepDetail ? `<span class="step-detail"> ${escapeHtml(stepDetail)}${outcome}</span>` : ""}</span>
+    <span class="step-duration">${loopPass ? `<span class="step-iteration" title="Loop iteration">#${loopPass}</span> ` : ""}${dur}</span>
+    <button class="btn-pause-step${isBreakpoint ? " active" : ""}" data-step="${key}" title="Pause after this step">⏸</button>
     ${error ? `<div class="step-error">${escapeHtml(error)}</div>` : ""}
+    ${reason ? `<div class="step-error step-note">${escapeHtml(reason)}</div>` : ""}
   `;
 
   // scroll to running step
@@ -304,8 +743,10 @@ function setMode(mode) {
   }
 
   // disable run buttons while busy
-  btnRunAll.disabled = !isIdle || state.recordings.length === 0;
-  document.querySelectorAll(".btn-run").forEach((b) => (b.disabled = !isIdle));
+  updateRunAllButton();
+  document
+    .querySelectorAll(".btn-run, .btn-run-suite")
+    .forEach((b) => (b.disabled = !isIdle));
 }
 
 function setActiveCard(recordingId) {
@@ -354,19 +795,31 @@ const STEP_ICONS = {
   copyVariable: "📌",
   pasteVariable: "📋",
   wait: "⏱️",
+  waitForNetworkIdle: "📡",
   assertElement: "✔️",
-  assertNotPresent: "🚫"
+  assertNotPresent: "🚫",
+  runRecording: "↪️",
+  if: "🔀",
+  else: "↔️",
+  endIf: "🔚",
+  loop: "🔁",
+  endLoop: "⤴️"
 };
 
-function stepLabel(step) {
-  // Extract the most human-readable selector string available
+// The most human-readable selector string available for a step
+function selectorHintOf(step) {
   const sel = step.selectors?.flat?.().find(Boolean) ?? "";
   const ariaMatch = sel.match(/^aria\/(.+)/);
   const textMatch = sel.match(/^text\/(.+)/);
-  const selectorHint =
+  return (
     ariaMatch?.[1] ??
     textMatch?.[1] ??
-    (sel.replace(/^(xpath|pierce|css)\//, "").slice(0, 30) || "");
+    (sel.replace(/^(xpath|pierce|css)\//, "").slice(0, 30) || "")
+  );
+}
+
+function stepLabel(step) {
+  const selectorHint = selectorHintOf(step);
 
   switch (step.type) {
     case "click":
@@ -383,6 +836,10 @@ function stepLabel(step) {
         sub: `"${String(step.label ?? step.value ?? "").slice(0, 30)}"`
       };
     case "change":
+      // Secret values never reach the panel — show the vault entry's name
+      if (step.secretRef) {
+        return { main: "Type", sub: `🔒 ${step.secretName ?? "secret"}` };
+      }
       return {
         main: "Type",
         sub: `"${String(step.value ?? "").slice(0, 30)}"`
@@ -420,6 +877,11 @@ function stepLabel(step) {
       return { main: `Paste "${step.variableName}"`, sub: selectorHint };
     case "wait":
       return { main: `Wait ${(step.duration / 1000).toFixed(1)}s`, sub: "" };
+    case "waitForNetworkIdle":
+      return {
+        main: "Wait for network idle",
+        sub: step.timeout ? `max ${step.timeout / 1000}s` : ""
+      };
     case "assertElement": {
       const tag = step.elementTag ?? "";
       const inputType = step.elementInputType;
@@ -440,25 +902,42 @@ function stepLabel(step) {
         main: "Assert absent",
         sub: step.title || step.selector || ""
       };
+    case "runRecording":
+      return { main: "Run", sub: `"${step.title ?? step.recordingId}"` };
+    case "if":
+      return { main: "If", sub: describeCondition(step) };
+    case "else":
+      return { main: "Else", sub: "" };
+    case "endIf":
+      return { main: "End if", sub: "" };
+    case "loop":
+      return { main: "Loop", sub: describeLoop(step) };
+    case "endLoop":
+      return { main: "End loop", sub: "" };
     default:
       return { main: step.type, sub: "" };
   }
 }
 
-function appendFeedItem(step) {
+function renderFeedItem(li, step, num) {
   const icon = STEP_ICONS[step.type] ?? "·";
   const { main, sub } = stepLabel(step);
-  const li = document.createElement("li");
   li.className = "record-feed-item";
   li.dataset.type = step.type;
-  const num = recordFeed.children.length + 1;
+  if (step.secretRef) li.dataset.secret = "";
   li.innerHTML = `
     <span class="step-num">${num}</span>
     <span class="record-feed-icon">${icon}</span>
     <span class="record-feed-label">${escapeHtml(main)}</span>
     ${sub ? `<span class="record-feed-sub">${escapeHtml(sub)}</span>` : ""}
+    ${step.type === "change" && !step.secretRef ? `<button class="btn-secret-step" title="Store this value in the secrets vault">🔒</button>` : ""}
     <button class="btn-delete-step" title="Delete action">×</button>
   `;
+}
+
+function appendFeedItem(step) {
+  const li = document.createElement("li");
+  renderFeedItem(li, step, recordFeed.children.length + 1);
   recordFeed.appendChild(li);
   li.scrollIntoView({ block: "nearest" });
 }
@@ -492,57 +971,479 @@ async function toggleHistory(recordingId, historySection, toggleBtn) {
 
   historySection.innerHTML = runs
     .map((run) => {
+      const rowInfo =
+        (run.iteration
+          ? ` · row ${run.iteration.index + 1}/${run.iteration.total}`
+          : "") +
+        (run.environment ? ` · ${escapeHtml(run.environment)}` : "") +
+        (run.networkConditions ? ` · 📶 ${escapeHtml(run.networkConditions)}` : "") +
+        (run.attempt ? ` · attempt ${run.attempt.number}/${run.attempt.total}` : "");
       const failedInfo = run.failedStep
-        ? `<div class="history-failed">Step ${run.failedStep.index + 1} (${run.failedStep.type}): ${escapeHtml(run.failedStep.error ?? "")}</div>`
+        ? `<div class="history-failed">Step ${stepResultLabel(run.failedStep)} (${run.failedStep.type}): ${escapeHtml(run.failedStep.error ?? "")}</div>`
+        : "";
+      const failedShot = run.failedStep?.screenshot
+        ? screenshotHtml(run.runId, run.failedStep.screenshot, `Step ${stepResultLabel(run.failedStep)} when it failed`)
+        : "";
+      const stepShots = (run.stepResults ?? []).filter(
+        (s) => s.screenshot && s.screenshot !== run.failedStep?.screenshot
+      ).length;
+      const stepShotsToggle = stepShots
+        ? `<button class="btn-history-shots" data-run-id="${escapeHtml(run.runId)}">📷 ${stepShots} step screenshot${stepShots === 1 ? "" : "s"}</button>
+          <div class="history-shots hidden"></div>`
+        : "";
+      const pageLog = pageLogHtml(run);
+      const retries = retriesHtml(run);
+      const outcomes = stepOutcomesHtml(run);
+      const network = networkHtml(run);
+      const videoButton = run.screencast
+        ? `<button class="btn-history-video" data-run-id="${escapeHtml(run.runId)}">🎞 Play video (${formatClock(run.screencast.durationMs)})</button>`
         : "";
       return `<div class="history-item">
       <div class="history-item-row">
         <span class="badge ${run.passed ? "badge-pass" : "badge-fail"}">${run.passed ? "✅ PASS" : "❌ FAIL"}</span>
-        <span class="history-meta">${run.completedSteps}/${run.totalSteps} steps · ${timeAgo(run.completedAt)}</span>
+        <span class="history-meta">${run.completedSteps}/${run.totalSteps} steps${rowInfo} · ${timeAgo(run.completedAt)}</span>
       </div>
       ${failedInfo}
+      ${outcomes}
+      ${retries}
+      ${pageLog}
+      ${network}
+      ${failedShot}
+      ${stepShotsToggle}
+      ${videoButton}
     </div>`;
     })
     .join("");
 
+  historyRuns.set(recordingId, runs);
   toggleBtn.textContent = "▲ History";
+  await loadScreenshots(historySection);
+}
+
+// Errors and warnings the page logged during a run, grouped under one summary line
+function pageLogHtml(run) {
+  const entries = (run.stepResults ?? []).flatMap((s) =>
+    (s.console ?? []).map((entry) => ({ ...entry, path: s.path ?? [s.index] }))
+  );
+  if (entries.length === 0) return "";
+  const errors = entries.filter((e) => e.level === "error").length;
+  const warnings = entries.length - errors;
+  const summary = [
+    errors ? `${errors} page error${errors === 1 ? "" : "s"}` : "",
+    warnings ? `${warnings} warning${warnings === 1 ? "" : "s"}` : ""
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const items = entries
+    .map(
+      (e) => `<li class="${e.level === "error" ? "log-error" : ""}" title="${escapeHtml(e.url ? `${e.url}:${e.line ?? ""}` : "")}">
+        Step ${stepPathLabel(e.path)} · ${e.source}: ${escapeHtml(e.text)}</li>`
+    )
+    .join("");
+  return `<details class="history-console"><summary>⚠ ${summary}</summary><ul>${items}</ul></details>`;
+}
+
+// Soft failures the run continued after and optional steps it skipped
+function stepOutcomesHtml(run) {
+  const results = run.stepResults ?? [];
+  const soft = results.filter((s) => s.status === "failed" && s.failureMode === "soft");
+  const skipped = results.filter((s) => s.status === "skipped" && !s.notTaken);
+  if (soft.length === 0 && skipped.length === 0) return "";
+  const summary = [
+    soft.length ? `${soft.length} soft failure${soft.length === 1 ? "" : "s"}` : "",
+    skipped.length ? `${skipped.length} skipped` : ""
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const items = results
+    .filter((s) => soft.includes(s) || skipped.includes(s))
+    .map((s) => {
+      const label = `Step ${stepResultLabel(s)} (${escapeHtml(s.type)})`;
+      return s.status === "skipped"
+        ? `<li>⏭ ${label} skipped: ${escapeHtml(s.reason ?? "")}</li>`
+        : `<li class="log-error">⚠️ ${label}: ${escapeHtml(s.error ?? "")}</li>`;
+    })
+    .join("");
+  return `<details class="history-console history-outcomes"><summary>${soft.length ? "⚠️" : "⏭"} ${summary}</summary><ul>${items}</ul></details>`;
+}
+
+// Step attempts that failed and were retried, and earlier batch attempts of the
+// run, so flakiness stays visible even when the run passed
+function retriesHtml(run) {
+  const steps = (run.stepResults ?? []).filter((s) => s.retries?.length);
+  const attempts = run.previousAttempts ?? [];
+  if (steps.length === 0 && attempts.length === 0) return "";
+  const retryCount = steps.reduce((n, s) => n + s.retries.length, 0);
+  const summary = [
+    retryCount ? `${retryCount} step retr${retryCount === 1 ? "y" : "ies"}` : "",
+    attempts.length ? `${attempts.length} failed earlier attempt${attempts.length === 1 ? "" : "s"}` : ""
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const items = [
+    ...attempts.map(
+      (a, i) => `<li class="log-error">Attempt ${i + 1} · ${timeAgo(a.startedAt)}${
+        a.failedStep ? ` · step ${stepResultLabel(a.failedStep)}: ${escapeHtml(a.failedStep.error ?? "")}` : ""
+      }</li>`
+    ),
+    ...steps.flatMap((s) =>
+      s.retries.map(
+        (r, i) => `<li>Step ${stepResultLabel(s)} · try ${i + 1} (${RETRY_CLASSES[r.errorClass] ?? r.errorClass}): ${escapeHtml(r.error)}</li>`
+      )
+    )
+  ].join("");
+  return `<details class="history-console history-retries"><summary>↻ ${summary}</summary><ul>${items}</ul></details>`;
+}
+
+// Request count of a run with its HAR download, and the failed requests (HTTP
+// 4xx/5xx or not loaded) listed under the step that started them
+function networkHtml(run) {
+  if (!run.network) return "";
+  const { requests, failed, truncated, mocked } = run.network;
+  const summary = `🌐 ${requests}${truncated ? "+" : ""} request${requests === 1 ? "" : "s"}${mocked ? ` · ${mocked} mocked` : ""}${failed ? ` · ${failed} failed` : ""}`;
+  const harButton = `<button class="btn-history-har" data-run-id="${escapeHtml(run.runId)}" title="Download the network log as a HAR file">⬇ HAR</button>`;
+  const failedItems = (run.stepResults ?? [])
+    .filter((s) => s.failedRequests)
+    .flatMap((s) => {
+      const items = s.failedRequests.map(
+        (r) => `<li title="${escapeHtml(r.url)}">Step ${stepResultLabel(s)} · ${escapeHtml(r.method)} ${escapeHtml(shortUrl(r.url))} → ${r.status ? `${r.status} ${escapeHtml(r.statusText ?? "")}` : escapeHtml(r.error ?? "failed")}</li>`
+      );
+      const more = (s.failedRequestCount ?? 0) - s.failedRequests.length;
+      if (more > 0) items.push(`<li>Step ${stepResultLabel(s)} · …and ${more} more (see HAR)</li>`);
+      return items;
+    })
+    .join("");
+  if (!failedItems) return `<div class="history-network">${summary} ${harButton}</div>`;
+  return `<details class="history-network history-network-failed"><summary>${summary}</summary>
+    <ul>${failedItems}</ul>${harButton}</details>`;
+}
+
+function shortUrl(url) {
+  try {
+    const { host, pathname } = new URL(url);
+    return host + pathname;
+  } catch {
+    return url;
+  }
+}
+
+async function downloadHar(run) {
+  const { artifact } =
+    (await send(MSG.GET_ARTIFACT, { runId: run.runId, name: "network" })) ?? {};
+  if (!artifact) {
+    alert("The network log of this run is no longer stored.");
+    return;
+  }
+  const har = buildHar(run, artifact.entries, chrome.runtime.getManifest().version);
+  const stamp = run.startedAt.slice(0, 19).replace(/[:T]/g, "-");
+  downloadFile(`${slugify(run.recordingTitle)}-${stamp}.har`, JSON.stringify(har, null, 2), "application/json");
+}
+
+// ── Run screenshots ────────────────────────────────────────────────────────────
+// Screenshots are stored as run artifacts in the SW and fetched one at a time
+// when a history entry shows them.
+const historyRuns = new Map(); // recordingId → runs last shown in its history
+
+function screenshotHtml(runId, name, caption) {
+  return `<figure class="history-shot">
+    <img data-run-id="${escapeHtml(runId)}" data-name="${escapeHtml(name)}" alt="${escapeHtml(caption)}" title="Click to enlarge" />
+    <figcaption>${escapeHtml(caption)}
+      <a class="history-shot-download hidden" title="Download screenshot">⬇ Download</a></figcaption>
+  </figure>`;
+}
+
+async function loadScreenshots(container) {
+  for (const img of container.querySelectorAll("img[data-name]:not([src])")) {
+    const figure = img.closest(".history-shot");
+    const { artifact } =
+      (await send(MSG.GET_ARTIFACT, {
+        runId: img.dataset.runId,
+        name: img.dataset.name
+      })) ?? {};
+    if (!artifact) {
+      figure.remove(); // trimmed with an old run, or capture failed
+      continue;
+    }
+    const url = `data:${artifact.mimeType};base64,${artifact.data}`;
+    img.src = url;
+    const link = figure.querySelector(".history-shot-download");
+    link.href = url;
+    link.download = `run-${artifact.runId.slice(0, 8)}-${artifact.name}.${artifact.mimeType === "image/png" ? "png" : "jpg"}`;
+    link.classList.remove("hidden");
+  }
+}
+
+recordingsList.addEventListener("click", async (e) => {
+  const videoBtn = e.target.closest(".btn-history-video");
+  if (videoBtn) {
+    const recordingId = videoBtn.closest(".recording-card").dataset.id;
+    const run = historyRuns.get(recordingId)?.find((r) => r.runId === videoBtn.dataset.runId);
+    if (run) await openVideoPlayer(run);
+    return;
+  }
+
+  const harBtn = e.target.closest(".btn-history-har");
+  if (harBtn) {
+    const recordingId = harBtn.closest(".recording-card").dataset.id;
+    const run = historyRuns.get(recordingId)?.find((r) => r.runId === harBtn.dataset.runId);
+    if (run) await downloadHar(run);
+    return;
+  }
+
+  const img = e.target.closest(".history-shot img");
+  if (img) {
+    img.closest(".history-shot").classList.toggle("expanded");
+    return;
+  }
+
+  const btn = e.target.closest(".btn-history-shots");
+  if (!btn) return;
+  const strip = btn.nextElementSibling;
+  if (!strip.classList.contains("hidden")) {
+    strip.classList.add("hidden");
+    return;
+  }
+  const recordingId = btn.closest(".recording-card").dataset.id;
+  const run = historyRuns.get(recordingId)?.find((r) => r.runId === btn.dataset.runId);
+  if (!run) return;
+  strip.innerHTML = run.stepResults
+    .filter((s) => s.screenshot && s.screenshot !== run.failedStep?.screenshot)
+    .map((s) => screenshotHtml(run.runId, s.screenshot, `Step ${stepResultLabel(s)} (${s.type})`))
+    .join("");
+  strip.classList.remove("hidden");
+  await loadScreenshots(strip);
+});
+
+// ── Run video player ───────────────────────────────────────────────────────────
+// Plays the screencast saved with a run (see background/screencast.js). Frames
+// are fetched one at a time as the player reaches them; step marks share the
+// frames' clock, so the current step is the last mark before the frame.
+let videoView = null; // { runId, frames, marks, index, playing, timer }
+
+function formatClock(ms) {
+  const secs = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+}
+
+async function openVideoPlayer(run) {
+  const { artifact } =
+    (await send(MSG.GET_ARTIFACT, { runId: run.runId, name: "screencast" })) ?? {};
+  if (!artifact) {
+    return alert("This run's video is no longer stored — only the newest runs keep theirs.");
+  }
+  closeVideoPlayer();
+  videoView = {
+    runId: run.runId,
+    frames: artifact.frames,
+    marks: artifact.marks.filter((m) => m.status === "running"),
+    index: 0,
+    playing: false,
+    timer: null
+  };
+  const start = artifact.frames[0].t;
+  videoTitle.textContent = `${run.recordingTitle} · ${timeAgo(run.completedAt)}`;
+  videoScrub.max = artifact.frames.length - 1;
+  videoNote.textContent = artifact.truncated
+    ? "The video stops early: the run reached the frame limit."
+    : "";
+  videoNote.classList.toggle("hidden", !artifact.truncated);
+
+  // One entry per step start, with the outcome from its matching end mark
+  videoMarks.innerHTML = videoView.marks
+    .map((mark, i) => {
+      const key = stepPathLabel(mark.path);
+      const end = artifact.marks.find(
+        (m) => m.t >= mark.t && m.status !== "running" && stepPathLabel(m.path) === key
+      );
+      const icon =
+        end?.status === "failed"
+          ? "❌"
+          : end?.status === "passed"
+            ? "✅"
+            : end?.status === "skipped"
+              ? "⏭"
+              : "·";
+      return `<li class="video-mark" data-mark="${i}">
+        <span class="video-mark-time">${formatClock(mark.t - start)}</span>
+        <span>${icon} Step ${key} · ${escapeHtml(mark.stepType)}</span>
+      </li>`;
+    })
+    .join("");
+
+  videoOverlay.classList.remove("hidden");
+  await showVideoFrame(0);
+}
+
+async function showVideoFrame(index) {
+  const view = videoView;
+  if (!view) return;
+  view.index = index;
+  videoScrub.value = index;
+  const frame = view.frames[index];
+  videoTime.textContent = `${formatClock(frame.t - view.frames[0].t)} / ${formatClock(view.frames.at(-1).t - view.frames[0].t)}`;
+
+  let current = -1;
+  view.marks.forEach((m, i) => {
+    if (m.t <= frame.t) current = i;
+  });
+  const mark = view.marks[current];
+  videoStep.textContent = mark ? `Step ${stepPathLabel(mark.path)} · ${mark.stepType}` : "";
+  videoMarks.querySelectorAll(".video-mark").forEach((li) => {
+    li.classList.toggle("current", Number(li.dataset.mark) === current);
+  });
+
+  const { artifact } =
+    (await send(MSG.GET_ARTIFACT, { runId: view.runId, name: frame.name })) ?? {};
+  // Skip stale responses when the user scrubbed on in the meantime
+  if (artifact && videoView === view && view.index === index) {
+    videoFrame.src = `data:${artifact.mimeType};base64,${artifact.data}`;
+  }
+}
+
+function playVideo() {
+  const view = videoView;
+  if (!view) return;
+  if (view.index >= view.frames.length - 1) view.index = 0;
+  view.playing = true;
+  btnVideoPlay.textContent = "⏸ Pause";
+  const tick = async () => {
+    if (videoView !== view || !view.playing) return;
+    await showVideoFrame(view.index);
+    const next = view.frames[view.index + 1];
+    if (!next) return pauseVideo();
+    // Frames only arrive when the page repaints — cap long still gaps
+    const delay = Math.min(1000, next.t - view.frames[view.index].t);
+    view.timer = setTimeout(() => {
+      view.index++;
+      tick();
+    }, delay);
+  };
+  tick();
+}
+
+function pauseVideo() {
+  if (!videoView) return;
+  videoView.playing = false;
+  clearTimeout(videoView.timer);
+  btnVideoPlay.textContent = "▶ Play";
 }
 
+function closeVideoPlayer() {
+  pauseVideo();
+  videoView = null;
+  videoFrame.removeAttribute("src");
+  videoOverlay.classList.add("hidden");
+}
+
+btnVideoPlay.addEventListener("click", () => {
+  if (videoView?.playing) pauseVideo();
+  else playVideo();
+});
+
+videoScrub.addEventListener("input", () => {
+  pauseVideo();
+  showVideoFrame(Number(videoScrub.value));
+});
+
+videoMarks.addEventListener("click", (e) => {
+  const li = e.target.closest(".video-mark");
+  if (!li || !videoView) return;
+  const mark = videoView.marks[Number(li.dataset.mark)];
+  const index = videoView.frames.findIndex((f) => f.t >= mark.t);
+  pauseVideo();
+  showVideoFrame(index < 0 ? videoView.frames.length - 1 : index);
+});
+
+btnVideoClose.addEventListener("click", closeVideoPlayer);
+
 // ── Edit overlay ───────────────────────────────────────────────────────────────
 function openEditOverlay(rec) {
-  editingRecording = { ...rec, steps: [...rec.steps] };
+  editingRecording = {
+    ...rec,
+    steps: [...rec.steps],
+    mockRules: [...(rec.mockRules ?? [])]
+  };
   editTitleInput.value = rec.title;
+  editSuiteInput.value = rec.suite ?? "";
+  editTagsInput.value = (rec.tags ?? []).join(", ");
+  renderEditDataset();
+  editPageErrorsInput.value = (rec.failOnPageErrors ?? []).join("\n");
+  renderEditMocks();
+  renderEditNetwork(rec.networkConditions);
+  editBlockedUrlsInput.value = (rec.blockedUrls ?? []).join("\n");
+  editRetryInfo.textContent = describeRetryPolicy(rec.retry);
+  editBatchRetriesInput.value = rec.batchRetries ?? 0;
   renderEditSteps(editingRecording.steps);
   editOverlay.classList.remove("hidden");
   editTitleInput.focus();
 }
 
+// Tooltip for value inputs that accept {{templates}} (see step-executor/variables.js)
+const TEMPLATE_HINT =
+  "Supports {{variable}}, {{uuid}}, {{timestamp}}, {{today:+3d:YYYY-MM-DD}}, {{randomEmail}} and {{randomInt:1000:9999}}";
+
+// Failure mode toggle of an edit-overlay step; clicking cycles the modes the
+// step allows. Only a mode other than the step's default stays visible.
+function failureModeButton(step, i) {
+  const mode = failureModeOf(step);
+  const labels = { fatal: "fatal", soft: "soft", optional: "opt" };
+  return `<button class="btn-mode-step${step.failureMode ? " active" : ""} mode-${mode}" data-index="${i}"
+    title="${FAILURE_MODES[mode]} (click to change)">${labels[mode]}</button>`;
+}
+
+// Sub-flows retry their own steps; block markers aren't retried
+const NO_RETRY_TYPES = new Set(["runRecording", "else", "endIf", "loop", "endLoop"]);
+
 function renderEditSteps(steps) {
   editStepCountEl.textContent = steps.length;
   editStepsList.innerHTML = "";
+  const depths = blockDepths(steps);
   steps.forEach((step, i) => {
     const icon = STEP_ICONS[step.type] ?? "·";
     const { main, sub } = stepLabel(step);
+    const isMarker = BLOCK_TYPES.has(step.type);
     const li = document.createElement("li");
-    li.className = "edit-step-item";
+    li.className = `edit-step-item${isMarker ? " edit-step-block" : ""}`;
     li.dataset.index = i;
+    li.style.setProperty("--depth", depths[i]);
 
     // For step types with an editable value, render an inline input instead of
     // a static sub-label so the user can update the value directly.
     let editableHtml;
-    if (step.type === "change") {
+    if (step.type === "change" && step.secretRef) {
+      editableHtml = `<span class="edit-step-sub" title="Stored in the secrets vault">${escapeHtml(sub)}</span>`;
+    } else if (step.type === "change") {
       editableHtml = `<input class="edit-step-value" type="text"
-        data-index="${i}" data-field="value"
+        data-index="${i}" data-field="value" title="${TEMPLATE_HINT}"
         value="${escapeHtml(step.value ?? "")}" placeholder="(empty)" />`;
     } else if (step.type === "navigate") {
       editableHtml = `<input class="edit-step-value" type="text"
-        data-index="${i}" data-field="url"
+        data-index="${i}" data-field="url" title="${TEMPLATE_HINT}"
         value="${escapeHtml(step.url ?? "")}" />`;
+    } else if (
+      step.type === "assertElement" &&
+      step.elementInputType !== "checkbox" &&
+      step.elementInputType !== "radio"
+    ) {
+      editableHtml = `<input class="edit-step-value" type="text"
+        data-index="${i}" data-field="expectedValue" title="${TEMPLATE_HINT}"
+        value="${escapeHtml(step.expectedValue ?? "")}" placeholder="(empty)" />`;
     } else if (step.type === "wait") {
       const secs = ((step.duration ?? 0) / 1000).toFixed(1);
       editableHtml = `<input class="edit-step-value edit-step-value--narrow" type="number"
         data-index="${i}" data-field="duration"
         value="${secs}" min="0.1" step="0.1" /><span class="edit-step-unit">s</span>`;
+    } else if (step.type === "waitForNetworkIdle") {
+      const secs = step.timeout ? step.timeout / 1000 : "";
+      editableHtml = `<input class="edit-step-value edit-step-value--narrow" type="number"
+        data-index="${i}" data-field="timeout" title="Give up after (empty = network idle setting)"
+        value="${secs}" min="1" step="1" placeholder="max" /><span class="edit-step-unit">s</span>`;
+    } else if (step.type === "runRecording") {
+      editableHtml = `<button class="edit-step-subflow" data-index="${i}"
+        title="Edit sub-flow inputs and outputs">${escapeHtml(sub)}</button>`;
+    } else if (step.type === "if" || step.type === "loop") {
+      editableHtml = `<button class="edit-step-subflow edit-step-condition" data-index="${i}"
+        title="Edit the ${step.type === "if" ? "condition" : "loop"}">${escapeHtml(sub)}</button>`;
     } else {
       editableHtml = sub
         ? `<span class="edit-step-sub">${escapeHtml(sub)}</span>`
@@ -554,10 +1455,14 @@ function renderEditSteps(steps) {
       <span class="edit-step-icon">${icon}</span>
       <span class="edit-step-label">${escapeHtml(main)}</span>
       ${editableHtml}
+      ${step.type === "change" && !step.secretRef ? `<button class="btn-secret-edit-step" data-index="${i}" title="Move this value into the secrets vault">🔒</button>` : ""}
+      ${isElementStep(step) ? `<button class="btn-selector-step" data-index="${i}" title="Edit the selector, e.g. to use {{loopIndex}} inside a loop">⌖</button>` : ""}
+      ${step.type !== "else" && step.type !== "endIf" && step.type !== "endLoop" ? failureModeButton(step, i) : ""}
+      ${!NO_RETRY_TYPES.has(step.type) ? `<button class="btn-retry-step${step.retry ? " active" : ""}" data-index="${i}" title="Retries: ${escapeHtml(step.retry ? describeRetryPolicy(step.retry) : "test default")}">↻</button>` : ""}
       <button class="btn-debug-step${step.debug ? " active" : ""}" data-index="${i}" title="Pause replay here">⏸</button>
       <button class="btn-insert-from-step" data-index="${i}" title="Insert steps here (keeps following steps)">⏺</button>
       <button class="btn-continue-from-step" data-index="${i}" title="Record from here (removes following steps)">✂</button>
-      <button class="btn-delete-edit-step" title="Delete step">×</button>
+      <button class="btn-delete-edit-step" title="${isMarker ? `Remove the ${step.type === "loop" || step.type === "endLoop" ? "loop" : "condition"} (keeps its steps)` : "Delete step"}">×</button>
     `;
     editStepsList.appendChild(li);
   });
@@ -577,9 +1482,24 @@ recordFeed.addEventListener("click", async (e) => {
   renumberFeed();
 });
 
+// Turn a typed value into a secret: the SW keeps it out of the step and stores
+// it in the vault when the recording is saved
+recordFeed.addEventListener("click", async (e) => {
+  const btn = e.target.closest(".btn-secret-step");
+  if (!btn) return;
+  const li = btn.closest(".record-feed-item");
+  const index = Array.from(recordFeed.children).indexOf(li);
+  if (index < 0) return;
+  const secretName = prompt("Name for this secret:", "password")?.trim();
+  if (!secretName) return;
+  const res = await send(MSG.MARK_STEP_SECRET, { index, secretName });
+  if (res?.ok) renderFeedItem(li, res.step, index + 1);
+});
+
 recordFeed.addEventListener("dblclick", (e) => {
   const li = e.target.closest(".record-feed-item");
   if (!li || li.dataset.type !== "change") return;
+  if ("secret" in li.dataset) return; // secret values can't be shown or edited here
   if (li.querySelector(".record-feed-edit")) return; // already editing
 
   const index = Array.from(recordFeed.children).indexOf(li);
@@ -663,7 +1583,12 @@ btnDialogSave.addEventListener("click", async () => {
     return;
   }
   nameOverlay.classList.add("hidden");
-  await send(MSG.STOP_RECORDING, { name });
+  let res = await send(MSG.STOP_RECORDING, { name });
+  // Typed secrets are stored on save, which needs the vault unlocked
+  if (res?.vaultLocked && (await ensureVaultUnlocked(res.error))) {
+    res = await send(MSG.STOP_RECORDING, { name });
+  }
+  if (res?.vaultLocked) return; // still recording — Save again after unlocking
   setMode(RecordingState.IDLE);
   await loadRecordings();
 });
@@ -683,27 +1608,31 @@ function showNameDialog() {
   dialogNameInput.focus();
 }
 
-// Run All
-btnRunAll.addEventListener("click", async () => {
-  const tabId = await getActiveTabId();
-  if (!tabId) return alert("No active tab found.");
+// Run All — runs the recordings matching the current suite/tag filter
+async function runBatch(filter) {
+  const tabId = await getRunTabId();
+  if (tabId === undefined) return;
+  const usesSecrets = state.recordings.some(
+    (r) => matchesFilter(r, filter) && usesSecretSteps(r)
+  );
+  if (
+    usesSecrets &&
+    !(await ensureVaultUnlocked("Some of these tests use stored secrets — unlock the vault to run them."))
+  ) {
+    return;
+  }
   batchResults.innerHTML = "";
   batchSummary.textContent = "";
   batchSection.classList.add("hidden");
-  await send(MSG.RUN_ALL, { tabId, stepDelay: stepDelay || undefined });
-});
+  await send(MSG.RUN_ALL, { tabId, stepDelay: stepDelay || undefined, filter });
+}
 
-// Reset — aborts any active run, then clears all stuck state in the service worker
-btnNavA.addEventListener("click", () => {
-  chrome.tabs.update({
-    url: "https://appriserisksolutions--appriseuat.sandbox.lightning.force.com/lightning/n/Quality_Review"
-  });
-});
+btnRunAll.addEventListener("click", () => runBatch(state.filter));
 
-btnNavV.addEventListener("click", () => {
-  chrome.tabs.update({
-    url: "https://vxtest.valex.com.au/valfirm/job-order-new.php"
-  });
+// Reset — aborts any active run, then clears all stuck state in the service worker
+envLinks.addEventListener("click", (e) => {
+  const badge = e.target.closest(".hm-badge");
+  if (badge) chrome.tabs.update({ url: badge.dataset.url });
 });
 
 btnBack.addEventListener("click", async () => {
@@ -738,29 +1667,50 @@ btnAbort.addEventListener("click", () => {
 stepsList.addEventListener("click", (e) => {
   const btn = e.target.closest(".btn-pause-step");
   if (!btn) return;
-  const stepIndex = Number(btn.dataset.step);
-  if (state.dynamicBreakpoints.has(stepIndex)) {
-    state.dynamicBreakpoints.delete(stepIndex);
+  const stepKey = btn.dataset.step;
+  if (state.dynamicBreakpoints.has(stepKey)) {
+    state.dynamicBreakpoints.delete(stepKey);
     btn.classList.remove("active");
   } else {
-    state.dynamicBreakpoints.add(stepIndex);
+    state.dynamicBreakpoints.add(stepKey);
     btn.classList.add("active");
-    send(MSG.SET_DYNAMIC_BREAKPOINT, { stepIndex });
+    send(MSG.SET_DYNAMIC_BREAKPOINT, { stepKey });
   }
 });
 
 // Delegated click on recording list (run / delete / edit / history)
 recordingsList.addEventListener("click", async (e) => {
+  const suiteHeader = e.target.closest(".suite-header");
+  if (suiteHeader) {
+    const { suite } = suiteHeader.dataset;
+    if (e.target.closest(".btn-run-suite")) {
+      // Run the whole suite, still narrowed by any active tag filter
+      return runBatch({ suite, tags: state.filter.tags });
+    }
+    if (state.collapsedSuites.has(suite)) state.collapsedSuites.delete(suite);
+    else state.collapsedSuites.add(suite);
+    localStorage.setItem("collapsedSuites", JSON.stringify([...state.collapsedSuites]));
+    return renderRecordings(state.recordings);
+  }
+
   const runBtn = e.target.closest(".btn-run");
   const deleteBtn = e.target.closest(".btn-delete");
   const editBtn = e.target.closest(".btn-edit");
   const histBtn = e.target.closest(".btn-history");
+  const exportBtn = e.target.closest(".btn-export");
+  const revisionsBtn = e.target.closest(".btn-revisions");
 
   if (runBtn) {
-    const tabId = await getActiveTabId();
-    if (!tabId) return alert("No active tab found.");
+    const tabId = await getRunTabId();
+    if (tabId === undefined) return;
     const rec = state.recordings.find((r) => r.id === runBtn.dataset.id);
     if (!rec) return;
+    if (
+      usesSecretSteps(rec) &&
+      !(await ensureVaultUnlocked("This test uses stored secrets — unlock the vault to run it."))
+    ) {
+      return;
+    }
     stepsList.innerHTML = "";
     showRunSection(rec.title);
     setActiveCard(rec.id);
@@ -787,6 +1737,16 @@ recordingsList.addEventListener("click", async (e) => {
     const historySection = card.querySelector(".history-section");
     await toggleHistory(histBtn.dataset.id, historySection, histBtn);
   }
+
+  if (exportBtn) {
+    const rec = state.recordings.find((r) => r.id === exportBtn.dataset.id);
+    if (rec) openExportDialog([rec], slugify(rec.title));
+  }
+
+  if (revisionsBtn) {
+    const rec = state.recordings.find((r) => r.id === revisionsBtn.dataset.id);
+    if (rec) await openRevisionsDialog(rec);
+  }
 });
 
 // ── Incoming messages from service worker ──────────────────────────────────────
@@ -811,17 +1771,23 @@ chrome.runtime.onMessage.addListener((msg) => {
 
     case MSG.RUN_COMPLETE: {
       debugPanel.classList.add("hidden");
-      const { passed, failedStep } = payload;
+      const { passed, failedStep, iteration, attempt } = payload;
       progressBar.style.width = "100%";
       runTitle.textContent = passed ? "✅ Test passed" : "❌ Test failed";
+      if (attempt) runTitle.textContent += ` (attempt ${attempt.number} of ${attempt.total})`;
+      if (iteration) {
+        runTitle.textContent = `${passed ? "✅" : "❌"} Row ${iteration.index + 1} of ${iteration.total} ${passed ? "passed" : "failed"}`;
+      }
       if (!passed && failedStep) {
-        runSubtitle.textContent = `Step ${failedStep.index + 1} (${failedStep.type}): ${failedStep.error ?? ""}`;
+        runSubtitle.textContent = `Step ${stepResultLabel(failedStep)} (${failedStep.type}): ${failedStep.error ?? ""}`;
       }
+      // A dataset run goes on with the next row; DATASET_COMPLETE ends it.
+      if (iteration) break;
       // Stay in the run view so the user can review all steps.
       // Just re-enable buttons without resetting the layout.
       state.mode = RecordingState.IDLE;
       btnAbort.disabled = true;
-      btnRunAll.disabled = state.recordings.length === 0;
+      updateRunAllButton();
       document
         .querySelectorAll(".btn-run")
         .forEach((b) => (b.disabled = false));
@@ -831,31 +1797,63 @@ chrome.runtime.onMessage.addListener((msg) => {
 
     case MSG.BATCH_PROGRESS: {
       const { current, total, recordingId, recordingTitle } = payload;
+      state.batchRunning = true;
       showRunSection(recordingTitle);
       runSubtitle.textContent = `Test ${current} of ${total}`;
       setActiveCard(recordingId ?? null);
       break;
     }
 
+    case MSG.ITERATION_PROGRESS: {
+      const { current, total, recordingId, recordingTitle } = payload;
+      showRunSection(recordingTitle);
+      runTitle.textContent += ` — row ${current} of ${total}`;
+      setActiveCard(recordingId ?? null);
+      break;
+    }
+
+    case MSG.DATASET_COMPLETE:
+      // Inside a batch the row counts are reported with BATCH_COMPLETE instead
+      if (state.batchRunning) break;
+      renderDatasetSummary(payload);
+      state.mode = RecordingState.IDLE;
+      btnAbort.disabled = true;
+      updateRunAllButton();
+      document
+        .querySelectorAll(".btn-run")
+        .forEach((b) => (b.disabled = false));
+      loadRecordings();
+      break;
+
     case MSG.BATCH_COMPLETE: {
-      const { results } = payload;
+      const { results, suites = [] } = payload;
+      state.batchRunning = false;
+      batchHeading.textContent = "Batch results";
       const passed = results.filter((r) => r.passed).length;
       batchSummary.textContent = `${passed} of ${results.length} tests passed`;
-      batchResults.innerHTML = results
-        .map(
-          (r) =>
-            `<li class="batch-item">
+      const renderItem = (r) =>
+        `<li class="batch-item">
           <span>${r.passed ? "✅" : "❌"}</span>
           <span>${escapeHtml(r.title)}</span>
-        </li>`
-        )
-        .join("");
+          ${r.rowsTotal ? `<span class="history-meta">${r.rowsPassed}/${r.rowsTotal} rows</span>` : ""}
+          ${r.attempts ? `<span class="history-meta" title="Re-run after failing">${r.passed ? `⚠ flaky — passed on attempt ${r.attempts}` : `failed ${r.attempts} attempts`}</span>` : ""}
+        </li>`;
+      // Group by suite only when the batch actually spans named suites
+      batchResults.innerHTML = suites.some((g) => g.suite)
+        ? suites
+            .map(
+              (g) =>
+                `<li class="batch-suite">📁 ${escapeHtml(g.suite || NO_SUITE_LABEL)} — ${g.passed}/${g.total} passed</li>` +
+                g.results.map(renderItem).join("")
+            )
+            .join("")
+        : results.map(renderItem).join("");
       batchSection.classList.remove("hidden");
       runSection.classList.add("hidden");
       // Stay in the run view; just re-enable buttons without resetting the layout.
       state.mode = RecordingState.IDLE;
       btnAbort.disabled = true;
-      btnRunAll.disabled = state.recordings.length === 0;
+      updateRunAllButton();
       document
         .querySelectorAll(".btn-run")
         .forEach((b) => (b.disabled = false));
@@ -919,8 +1917,8 @@ chrome.runtime.onMessage.addListener((msg) => {
     }
 
     case MSG.DEBUG_PAUSE: {
-      const { stepIndex, total, stepType } = payload;
-      debugPanelText.textContent = `Paused after step ${stepIndex + 1} of ${total} (${stepType})`;
+      const { stepIndex, path = [stepIndex], total, stepType } = payload;
+      debugPanelText.textContent = `Paused after step ${stepPathLabel(path)} of ${total} (${stepType})`;
       debugPanel.classList.remove("hidden");
       break;
     }
@@ -1217,43 +2215,814 @@ assertHtmlInput.addEventListener("keydown", (e) => {
   if (e.key === "Escape") btnAssertCancel.click();
 });
 
-// ── Edit overlay event listeners ───────────────────────────────────────────────
+// ── Export dialog ──────────────────────────────────────────────────────────────
+
+// Export formats offered in the export dialog. `multi` marks formats that can hold
+// more than one recording; the others are only offered when exporting a single test.
+const EXPORT_FORMATS = {
+  json: {
+    label: "Test Recorder JSON",
+    multi: true,
+    extension: "json",
+    mime: "application/json",
+    build: (recordings) => serializeRecordings(recordings)
+  },
+  devtools: {
+    label: "Chrome DevTools Recorder JSON",
+    multi: false,
+    extension: "devtools.json",
+    mime: "application/json",
+    build: ([rec]) => JSON.stringify(toDevToolsRecording(rec), null, 2)
+  },
+  side: {
+    label: "Selenium IDE project (.side)",
+    multi: true,
+    extension: "side",
+    mime: "application/json",
+    build: (recordings) =>
+      JSON.stringify(
+        toSideProject(
+          recordings,
+          recordings.length === 1 ? recordings[0].title : "Test Recorder export"
+        ),
+        null,
+        2
+      )
+  },
+  puppeteer: {
+    label: "Puppeteer script",
+    multi: false,
+    extension: "puppeteer.mjs",
+    mime: "text/javascript",
+    build: ([rec]) => generatePuppeteerScript(rec)
+  },
+  playwright: {
+    label: "Playwright test",
+    multi: false,
+    extension: "spec.js",
+    mime: "text/javascript",
+    build: ([rec]) => generatePlaywrightScript(rec)
+  }
+};
 
-// Delete a step from the local copy while editing
-editStepsList.addEventListener("click", (e) => {
-  const btn = e.target.closest(".btn-delete-edit-step");
-  if (!btn || !editingRecording) return;
-  const li = btn.closest(".edit-step-item");
-  const idx = Number(li.dataset.index);
-  editingRecording.steps.splice(idx, 1);
-  renderEditSteps(editingRecording.steps);
-});
+let exportSelection = null; // { recordings, baseName } — set while the export dialog is open
+
+function openExportDialog(recordings, baseName) {
+  exportSelection = { recordings, baseName };
+  exportTitle.textContent =
+    recordings.length === 1
+      ? `Export "${recordings[0].title}"`
+      : `Export ${recordings.length} tests`;
+  exportFormatSelect.innerHTML = Object.entries(EXPORT_FORMATS)
+    .filter(([, f]) => f.multi || recordings.length === 1)
+    .map(([key, f]) => `<option value="${key}">${escapeHtml(f.label)}</option>`)
+    .join("");
+  const lastFormat = localStorage.getItem("exportFormat");
+  if (lastFormat && exportFormatSelect.querySelector(`option[value="${lastFormat}"]`)) {
+    exportFormatSelect.value = lastFormat;
+  }
+  renderExportPreview();
+  exportOverlay.classList.remove("hidden");
+}
 
-// Insert steps after a specific step (keeps the following steps)
-editStepsList.addEventListener("click", async (e) => {
-  const btn = e.target.closest(".btn-insert-from-step");
-  if (!btn || !editingRecording) return;
-  const idx = Number(btn.dataset.index);
-  const steps = editingRecording.steps.slice(0, idx + 1);
-  const remainingSteps = editingRecording.steps.slice(idx + 1);
+// Builds the file for the selected format. Returns { content, filename, mime } or
+// null with the error shown in the preview box when the conversion fails.
+function buildExport() {
+  const format = EXPORT_FORMATS[exportFormatSelect.value];
+  if (!format || !exportSelection) return null;
+  try {
+    return {
+      content: format.build(exportSelection.recordings),
+      filename: `${exportSelection.baseName}.${format.extension}`,
+      mime: format.mime
+    };
+  } catch (err) {
+    exportPreview.value = `Export failed: ${err.message}`;
+    return null;
+  }
+}
 
-  const tabId = await getActiveTabId();
-  if (!tabId) return alert("No active tab found.");
+function renderExportPreview() {
+  const file = buildExport();
+  if (file) exportPreview.value = file.content;
+  btnExportDownload.disabled = !file;
+  btnExportCopy.disabled = !file;
+}
 
-  editOverlay.classList.add("hidden");
-  editingRecording = null;
+function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoke after the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-  recordFeed.innerHTML = "";
-  state.recordingStepCount = steps.length;
-  stepCountEl.textContent = steps.length;
-  setMode(RecordingState.RECORDING);
-  steps.forEach((step) => appendFeedItem(step));
+exportFormatSelect.addEventListener("change", () => {
+  localStorage.setItem("exportFormat", exportFormatSelect.value);
+  renderExportPreview();
+});
 
-  await send(MSG.CONTINUE_RECORDING, { tabId, steps, remainingSteps });
+btnExportDownload.addEventListener("click", () => {
+  const file = buildExport();
+  if (file) downloadFile(file.filename, file.content, file.mime);
 });
 
-// Continue recording from a specific step (removes following steps)
-editStepsList.addEventListener("click", async (e) => {
+btnExportCopy.addEventListener("click", async () => {
+  const file = buildExport();
+  if (!file) return;
+  await navigator.clipboard.writeText(file.content);
+  btnExportCopy.textContent = "Copied ✓";
+  setTimeout(() => (btnExportCopy.textContent = "Copy"), 1200);
+});
+
+btnExportCancel.addEventListener("click", () => {
+  exportOverlay.classList.add("hidden");
+  exportSelection = null;
+});
+
+// ── Revisions dialog ───────────────────────────────────────────────────────────
+
+let revisionsView = null; // { recording, revisions } — set while the dialog is open
+
+const REVISION_REASONS = {
+  initial: "before history",
+  recorded: "recorded",
+  edited: "edited",
+  imported: "imported",
+  restored: "restored"
+};
+
+function revisionOptionLabel(r) {
+  const reason =
+    r.reason === "restored" && r.restoredFrom != null
+      ? `restored r${r.restoredFrom}`
+      : (REVISION_REASONS[r.reason] ?? r.reason);
+  const savedAt = new Date(r.savedAt).toLocaleString("en", {
+    day: "2-digit",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+  return `r${r.rev} · ${savedAt} · ${reason} · ${r.steps.length} steps`;
+}
+
+async function openRevisionsDialog(rec) {
+  const [{ revisions = [] }, { settings }] = await Promise.all([
+    send(MSG.GET_REVISIONS, { recordingId: rec.id }),
+    send(MSG.GET_SETTINGS)
+  ]);
+  revisionsView = { recording: rec, revisions };
+  revisionsTitle.textContent = `Revisions of "${rec.title}"`;
+  revisionLimitInput.value = settings.revisionLimit;
+
+  const options = revisions
+    .map((r) => `<option value="${r.rev}">${escapeHtml(revisionOptionLabel(r))}</option>`)
+    .join("");
+  revisionFromSelect.innerHTML = options;
+  revisionToSelect.innerHTML = options;
+  // Default: previous revision → current one
+  revisionToSelect.value = String(revisions[0]?.rev ?? "");
+  revisionFromSelect.value = String((revisions[1] ?? revisions[0])?.rev ?? "");
+  renderRevisionDiff();
+  revisionsOverlay.classList.remove("hidden");
+}
+
+function selectedRevision(select) {
+  return revisionsView?.revisions.find((r) => String(r.rev) === select.value) ?? null;
+}
+
+function renderRevisionDiff() {
+  const from = selectedRevision(revisionFromSelect);
+  const to = selectedRevision(revisionToSelect);
+  revisionDiffList.innerHTML = "";
+  btnRevisionRestore.disabled = !from || from.rev === revisionsView.revisions[0]?.rev;
+  btnRevisionRestore.textContent = from ? `Restore r${from.rev}` : "Restore";
+  if (!from || !to) {
+    revisionDiffSummary.textContent = "No revisions saved yet — they are created on every save.";
+    return;
+  }
+
+  const entries = diffSteps(from.steps, to.steps);
+  const count = (kind) => entries.filter((e) => e.kind === kind).length;
+  const meta = diffRevisionMeta(from, to).map(
+    (m) => `${m.field}: "${[].concat(m.before ?? "").join(", ")}" → "${[].concat(m.after ?? "").join(", ")}"`
+  );
+  revisionDiffSummary.textContent = [
+    `+${count("added")} added · −${count("removed")} removed · ~${count("changed")} changed`,
+    ...meta
+  ].join(" · ");
+
+  revisionDiffList.innerHTML = entries
+    .map((e) => {
+      const step = e.after ?? e.before;
+      const { main, sub } = stepLabel(step);
+      const num =
+        e.kind === "removed"
+          ? `−${e.beforeIndex + 1}`
+          : e.kind === "changed" && e.beforeIndex !== e.afterIndex
+            ? `${e.beforeIndex + 1}→${e.afterIndex + 1}`
+            : `${e.afterIndex + 1}`;
+      const fields = e.fields?.length
+        ? `<span class="diff-fields">(${escapeHtml(e.fields.join(", "))})</span>`
+        : "";
+      return `<li class="revision-diff-item diff-${e.kind}">
+        <span class="diff-num">${num}</span>
+        <span>${STEP_ICONS[step.type] ?? "·"} ${escapeHtml(main)}${sub ? ` <span class="step-detail">${escapeHtml(sub)}</span>` : ""}</span>
+        ${fields}
+      </li>`;
+    })
+    .join("");
+}
+
+revisionFromSelect.addEventListener("change", renderRevisionDiff);
+revisionToSelect.addEventListener("change", renderRevisionDiff);
+
+revisionLimitInput.addEventListener("change", async () => {
+  const limit = Math.max(1, Math.min(200, parseInt(revisionLimitInput.value, 10) || 1));
+  revisionLimitInput.value = limit;
+  await send(MSG.SAVE_SETTINGS, { revisionLimit: limit });
+  if (revisionsView) await openRevisionsDialog(revisionsView.recording);
+});
+
+btnRevisionRestore.addEventListener("click", async () => {
+  const from = selectedRevision(revisionFromSelect);
+  if (!from || !revisionsView) return;
+  if (!confirm(`Restore revision r${from.rev}? The current version stays in the history.`)) return;
+  const res = await send(MSG.RESTORE_REVISION, {
+    recordingId: revisionsView.recording.id,
+    rev: from.rev
+  });
+  if (!res?.ok) return alert(`Restore failed: ${res?.error ?? "unknown error"}`);
+  await loadRecordings();
+  await openRevisionsDialog(res.recording);
+});
+
+btnRevisionsClose.addEventListener("click", () => {
+  revisionsOverlay.classList.add("hidden");
+  revisionsView = null;
+});
+
+// ── Datasets ───────────────────────────────────────────────────────────────────
+function renderEditDataset() {
+  const { dataset } = editingRecording;
+  editDatasetInfo.textContent = dataset
+    ? `${dataset.name} — ${dataset.rows.length} rows (${dataset.columns.join(", ")})`
+    : "None";
+  btnDatasetRemove.classList.toggle("hidden", !dataset);
+}
+
+btnDatasetAttach.addEventListener("click", () => {
+  datasetFileInput.value = "";
+  datasetFileInput.click();
+});
+
+datasetFileInput.addEventListener("change", async () => {
+  const file = datasetFileInput.files?.[0];
+  if (!file || !editingRecording) return;
+  try {
+    editingRecording.dataset = parseDataset(await file.text(), file.name);
+  } catch (err) {
+    alert(`Could not use "${file.name}" as a dataset:\n${err.message}`);
+    return;
+  }
+  renderEditDataset();
+});
+
+btnDatasetRemove.addEventListener("click", () => {
+  if (!editingRecording) return;
+  editingRecording.dataset = null;
+  renderEditDataset();
+});
+
+// One table row per dataset row: status, the row's values and the failure.
+function renderDatasetSummary({ recordingTitle, rows, totalRows }) {
+  const columns = [...new Set(rows.flatMap((r) => Object.keys(r.values)))];
+  const passed = rows.filter((r) => r.passed).length;
+  const skipped = totalRows - rows.length;
+  batchHeading.textContent = `Dataset results — ${recordingTitle}`;
+  batchSummary.textContent =
+    `${passed} of ${totalRows} rows passed` +
+    (skipped > 0 ? ` (${skipped} not run)` : "");
+  const header = ["#", "", ...columns, "Failure"]
+    .map((c) => `<th>${escapeHtml(c)}</th>`)
+    .join("");
+  const body = rows
+    .map((r) => {
+      const failure = r.failedStep
+        ? `Step ${stepResultLabel(r.failedStep)} (${r.failedStep.type}): ${r.failedStep.error ?? ""}`
+        : "";
+      return `<tr class="${r.passed ? "row-passed" : "row-failed"}">
+        <td>${r.index + 1}</td>
+        <td>${r.passed ? "✅" : "❌"}</td>
+        ${columns.map((c) => `<td>${escapeHtml(r.values[c] ?? "")}</td>`).join("")}
+        <td class="row-error">${escapeHtml(failure)}</td>
+      </tr>`;
+    })
+    .join("");
+  batchResults.innerHTML = `<li class="dataset-table-wrap">
+    <table class="dataset-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>
+  </li>`;
+  batchSection.classList.remove("hidden");
+}
+
+// ── Sub-flow dialog ────────────────────────────────────────────────────────────
+// Adds or edits a runRecording step in the recording being edited. Inputs and
+// outputs are edited as "name=value" lines.
+let editingSubflowIndex = null; // index of the step being edited, null when adding
+
+function formatAssignments(map = {}) {
+  return Object.entries(map)
+    .map(([name, value]) => `${name}=${value}`)
+    .join("\n");
+}
+
+// Returns { map } or { error } for the first malformed line.
+function parseAssignments(text, label) {
+  const map = {};
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    const eq = line.indexOf("=");
+    const name = line.slice(0, eq).trim();
+    if (eq < 0 || !/^\w+$/.test(name)) {
+      return { error: `${label}: "${line.trim()}" is not name=value` };
+    }
+    map[name] = line.slice(eq + 1).trim();
+  }
+  return { map };
+}
+
+function openSubflowDialog(index = null) {
+  const step = index != null ? editingRecording.steps[index] : null;
+  const candidates = state.recordings.filter(
+    (r) => r.id !== editingRecording.id
+  );
+  if (candidates.length === 0 && !step) {
+    alert("Save another test first — a sub-flow runs one of your other tests.");
+    return;
+  }
+  editingSubflowIndex = index;
+  subflowRecordingSelect.innerHTML = candidates
+    .map(
+      (r) => `<option value="${escapeHtml(r.id)}">${escapeHtml(r.title)}</option>`
+    )
+    .join("");
+  if (step) {
+    // Keep the option even if the called test no longer exists
+    if (!candidates.some((r) => r.id === step.recordingId)) {
+      subflowRecordingSelect.insertAdjacentHTML(
+        "afterbegin",
+        `<option value="${escapeHtml(step.recordingId)}">${escapeHtml(step.title ?? step.recordingId)} (missing)</option>`
+      );
+    }
+    subflowRecordingSelect.value = step.recordingId;
+  }
+  subflowHeading.textContent = step ? "Edit sub-flow" : "Add sub-flow";
+  btnSubflowSave.textContent = step ? "Save" : "Add";
+  subflowPositionRow.classList.toggle("hidden", !!step);
+  subflowPositionInput.max = editingRecording.steps.length;
+  subflowPositionInput.value = editingRecording.steps.length;
+  subflowInputsInput.value = formatAssignments(step?.inputs);
+  subflowOutputsInput.value = formatAssignments(step?.outputs);
+  subflowOverlay.classList.remove("hidden");
+  subflowRecordingSelect.focus();
+}
+
+btnEditAddSubflow.addEventListener("click", () => {
+  if (editingRecording) openSubflowDialog();
+});
+
+editStepsList.addEventListener("click", (e) => {
+  const btn = e.target.closest(".edit-step-subflow");
+  if (!btn || !editingRecording) return;
+  openSubflowDialog(Number(btn.dataset.index));
+});
+
+btnSubflowSave.addEventListener("click", () => {
+  if (!editingRecording) return;
+  const recordingId = subflowRecordingSelect.value;
+  if (!recordingId) return;
+  const inputs = parseAssignments(subflowInputsInput.value, "Inputs");
+  const outputs = parseAssignments(subflowOutputsInput.value, "Outputs");
+  const error = inputs.error ?? outputs.error;
+  if (error) return alert(error);
+
+  const callee = state.recordings.find((r) => r.id === recordingId);
+  const previous =
+    editingSubflowIndex != null
+      ? editingRecording.steps[editingSubflowIndex]
+      : null;
+  const step = {
+    ...previous,
+    type: "runRecording",
+    recordingId,
+    title: callee?.title ?? previous?.title ?? recordingId,
+    inputs: inputs.map,
+    outputs: outputs.map
+  };
+
+  if (previous) {
+    editingRecording.steps[editingSubflowIndex] = step;
+  } else {
+    const after = Math.min(
+      Math.max(0, Math.floor(Number(subflowPositionInput.value) || 0)),
+      editingRecording.steps.length
+    );
+    editingRecording.steps.splice(after, 0, step);
+  }
+  renderEditSteps(editingRecording.steps);
+  subflowOverlay.classList.add("hidden");
+  editingSubflowIndex = null;
+});
+
+btnSubflowCancel.addEventListener("click", () => {
+  subflowOverlay.classList.add("hidden");
+  editingSubflowIndex = null;
+});
+
+// ── Condition dialog ───────────────────────────────────────────────────────────
+// Wraps a range of steps in an if block (see shared/conditions.js), optionally
+// with the steps right after it as the else branch, or in a loop (see
+// shared/loops.js); or edits an existing if or loop step. A repeat-until loop
+// uses the condition fields.
+const conditionOverlay = $("condition-overlay");
+const conditionHeading = $("condition-heading");
+const conditionLoopSelect = $("condition-loop");
+const conditionCountInput = $("condition-count");
+const conditionKindSelect = $("condition-kind");
+const conditionSelectorsInput = $("condition-selectors");
+const conditionTimeoutInput = $("condition-timeout");
+const conditionPatternInput = $("condition-pattern");
+const conditionVariableInput = $("condition-variable");
+const conditionValueInput = $("condition-value");
+const conditionTextInput = $("condition-text");
+const conditionIndexVariableInput = $("condition-index-variable");
+const conditionTextVariableInput = $("condition-text-variable");
+const conditionMaxInput = $("condition-max");
+const conditionFromInput = $("condition-from");
+const conditionToInput = $("condition-to");
+const conditionElseToInput = $("condition-else-to");
+const btnConditionSave = $("btn-condition-save");
+let editingConditionIndex = null; // index of the if/loop step being edited, null when adding
+let conditionBlock = "if"; // the block the dialog adds or edits: "if" | "loop"
+
+conditionKindSelect.innerHTML = Object.entries(CONDITIONS)
+  .map(([kind, label]) => `<option value="${kind}">${label}</option>`)
+  .join("");
+conditionLoopSelect.innerHTML = Object.entries(LOOPS)
+  .map(([kind, label]) => `<option value="${kind}">${label}</option>`)
+  .join("");
+
+// Shows the fields the selected block and condition use
+function showConditionFields() {
+  const isLoop = conditionBlock === "loop";
+  const loop = conditionLoopSelect.value;
+  const hasCondition = !isLoop || loop === "until";
+  const kind = conditionKindSelect.value;
+  const elementCondition = hasCondition && (kind === "elementPresent" || kind === "textContains");
+  const rows = {
+    "condition-loop-row": isLoop,
+    "condition-count-row": isLoop && loop === "repeat",
+    "condition-kind-row": hasCondition,
+    "condition-selectors-row": elementCondition || (isLoop && loop === "forEach"),
+    "condition-timeout-row": elementCondition,
+    "condition-pattern-row": hasCondition && kind === "urlMatches",
+    "condition-variable-row": hasCondition && kind === "variableEquals",
+    "condition-text-row": hasCondition && kind === "textContains",
+    "condition-loop-options-row": isLoop,
+    "condition-text-variable-col": loop === "forEach",
+    "condition-max-col": loop !== "repeat",
+    "condition-else-col": !isLoop
+  };
+  for (const [id, visible] of Object.entries(rows)) {
+    $(id).classList.toggle("hidden", !visible);
+  }
+  $("condition-kind-label").textContent = isLoop ? "Until" : "Run only if";
+}
+
+// `block` is "if" or "loop" when adding; an edited step brings its own
+function openConditionDialog(index = null, block = "if") {
+  const step = index != null ? editingRecording.steps[index] : null;
+  editingConditionIndex = index;
+  conditionBlock = step?.type ?? block;
+  const noun = conditionBlock === "loop" ? "loop" : "condition";
+  conditionHeading.textContent = step ? `Edit ${noun}` : `Add ${noun}`;
+  btnConditionSave.textContent = step ? "Save" : "Add";
+  conditionLoopSelect.value = step?.loop ?? "repeat";
+  conditionCountInput.value = step?.count ?? 2;
+  conditionKindSelect.value = step?.condition ?? "elementPresent";
+  conditionSelectorsInput.value = (step?.selectors ?? [])
+    .map((group) => (Array.isArray(group) ? group[0] : group))
+    .join("\n");
+  conditionTimeoutInput.value = (step?.timeout ?? CONDITION_TIMEOUT_MS) / 1000;
+  conditionPatternInput.value = step?.pattern ?? "";
+  conditionVariableInput.value = step?.variableName ?? "";
+  conditionValueInput.value = step?.value ?? "";
+  conditionTextInput.value = step?.text ?? "";
+  conditionIndexVariableInput.value = step?.indexVariable ?? "";
+  conditionTextVariableInput.value = step?.textVariable ?? "";
+  conditionMaxInput.value = step?.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+  const count = editingRecording.steps.length;
+  conditionFromInput.max = conditionToInput.max = conditionElseToInput.max = count;
+  conditionFromInput.value = 1;
+  conditionToInput.value = count;
+  conditionElseToInput.value = "";
+  $("condition-range-row").classList.toggle("hidden", !!step);
+  showConditionFields();
+  conditionOverlay.classList.remove("hidden");
+  (conditionBlock === "loop" ? conditionLoopSelect : conditionKindSelect).focus();
+}
+
+// One selector group per line of the element field
+function readConditionSelectors() {
+  return conditionSelectorsInput.value
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((sel) => [sel]);
+}
+
+// Copies the condition fields from the dialog onto an if or until loop step
+function readConditionFields(step) {
+  const condition = conditionKindSelect.value;
+  const selectors = readConditionSelectors();
+  const secs = parseFloat(conditionTimeoutInput.value);
+  step.condition = condition;
+  if (condition === "elementPresent" || condition === "textContains") {
+    if (selectors.length) step.selectors = selectors;
+    const timeout = Math.round(secs * 1000);
+    if (timeout > 0 && timeout !== CONDITION_TIMEOUT_MS) step.timeout = timeout;
+  }
+  if (condition === "urlMatches") step.pattern = conditionPatternInput.value.trim();
+  if (condition === "variableEquals") {
+    step.variableName = conditionVariableInput.value.trim();
+    step.value = conditionValueInput.value;
+  }
+  if (condition === "textContains") step.text = conditionTextInput.value;
+}
+
+// Builds the if or loop step from the dialog fields (keeping the step's other fields)
+function readConditionStep(previous) {
+  const step = { ...previous, type: conditionBlock };
+  for (const field of [
+    "condition", "selectors", "timeout", "pattern", "variableName", "value", "text",
+    "loop", "count", "indexVariable", "textVariable", "maxIterations"
+  ]) {
+    delete step[field];
+  }
+  if (conditionBlock === "if") {
+    readConditionFields(step);
+    return step;
+  }
+
+  step.loop = conditionLoopSelect.value;
+  if (step.loop === "repeat") step.count = Math.floor(Number(conditionCountInput.value));
+  if (step.loop === "forEach") {
+    const selectors = readConditionSelectors();
+    if (selectors.length) step.selectors = selectors;
+  }
+  if (step.loop === "until") readConditionFields(step);
+  const indexVariable = conditionIndexVariableInput.value.trim();
+  if (indexVariable && indexVariable !== DEFAULT_INDEX_VARIABLE) step.indexVariable = indexVariable;
+  const textVariable = conditionTextVariableInput.value.trim();
+  if (step.loop === "forEach" && textVariable && textVariable !== DEFAULT_TEXT_VARIABLE) {
+    step.textVariable = textVariable;
+  }
+  const max = Math.floor(Number(conditionMaxInput.value));
+  if (step.loop !== "repeat" && max && max !== DEFAULT_MAX_ITERATIONS) step.maxIterations = max;
+  return step;
+}
+
+conditionKindSelect.addEventListener("change", showConditionFields);
+conditionLoopSelect.addEventListener("change", showConditionFields);
+
+btnEditAddCondition.addEventListener("click", () => {
+  if (editingRecording) openConditionDialog(null, "if");
+});
+
+btnEditAddLoop.addEventListener("click", () => {
+  if (editingRecording) openConditionDialog(null, "loop");
+});
+
+editStepsList.addEventListener("click", (e) => {
+  const btn = e.target.closest(".edit-step-condition");
+  if (!btn || !editingRecording) return;
+  openConditionDialog(Number(btn.dataset.index));
+});
+
+btnConditionSave.addEventListener("click", () => {
+  if (!editingRecording) return;
+  const steps = editingRecording.steps;
+  const previous = editingConditionIndex != null ? steps[editingConditionIndex] : null;
+  const step = readConditionStep(previous);
+  const problems =
+    step.type === "loop" ? validateLoop(step, "Loop") : validateCondition(step, "Condition");
+  if (problems.length) return alert(problems.join("\n"));
+
+  if (previous) {
+    steps[editingConditionIndex] = step;
+  } else {
+    // 1-based, inclusive step numbers; "to" below "from" wraps no steps
+    const from = Math.floor(Number(conditionFromInput.value));
+    const to = Math.floor(Number(conditionToInput.value));
+    const elseText = step.type === "if" ? conditionElseToInput.value.trim() : "";
+    const elseTo = elseText ? Math.floor(Number(elseText)) : null;
+    if (!(from >= 1 && from <= steps.length + 1 && to >= from - 1 && to <= steps.length)) {
+      return alert(`Choose steps between 1 and ${steps.length}.`);
+    }
+    if (elseTo != null && !(elseTo >= to && elseTo <= steps.length)) {
+      return alert(`The else branch must end between step ${to} and ${steps.length}.`);
+    }
+    const thenSteps = steps.slice(from - 1, to);
+    const elseSteps = elseTo != null ? steps.slice(to, elseTo) : [];
+    if (!isBalanced(thenSteps) || !isBalanced(elseSteps)) {
+      return alert(
+        "The steps must contain whole conditions and loops — include both their first and last step."
+      );
+    }
+    steps.splice(
+      from - 1,
+      thenSteps.length + elseSteps.length,
+      step,
+      ...thenSteps,
+      ...(elseTo != null ? [{ type: "else" }, ...elseSteps] : []),
+      { type: step.type === "loop" ? "endLoop" : "endIf" }
+    );
+  }
+  renderEditSteps(steps);
+  conditionOverlay.classList.add("hidden");
+  editingConditionIndex = null;
+});
+
+$("btn-condition-cancel").addEventListener("click", () => {
+  conditionOverlay.classList.add("hidden");
+  editingConditionIndex = null;
+});
+
+// ── Import ─────────────────────────────────────────────────────────────────────
+
+// Converts the contents of an imported file into recording objects.
+// Returns { recordings, warnings }. Throws with a user-facing message when the
+// file is not a supported format.
+function parseImportFile(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (_) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (isDevToolsRecording(json)) {
+    const { recording, warnings } = fromDevToolsRecording(json);
+    return { recordings: [recording], warnings };
+  }
+  if (isSideProject(json)) return fromSideProject(json);
+  return { recordings: parseRecordingFile(json), warnings: [] };
+}
+
+// Asks the user how to resolve an id/title collision.
+// Resolves with "overwrite" | "rename" | "skip" and whether to reuse the answer.
+function askImportConflict(rec, existing) {
+  importConflictText.textContent =
+    existing.id === rec.id
+      ? `"${rec.title}" is already in your tests (same test, saved as "${existing.title}").`
+      : `A test named "${existing.title}" already exists.`;
+  importConflictAll.checked = false;
+  importConflictOverlay.classList.remove("hidden");
+
+  return new Promise((resolve) => {
+    const buttons = {
+      overwrite: $("btn-import-overwrite"),
+      rename: $("btn-import-rename"),
+      skip: $("btn-import-skip")
+    };
+    const handlers = {};
+    for (const [choice, btn] of Object.entries(buttons)) {
+      handlers[choice] = () => {
+        for (const [c, b] of Object.entries(buttons)) {
+          b.removeEventListener("click", handlers[c]);
+        }
+        importConflictOverlay.classList.add("hidden");
+        resolve({ choice, applyToAll: importConflictAll.checked });
+      };
+      btn.addEventListener("click", handlers[choice]);
+    }
+  });
+}
+
+// Returns "<title> (2)", "<title> (3)", … — the first title not already taken.
+function uniqueTitle(title, takenTitles) {
+  let n = 2;
+  while (takenTitles.has(`${title} (${n})`)) n++;
+  return `${title} (${n})`;
+}
+
+importFileInput.addEventListener("change", async () => {
+  const file = importFileInput.files?.[0];
+  if (!file) return;
+
+  let incoming, warnings;
+  try {
+    ({ recordings: incoming, warnings } = parseImportFile(await file.text()));
+  } catch (err) {
+    alert(`Could not import "${file.name}":\n${err.message}`);
+    return;
+  }
+
+  const byId = new Map(state.recordings.map((r) => [r.id, r]));
+  const byTitle = new Map(state.recordings.map((r) => [r.title, r]));
+  const takenTitles = new Set(byTitle.keys());
+  const toSave = [];
+  let skipped = 0;
+  let rememberedChoice = null;
+
+  for (const rec of incoming) {
+    const existing = byId.get(rec.id) ?? byTitle.get(rec.title);
+    if (!existing) {
+      toSave.push(rec);
+      takenTitles.add(rec.title);
+      continue;
+    }
+
+    let choice = rememberedChoice;
+    if (!choice) {
+      const answer = await askImportConflict(rec, existing);
+      choice = answer.choice;
+      if (answer.applyToAll) rememberedChoice = choice;
+    }
+
+    if (choice === "skip") {
+      skipped++;
+    } else if (choice === "overwrite") {
+      // Replace the existing entry in place (keeps its id so history stays attached)
+      toSave.push({ ...rec, id: existing.id });
+    } else {
+      const title = uniqueTitle(rec.title, takenTitles);
+      takenTitles.add(title);
+      toSave.push({ ...rec, id: crypto.randomUUID(), title });
+    }
+  }
+
+  if (toSave.length > 0) {
+    const res = await send(MSG.IMPORT_RECORDINGS, { recordings: toSave });
+    if (!res?.ok) {
+      alert(`Import failed: ${res?.error ?? "unknown error"}`);
+      return;
+    }
+  }
+  await loadRecordings();
+  alert(
+    `Imported ${toSave.length} test${toSave.length === 1 ? "" : "s"}` +
+      (skipped ? ` (${skipped} skipped)` : "") +
+      "." +
+      (warnings.length ? `\n\n${warnings.join("\n")}` : "")
+  );
+});
+
+// ── Edit overlay event listeners ───────────────────────────────────────────────
+
+// Delete a step from the local copy while editing
+editStepsList.addEventListener("click", (e) => {
+  const btn = e.target.closest(".btn-delete-edit-step");
+  if (!btn || !editingRecording) return;
+  const li = btn.closest(".edit-step-item");
+  const idx = Number(li.dataset.index);
+  // Removing any marker of an if block or loop unwraps it: its steps stay
+  const block = BLOCK_TYPES.has(editingRecording.steps[idx]?.type)
+    ? findBlock(editingRecording.steps, idx)
+    : null;
+  const remove = block
+    ? [block.end, block.else, block.start].filter((i) => i != null)
+    : [idx];
+  for (const i of remove) editingRecording.steps.splice(i, 1);
+  renderEditSteps(editingRecording.steps);
+});
+
+// Insert steps after a specific step (keeps the following steps)
+editStepsList.addEventListener("click", async (e) => {
+  const btn = e.target.closest(".btn-insert-from-step");
+  if (!btn || !editingRecording) return;
+  const idx = Number(btn.dataset.index);
+  const steps = editingRecording.steps.slice(0, idx + 1);
+  const remainingSteps = editingRecording.steps.slice(idx + 1);
+
+  const tabId = await getActiveTabId();
+  if (!tabId) return alert("No active tab found.");
+
+  editOverlay.classList.add("hidden");
+  editingRecording = null;
+
+  recordFeed.innerHTML = "";
+  state.recordingStepCount = steps.length;
+  stepCountEl.textContent = steps.length;
+  setMode(RecordingState.RECORDING);
+  steps.forEach((step) => appendFeedItem(step));
+
+  await send(MSG.CONTINUE_RECORDING, { tabId, steps, remainingSteps });
+});
+
+// Continue recording from a specific step (removes following steps)
+editStepsList.addEventListener("click", async (e) => {
   const btn = e.target.closest(".btn-continue-from-step");
   if (!btn || !editingRecording) return;
   const idx = Number(btn.dataset.index);
@@ -1285,6 +3054,61 @@ editStepsList.addEventListener("click", (e) => {
   btn.classList.toggle("active", step.debug);
 });
 
+// Failure mode toggle — fatal → soft → optional (element steps) → fatal. The
+// step's default mode is stored as no failureMode at all.
+editStepsList.addEventListener("click", (e) => {
+  const btn = e.target.closest(".btn-mode-step");
+  if (!btn || !editingRecording) return;
+  const step = editingRecording.steps[Number(btn.dataset.index)];
+  if (!step) return;
+  const modes = failureModesFor(step);
+  const next = modes[(modes.indexOf(failureModeOf(step)) + 1) % modes.length];
+  delete step.failureMode;
+  if (failureModeOf(step) !== next) step.failureMode = next;
+  renderEditSteps(editingRecording.steps);
+});
+
+// Move a typed value into the secrets vault. Older revisions still holding the
+// value are redacted when the recording is saved.
+editStepsList.addEventListener("click", async (e) => {
+  const btn = e.target.closest(".btn-secret-edit-step");
+  if (!btn || !editingRecording) return;
+  const step = editingRecording.steps[Number(btn.dataset.index)];
+  if (!step || step.secretRef) return;
+  const secretName = prompt(
+    "Name for this secret:",
+    `${editingRecording.title} ${selectorHintOf(step)}`.trim()
+  )?.trim();
+  if (!secretName) return;
+  if (!(await ensureVaultUnlocked("Unlock the vault to store this value."))) return;
+  const value = step.value ?? "";
+  const res = await send(MSG.STORE_SECRET, { name: secretName, value });
+  if (!res?.ok) return alert(res?.error ?? "Could not store the secret.");
+  editingRecording.redactions = [
+    ...(editingRecording.redactions ?? []),
+    { value, secretRef: res.secretRef, secretName }
+  ];
+  Object.assign(step, { value: "", secretRef: res.secretRef, secretName });
+  renderEditSteps(editingRecording.steps);
+});
+
+// Replace a step's recorded selectors with one typed selector, e.g. a loop
+// row's `tbody tr:nth-child({{loopIndex}}) a` (see shared/loops.js)
+editStepsList.addEventListener("click", (e) => {
+  const btn = e.target.closest(".btn-selector-step");
+  if (!btn || !editingRecording) return;
+  const step = editingRecording.steps[Number(btn.dataset.index)];
+  if (!step) return;
+  const current = step.selectors?.flat?.().find(Boolean) ?? "";
+  const selector = prompt(
+    "Selector (CSS, or xpath/…, aria/…, text/…). Replaces all recorded selectors of this step; {{variables}} are filled in at replay.",
+    current
+  )?.trim();
+  if (!selector || selector === current) return;
+  step.selectors = [[selector]];
+  renderEditSteps(editingRecording.steps);
+});
+
 // Inline value editing — update the step object as the user types
 editStepsList.addEventListener("input", (e) => {
   const input = e.target.closest(".edit-step-value");
@@ -1299,9 +3123,15 @@ editStepsList.addEventListener("input", (e) => {
   } else if (field === "url") {
     step.url = input.value;
     if (step.assertedEvents?.[0]) step.assertedEvents[0].url = input.value;
+  } else if (field === "expectedValue") {
+    step.expectedValue = input.value;
   } else if (field === "duration") {
     const secs = parseFloat(input.value);
     if (!isNaN(secs) && secs > 0) step.duration = Math.round(secs * 1000);
+  } else if (field === "timeout") {
+    const secs = parseFloat(input.value);
+    if (!isNaN(secs) && secs > 0) step.timeout = Math.round(secs * 1000);
+    else delete step.timeout;
   }
 });
 
@@ -1311,12 +3141,43 @@ btnEditSave.addEventListener("click", async () => {
     editTitleInput.focus();
     return;
   }
+  let failOnPageErrors;
+  try {
+    failOnPageErrors = parseErrorPatterns(editPageErrorsInput.value);
+  } catch (err) {
+    editPageErrorsInput.focus();
+    return alert(err.message);
+  }
+  const mockProblems = validateMockRules(editingRecording.mockRules, "Mock rules");
+  if (mockProblems.length) {
+    return alert(`${mockProblems.join("\n")}\n\nFix or delete the rule under Mock rules → Edit….`);
+  }
+  const blockProblems = validateBlocks(editingRecording.steps, "Steps");
+  if (blockProblems.length) return alert(blockProblems.join("\n"));
+  const batchRetries = Number(editBatchRetriesInput.value || 0);
+  if (!(Number.isInteger(batchRetries) && batchRetries >= 0 && batchRetries <= MAX_RETRIES)) {
+    editBatchRetriesInput.focus();
+    return alert(`Batch re-runs must be a whole number from 0 to ${MAX_RETRIES}.`);
+  }
+  const networkConditions = readEditNetwork();
+  const networkProblems = validateNetworkConditions(networkConditions, "Network");
+  if (networkProblems.length) return alert(networkProblems.join("\n"));
   editingRecording.title = title;
   await send(MSG.UPDATE_RECORDING, {
     id: editingRecording.id,
     title: editingRecording.title,
     steps: editingRecording.steps,
-    createdAt: editingRecording.createdAt
+    createdAt: editingRecording.createdAt,
+    suite: editSuiteInput.value.trim(),
+    tags: parseTags(editTagsInput.value),
+    dataset: editingRecording.dataset ?? null,
+    failOnPageErrors,
+    mockRules: editingRecording.mockRules,
+    networkConditions,
+    blockedUrls: parseBlockedUrls(editBlockedUrlsInput.value),
+    retry: editingRecording.retry ?? null,
+    batchRetries,
+    redactions: editingRecording.redactions ?? []
   });
   editOverlay.classList.add("hidden");
   editingRecording = null;
@@ -1333,6 +3194,520 @@ editTitleInput.addEventListener("keydown", (e) => {
   if (e.key === "Escape") btnEditCancel.click();
 });
 
+// ── Network conditions ─────────────────────────────────────────────────────────
+// Per-test throttling in the edit overlay, and the menu override that applies a
+// profile to every run (settings.networkOverride).
+const NETWORK_OVERRIDES = ["", "slow3g", "fast3g", "offline"];
+
+editNetworkProfile.innerHTML = [
+  `<option value="">No throttling</option>`,
+  ...Object.entries(NETWORK_PROFILES).map(
+    ([id, profile]) => `<option value="${id}">${profile.label}</option>`
+  )
+].join("");
+
+function renderEditNetwork(conditions) {
+  editNetworkProfile.value = conditions?.profile ?? "";
+  editNetworkLatency.value = conditions?.latencyMs ?? "";
+  editNetworkDown.value = conditions?.downloadKbps ?? "";
+  editNetworkUp.value = conditions?.uploadKbps ?? "";
+  editNetworkCustom.classList.toggle("hidden", editNetworkProfile.value !== "custom");
+}
+
+// Empty throughput fields mean unlimited
+function readEditNetwork() {
+  const profile = editNetworkProfile.value;
+  if (!profile) return null;
+  if (profile !== "custom") return { profile };
+  const number = (input) => (input.value === "" ? undefined : Number(input.value));
+  return {
+    profile,
+    latencyMs: number(editNetworkLatency) ?? 0,
+    downloadKbps: number(editNetworkDown),
+    uploadKbps: number(editNetworkUp)
+  };
+}
+
+editNetworkProfile.addEventListener("change", () => {
+  editNetworkCustom.classList.toggle("hidden", editNetworkProfile.value !== "custom");
+});
+
+const btnNetworkOverride = $("btn-hamburger-network");
+
+function renderNetworkOverride(override) {
+  btnNetworkOverride.dataset.value = override;
+  btnNetworkOverride.textContent = `📶 Network for runs: ${
+    override ? describeNetworkConditions({ profile: override }) : "as set per test"
+  }`;
+}
+
+btnNetworkOverride.addEventListener("click", async () => {
+  const current = NETWORK_OVERRIDES.indexOf(btnNetworkOverride.dataset.value ?? "");
+  const next = NETWORK_OVERRIDES[(current + 1) % NETWORK_OVERRIDES.length];
+  const { settings } = (await send(MSG.SAVE_SETTINGS, { networkOverride: next })) ?? {};
+  renderNetworkOverride(settings?.networkOverride ?? next);
+});
+
+// ── Retry policies ─────────────────────────────────────────────────────────────
+// One dialog edits the recording's default policy and a single step's override
+// (see shared/retry.js). Both are saved with the recording.
+const retryOverlay = $("retry-overlay");
+const retryHeading = $("retry-heading");
+const retryCountInput = $("retry-count");
+const retryBackoffMsInput = $("retry-backoff-ms");
+const retryBackoffSelect = $("retry-backoff");
+const retryClassesEl = $("retry-classes");
+const btnRetryRemove = $("btn-retry-remove");
+let retryTarget = null; // step index, or "recording"
+
+retryClassesEl.innerHTML = Object.entries(RETRY_CLASSES)
+  .map(
+    ([cls, label]) =>
+      `<label class="idle-checkbox"><input type="checkbox" value="${cls}" /> ${label}</label>`
+  )
+  .join("");
+
+function openRetryDialog(target) {
+  retryTarget = target;
+  const isStep = target !== "recording";
+  const policy =
+    (isStep ? editingRecording.steps[target].retry : editingRecording.retry) ??
+    createRetryPolicy();
+  retryHeading.textContent = isStep ? `Retries for step ${target + 1}` : "Retries for every step";
+  btnRetryRemove.textContent = isStep ? "Use test default" : "No retries";
+  retryCountInput.value = policy.count;
+  retryBackoffMsInput.value = policy.backoffMs ?? 0;
+  retryBackoffSelect.value = policy.backoff ?? "fixed";
+  for (const box of retryClassesEl.querySelectorAll("input")) {
+    box.checked = policy.on.includes(box.value);
+  }
+  retryOverlay.classList.remove("hidden");
+}
+
+function setRetryPolicy(policy) {
+  if (retryTarget === "recording") {
+    editingRecording.retry = policy;
+    editRetryInfo.textContent = describeRetryPolicy(policy);
+  } else {
+    const step = editingRecording.steps[retryTarget];
+    if (policy) step.retry = policy;
+    else delete step.retry;
+    renderEditSteps(editingRecording.steps);
+  }
+  retryOverlay.classList.add("hidden");
+}
+
+$("btn-retry-edit").addEventListener("click", () => {
+  if (editingRecording) openRetryDialog("recording");
+});
+
+editStepsList.addEventListener("click", (e) => {
+  const btn = e.target.closest(".btn-retry-step");
+  if (!btn || !editingRecording) return;
+  openRetryDialog(Number(btn.dataset.index));
+});
+
+$("btn-retry-save").addEventListener("click", () => {
+  const policy = {
+    count: Number(retryCountInput.value),
+    backoffMs: Math.max(0, Number(retryBackoffMsInput.value) || 0),
+    backoff: retryBackoffSelect.value,
+    on: [...retryClassesEl.querySelectorAll("input:checked")].map((b) => b.value)
+  };
+  const problems = validateRetryPolicy(policy, "Retries");
+  if (problems.length) return alert(problems.join("\n"));
+  setRetryPolicy(policy);
+});
+
+btnRetryRemove.addEventListener("click", () => setRetryPolicy(null));
+
+$("btn-retry-cancel").addEventListener("click", () => {
+  retryOverlay.classList.add("hidden");
+});
+
+// ── Network idle ───────────────────────────────────────────────────────────────
+// Thresholds and ignored URLs for waitForNetworkIdle steps and the optional
+// auto-wait after clicks (settings; see background/network-idle.js).
+const idleOverlay = $("idle-overlay");
+const idleAutoWaitInput = $("idle-auto-wait");
+const idleMsInput = $("idle-ms");
+const idleTimeoutInput = $("idle-timeout");
+const idleIgnoreInput = $("idle-ignore");
+
+async function openNetworkIdleDialog() {
+  const { settings } = (await send(MSG.GET_SETTINGS)) ?? {};
+  if (!settings) return;
+  idleAutoWaitInput.checked = !!settings.autoWaitNetworkIdle;
+  idleMsInput.value = settings.networkIdleMs;
+  idleTimeoutInput.value = settings.networkIdleTimeoutMs / 1000;
+  idleIgnoreInput.value = (settings.networkIdleIgnore ?? []).join("\n");
+  idleOverlay.classList.remove("hidden");
+}
+
+$("btn-idle-save").addEventListener("click", async () => {
+  const idleMs = Number(idleMsInput.value);
+  const timeoutSecs = Number(idleTimeoutInput.value);
+  if (!(idleMs >= 0)) return idleMsInput.focus();
+  if (!(timeoutSecs > 0)) return idleTimeoutInput.focus();
+  let networkIdleIgnore;
+  try {
+    networkIdleIgnore = parseUrlPatterns(idleIgnoreInput.value);
+  } catch (err) {
+    idleIgnoreInput.focus();
+    return alert(err.message);
+  }
+  await send(MSG.SAVE_SETTINGS, {
+    autoWaitNetworkIdle: idleAutoWaitInput.checked,
+    networkIdleMs: Math.round(idleMs),
+    networkIdleTimeoutMs: Math.round(timeoutSecs * 1000),
+    networkIdleIgnore
+  });
+  idleOverlay.classList.add("hidden");
+});
+
+$("btn-idle-close").addEventListener("click", () => {
+  idleOverlay.classList.add("hidden");
+});
+
+// ── Mock rules ─────────────────────────────────────────────────────────────────
+// Edited one rule at a time in the Mock rules dialog (see shared/mock-rules.js);
+// Apply writes the rule into editingRecording, which is saved with the recording.
+let editingMockId = null;
+
+mockErrorReasonSelect.innerHTML = ABORT_REASONS.map(
+  (reason) => `<option>${reason}</option>`
+).join("");
+
+function renderEditMocks() {
+  const rules = editingRecording.mockRules;
+  editMocksInfo.textContent = rules.length
+    ? rules.map(describeMockRule).join(" · ")
+    : "None";
+}
+
+function renderMockForm() {
+  const rules = editingRecording.mockRules;
+  mockEditSelect.innerHTML = rules
+    .map(
+      (rule, i) =>
+        `<option value="${escapeHtml(rule.id)}">${i + 1}. ${escapeHtml(describeMockRule(rule))}</option>`
+    )
+    .join("");
+  const rule = rules.find((r) => r.id === editingMockId);
+  mockEditSelect.value = rule?.id ?? "";
+  mockMethodSelect.value = rule?.method ?? "";
+  mockUrlInput.value = rule?.urlPattern ?? "";
+  mockBodyContainsInput.value = rule?.bodyContains ?? "";
+  mockActionSelect.value = rule?.action ?? "respond";
+  mockDelayInput.value = rule?.delayMs ?? 0;
+  mockStatusInput.value = rule?.status ?? 200;
+  mockHeadersInput.value = formatHeaders(rule?.headers);
+  mockBodyInput.value = rule?.body ?? "";
+  mockErrorReasonSelect.value = rule?.errorReason ?? "Failed";
+  renderMockActionFields();
+  for (const el of [btnMockDelete, btnMockSave]) el.disabled = !rule;
+}
+
+function renderMockActionFields() {
+  mockRespondFields.classList.toggle("hidden", mockActionSelect.value !== "respond");
+  mockAbortFields.classList.toggle("hidden", mockActionSelect.value !== "abort");
+}
+
+btnMocksEdit.addEventListener("click", () => {
+  if (!editingRecording) return;
+  editingMockId = editingRecording.mockRules[0]?.id ?? null;
+  renderMockForm();
+  mocksOverlay.classList.remove("hidden");
+});
+
+mockEditSelect.addEventListener("change", () => {
+  editingMockId = mockEditSelect.value;
+  renderMockForm();
+});
+
+mockActionSelect.addEventListener("change", renderMockActionFields);
+
+btnMockNew.addEventListener("click", () => {
+  const rule = createMockRule();
+  editingRecording.mockRules.push(rule);
+  editingMockId = rule.id;
+  renderMockForm();
+  mockUrlInput.focus();
+});
+
+btnMockDelete.addEventListener("click", () => {
+  const rules = editingRecording.mockRules;
+  const rule = rules.find((r) => r.id === editingMockId);
+  if (!rule || !confirm(`Delete the mock rule "${describeMockRule(rule)}"?`)) return;
+  editingRecording.mockRules = rules.filter((r) => r !== rule);
+  editingMockId = editingRecording.mockRules[0]?.id ?? null;
+  renderMockForm();
+  renderEditMocks();
+});
+
+btnMockSave.addEventListener("click", () => {
+  const index = editingRecording.mockRules.findIndex((r) => r.id === editingMockId);
+  if (index < 0) return;
+  let headers;
+  try {
+    headers = parseHeaders(mockHeadersInput.value);
+  } catch (err) {
+    mockHeadersInput.focus();
+    return alert(err.message);
+  }
+  const rule = {
+    id: editingMockId,
+    method: mockMethodSelect.value,
+    urlPattern: mockUrlInput.value.trim(),
+    bodyContains: mockBodyContainsInput.value,
+    action: mockActionSelect.value,
+    delayMs: Math.max(0, Number(mockDelayInput.value) || 0),
+    status: Number(mockStatusInput.value),
+    headers,
+    body: mockBodyInput.value,
+    errorReason: mockErrorReasonSelect.value
+  };
+  const rules = editingRecording.mockRules.map((r, i) => (i === index ? rule : r));
+  const problems = validateMockRules(rules, "Mock rules");
+  if (problems.length) return alert(problems.join("\n"));
+  editingRecording.mockRules = rules;
+  renderMockForm();
+  renderEditMocks();
+});
+
+btnMockClose.addEventListener("click", () => {
+  mocksOverlay.classList.add("hidden");
+  renderEditMocks();
+});
+
+// ── Environments ───────────────────────────────────────────────────────────────
+// The header select picks the profile used for replay; its links become the
+// header shortcut badges. Profiles are edited in the Environments dialog.
+const LINK_COLORS = ["#384f5f", "#e03c31", "#6366f1", "#16a34a", "#d97706"];
+
+let editingEnvironmentId = null;
+
+async function loadEnvironments() {
+  const { settings } = (await send(MSG.GET_SETTINGS)) ?? {};
+  state.environments = settings?.environments ?? [];
+  state.activeEnvironmentId = settings?.activeEnvironmentId ?? null;
+  renderEnvironmentHeader();
+  renderScreenshotToggle(!!settings?.screenshotEveryStep);
+  renderVideoToggle(!!settings?.recordVideo);
+  renderNetworkOverride(settings?.networkOverride ?? "");
+  renderRunTarget(settings?.runIn ?? "activeTab", settings?.keepRunTabOnFailure ?? true);
+}
+
+async function saveEnvironments(patch) {
+  const { settings } = (await send(MSG.SAVE_SETTINGS, patch)) ?? {};
+  if (settings) {
+    state.environments = settings.environments;
+    state.activeEnvironmentId = settings.activeEnvironmentId;
+  }
+  renderEnvironmentHeader();
+}
+
+function renderEnvironmentHeader() {
+  envSelect.innerHTML = state.environments
+    .map(
+      (env) =>
+        `<option value="${escapeHtml(env.id)}">${escapeHtml(env.name)}</option>`
+    )
+    .join("");
+  envSelect.classList.toggle("hidden", state.environments.length === 0);
+  envSelect.value = state.activeEnvironmentId ?? "";
+
+  const active = getActiveEnvironment(state);
+  envLinks.innerHTML = (active?.links ?? [])
+    .map(
+      (link, i) =>
+        `<button class="hm-badge" style="border-color: ${LINK_COLORS[i % LINK_COLORS.length]}"
+          data-url="${escapeHtml(link.url)}" title="Navigate to ${escapeHtml(link.url)}">${escapeHtml(link.label)}</button>`
+    )
+    .join("");
+}
+
+envSelect.addEventListener("change", () => {
+  saveEnvironments({ activeEnvironmentId: envSelect.value });
+});
+
+function openEnvironmentsDialog() {
+  editingEnvironmentId =
+    state.activeEnvironmentId ?? state.environments[0]?.id ?? null;
+  renderEnvironmentForm();
+  envOverlay.classList.remove("hidden");
+}
+
+function renderEnvironmentForm() {
+  envEditSelect.innerHTML = state.environments
+    .map(
+      (env) =>
+        `<option value="${escapeHtml(env.id)}">${escapeHtml(env.name)}</option>`
+    )
+    .join("");
+  const env = state.environments.find((e) => e.id === editingEnvironmentId);
+  envEditSelect.value = env?.id ?? "";
+  envNameInput.value = env?.name ?? "";
+  envOriginsInput.value = formatOrigins(env?.origins);
+  envVariablesInput.value = formatAssignments(env?.variables);
+  envLinksInput.value = formatLinks(env?.links);
+  btnEnvDelete.disabled = !env;
+  btnEnvSave.disabled = !env;
+}
+
+envEditSelect.addEventListener("change", () => {
+  editingEnvironmentId = envEditSelect.value;
+  renderEnvironmentForm();
+});
+
+btnEnvNew.addEventListener("click", async () => {
+  const env = {
+    id: crypto.randomUUID(),
+    name: `Environment ${state.environments.length + 1}`,
+    origins: [],
+    variables: {},
+    links: []
+  };
+  await saveEnvironments({ environments: [...state.environments, env] });
+  editingEnvironmentId = env.id;
+  renderEnvironmentForm();
+  envNameInput.focus();
+  envNameInput.select();
+});
+
+btnEnvDelete.addEventListener("click", async () => {
+  const env = state.environments.find((e) => e.id === editingEnvironmentId);
+  if (!env || !confirm(`Delete the "${env.name}" environment?`)) return;
+  const environments = state.environments.filter((e) => e.id !== env.id);
+  await saveEnvironments({
+    environments,
+    activeEnvironmentId:
+      state.activeEnvironmentId === env.id
+        ? (environments[0]?.id ?? null)
+        : state.activeEnvironmentId
+  });
+  editingEnvironmentId = state.activeEnvironmentId ?? environments[0]?.id;
+  renderEnvironmentForm();
+});
+
+btnEnvSave.addEventListener("click", async () => {
+  const name = envNameInput.value.trim();
+  if (!name) return envNameInput.focus();
+  const variables = parseAssignments(envVariablesInput.value, "Variables");
+  if (variables.error) return alert(variables.error);
+  let origins, links;
+  try {
+    origins = parseOrigins(envOriginsInput.value);
+    links = parseLinks(envLinksInput.value);
+  } catch (err) {
+    return alert(err.message);
+  }
+  await saveEnvironments({
+    environments: state.environments.map((env) =>
+      env.id === editingEnvironmentId
+        ? { ...env, name, origins, variables: variables.map, links }
+        : env
+    )
+  });
+  renderEnvironmentForm();
+});
+
+btnEnvClose.addEventListener("click", () => {
+  envOverlay.classList.add("hidden");
+});
+
+// ── Secrets vault ──────────────────────────────────────────────────────────────
+// Values are encrypted and decrypted in the service worker (shared/secrets.js);
+// the panel only ever sees secret names.
+let vaultWaiter = null; // resolves a pending ensureVaultUnlocked() when the dialog closes
+
+function usesSecretSteps(rec) {
+  return (rec.steps ?? []).some((s) => s.secretRef);
+}
+
+async function openVaultDialog(reason = "") {
+  vaultPassphraseInput.value = "";
+  await renderVault(reason);
+  vaultOverlay.classList.remove("hidden");
+  if (!vaultUnlockRow.classList.contains("hidden")) vaultPassphraseInput.focus();
+}
+
+async function renderVault(reason = "") {
+  const status = (await send(MSG.VAULT_STATUS)) ?? {};
+  if (!status.exists) {
+    vaultStatus.textContent = `${reason ? `${reason} ` : ""}Choose a passphrase to create the vault — it can't be recovered if forgotten.`;
+  } else if (!status.unlocked) {
+    vaultStatus.textContent = reason || "Locked. Enter the passphrase to use secrets.";
+  } else {
+    vaultStatus.textContent = `Unlocked until the browser closes · ${status.count} secret${status.count === 1 ? "" : "s"}`;
+  }
+  btnVaultUnlock.textContent = status.exists ? "Unlock" : "Create vault";
+  vaultUnlockRow.classList.toggle("hidden", !!status.unlocked);
+  btnVaultLock.classList.toggle("hidden", !status.unlocked);
+
+  const { secrets = [] } = (await send(MSG.LIST_SECRETS)) ?? {};
+  vaultEmpty.classList.toggle("hidden", secrets.length > 0);
+  vaultSecretsList.innerHTML = secrets
+    .map(
+      (s) => `<li class="assert-library-item">
+        <span class="assert-library-title">🔒 ${escapeHtml(s.name)}</span>
+        <button class="btn btn-ghost btn-sm btn-secret-delete" data-id="${escapeHtml(s.id)}" title="Delete">×</button>
+      </li>`
+    )
+    .join("");
+}
+
+function closeVaultDialog(unlocked) {
+  vaultOverlay.classList.add("hidden");
+  vaultWaiter?.(unlocked);
+  vaultWaiter = null;
+}
+
+// Resolves true once the vault is unlocked, asking for the passphrase first if needed.
+async function ensureVaultUnlocked(reason) {
+  const status = await send(MSG.VAULT_STATUS);
+  if (status?.unlocked) return true;
+  vaultWaiter?.(false);
+  return new Promise((resolve) => {
+    vaultWaiter = resolve;
+    openVaultDialog(reason);
+  });
+}
+
+btnVaultUnlock.addEventListener("click", async () => {
+  const res = await send(MSG.VAULT_UNLOCK, {
+    passphrase: vaultPassphraseInput.value
+  });
+  if (!res?.ok) {
+    alert(res?.error ?? "Could not unlock the vault.");
+    vaultPassphraseInput.select();
+    return;
+  }
+  vaultPassphraseInput.value = "";
+  if (vaultWaiter) return closeVaultDialog(true);
+  await renderVault();
+});
+
+vaultPassphraseInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") btnVaultUnlock.click();
+  if (e.key === "Escape") closeVaultDialog(false);
+});
+
+btnVaultLock.addEventListener("click", async () => {
+  await send(MSG.VAULT_LOCK);
+  await renderVault();
+});
+
+btnVaultClose.addEventListener("click", () => closeVaultDialog(false));
+
+vaultSecretsList.addEventListener("click", async (e) => {
+  const btn = e.target.closest(".btn-secret-delete");
+  if (!btn) return;
+  if (!confirm("Delete this secret? Tests that use it will fail until it is recorded again.")) return;
+  await send(MSG.DELETE_SECRET, { id: btn.dataset.id });
+  await renderVault();
+});
+
 // ── Init ───────────────────────────────────────────────────────────────────────
 async function loadRecordings() {
   const { recordings } = (await send(MSG.GET_RECORDINGS)) ?? { recordings: [] };
@@ -1356,3 +3731,4 @@ async function loadRecordings() {
 send(MSG.RESET_STATE)
   .catch(console.error)
   .finally(() => loadRecordings());
+loadEnvironments().catch(console.error);